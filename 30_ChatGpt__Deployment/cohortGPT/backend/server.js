@@ -2,7 +2,9 @@ require('dotenv').config();
 
 const app = require("./src/app");
 const connectDB = require("./src/db/db");
-const initPinecone = require("./src/db/pinecone");
+const { initMemory } = require("./src/services/memory.service");
+const { initEmail } = require("./src/services/email.service");
+const { initRateLimit } = require("./src/services/rateLimit.service");
 const initSocketServer = require("./src/sockets/socket.server");
 
 const httpServer = require("http").createServer(app);
@@ -14,8 +16,15 @@ const PORT = process.env.PORT || 3000;
     await connectDB();
     console.log("[SYSTEM] MongoDB ready");
 
-    await initPinecone();
-    console.log("[SYSTEM] Pinecone ready");
+    if (await initMemory()) {
+      console.log(`[SYSTEM] Memory ready (${process.env.MEMORY_STORE || "pinecone"})`);
+    }
+
+    await initEmail();
+
+    if (await initRateLimit()) {
+      console.log(`[SYSTEM] Rate limits ready (${process.env.RATE_LIMIT_STORE || "memory"})`);
+    }
 
     initSocketServer(httpServer);
     console.log("[SYSTEM] Socket server ready");
@@ -0,0 +1,192 @@
+const request = require("supertest");
+
+process.env.EMAIL_TRANSPORT = "json";
+process.env.RATE_LIMIT_EMAIL = "off";
+process.env.RATE_LIMIT_REGISTER = "off";
+
+jest.mock("../models/user.model", () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock("../models/authToken.model", () => {
+  const docs = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) =>
+      value && value.$gt ? doc[key] > value.$gt : String(doc[key]) === String(value)
+    );
+
+  return {
+    docs,
+    create: jest.fn(async doc => {
+      docs.push({ ...doc });
+      return doc;
+    }),
+    deleteMany: jest.fn(async filter => {
+      const kept = docs.filter(d => !matches(d, filter));
+      docs.splice(0, docs.length, ...kept);
+    }),
+    findOneAndDelete: jest.fn(async filter => {
+      const index = docs.findIndex(d => matches(d, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    })
+  };
+});
+jest.mock("../models/session.model", () => ({
+  updateMany: jest.fn()
+}));
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { ALICE } = require("./helpers");
+const userModel = require("../models/user.model");
+const authTokenModel = require("../models/authToken.model");
+const sessionModel = require("../models/session.model");
+const { getTransporter } = require("../services/email.service");
+const app = require("../app");
+
+const alice = {
+  _id: ALICE,
+  fullName: { firstName: "Alice", lastName: "Liddell" },
+  email: "alice@example.com"
+};
+
+let sendMail;
+
+// token from the link in the n-th email the JSON transport produced
+async function tokenFromMail(n = 0) {
+  const info = await sendMail.mock.results[n].value;
+  const { text } = JSON.parse(info.message);
+  return decodeURIComponent(text.match(/\?token=([^\s]+)/)[1]);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  sendMail = jest.spyOn(getTransporter(), "sendMail");
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  authTokenModel.docs.length = 0;
+
+  userModel.findOne.mockImplementation(async ({ email }) => (email.test(alice.email) ? alice : null));
+  userModel.create.mockImplementation(async doc => ({ _id: ALICE, ...doc }));
+  userModel.findByIdAndUpdate.mockImplementation(async (id, update) => ({ ...alice, ...update }));
+});
+
+
+describe("email verification", () => {
+  async function register() {
+    userModel.findOne.mockResolvedValueOnce(null);
+
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ fullName: { firstName: "Alice", lastName: "Liddell" }, email: alice.email, password: "correct horse" });
+
+    expect(res.status).toBe(201);
+    return tokenFromMail();
+  }
+
+  const verify = token => request(app).post("/api/auth/verify-email").send({ token });
+
+  it("mails a link on sign-up and stores only the token's hash", async () => {
+    const token = await register();
+
+    expect(sendMail.mock.calls[0][0]).toMatchObject({ to: alice.email });
+    expect(authTokenModel.docs).toHaveLength(1);
+    expect(authTokenModel.docs[0]).toMatchObject({ user: ALICE, type: "verify-email" });
+    expect(authTokenModel.docs[0].tokenHash).toBe(crypto.createHash("sha256").update(token).digest("hex"));
+  });
+
+  it("verifies the email once", async () => {
+    const token = await register();
+
+    const res = await verify(token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ _id: ALICE, emailVerified: true });
+    expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      ALICE,
+      expect.objectContaining({ emailVerified: true }),
+      { new: true }
+    );
+
+    expect(await verify(token)).toMatchObject({ status: 400, body: { message: "invalid or expired token" } });
+  });
+
+  it("rejects an expired link", async () => {
+    const token = await register();
+    authTokenModel.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await verify(token)).status).toBe(400);
+    expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("does not accept a reset token", async () => {
+    await request(app).post("/api/auth/forgot-password").send({ email: alice.email });
+
+    expect((await verify(await tokenFromMail())).status).toBe(400);
+  });
+});
+
+
+describe("password reset", () => {
+  async function forgot(email = alice.email) {
+    const res = await request(app).post("/api/auth/forgot-password").send({ email });
+    expect(res.status).toBe(200);
+    return res;
+  }
+
+  const reset = (token, password = "new password") =>
+    request(app).post("/api/auth/reset-password").send({ token, password });
+
+  it("answers the same for unknown emails and sends nothing", async () => {
+    const known = await forgot();
+    const unknown = await forgot("nobody@example.com");
+
+    expect(unknown.body).toEqual(known.body);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it("sets the new password once and signs every device out", async () => {
+    await forgot();
+    const token = await tokenFromMail();
+
+    const res = await reset(token);
+
+    expect(res.status).toBe(200);
+    const [id, update] = userModel.findByIdAndUpdate.mock.calls[0];
+    expect(id).toBe(ALICE);
+    expect(await bcrypt.compare("new password", update.password)).toBe(true);
+    expect(sessionModel.updateMany).toHaveBeenCalledWith(
+      { user: ALICE, revokedAt: null },
+      expect.objectContaining({ revokedReason: "password-reset" })
+    );
+
+    expect((await reset(token, "another password")).status).toBe(400);
+    expect(userModel.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects an expired link", async () => {
+    await forgot();
+    const token = await tokenFromMail();
+    authTokenModel.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await reset(token)).status).toBe(400);
+    expect(sessionModel.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("retires the older link when a new one is sent", async () => {
+    await forgot();
+    await forgot();
+    const [first, second] = [await tokenFromMail(0), await tokenFromMail(1)];
+
+    expect(authTokenModel.docs).toHaveLength(1);
+    expect((await reset(first)).status).toBe(400);
+    expect((await reset(second)).status).toBe(200);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+
+// local storage driver writes here
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "cohortgpt-uploads-"));
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/attachment.model", () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, BOB, CHAT, lean } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const userModel = require("../models/user.model");
+const attachmentModel = require("../models/attachment.model");
+const { withAttachments } = require("../services/attachment.service");
+const app = require("../app");
+
+
+let ids = 0;
+const stored = [];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  userModel.findById.mockImplementation(async id => ({ _id: id }));
+  chatModel.findById.mockReturnValue(lean({ _id: CHAT, user: ALICE }));
+  attachmentModel.create.mockImplementation(async doc => {
+    const saved = { _id: `65a00000000000000000aa${String(ids++).padStart(2, "0")}`, ...doc };
+    stored.push(saved);
+    return saved;
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+});
+
+
+describe("POST /api/chat/:chatId/attachments", () => {
+  it("stores a text file with its extracted text", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${CHAT}/attachments`)
+      .set("Cookie", `token=${ALICE}`)
+      .attach("files", Buffer.from("line one\r\nline two"), { filename: "notes.md", contentType: "application/octet-stream" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.attachments[0]).toMatchObject({ name: "notes.md", kind: "document" });
+
+    const doc = attachmentModel.create.mock.calls[0][0];
+    expect(doc).toMatchObject({ storage: "local", text: "line one\nline two", chat: CHAT });
+    expect(fs.existsSync(path.join(process.env.UPLOAD_DIR, doc.key))).toBe(true);
+  });
+
+  it("stores an image without text", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${CHAT}/attachments`)
+      .set("Cookie", `token=${ALICE}`)
+      .attach("files", Buffer.from([0x89, 0x50, 0x4e, 0x47]), { filename: "cat.png", contentType: "image/png" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.attachments[0]).toMatchObject({ kind: "image", mimeType: "image/png" });
+    expect(attachmentModel.create.mock.calls[0][0].text).toBeUndefined();
+  });
+
+  it("rejects unsupported file types with 415", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${CHAT}/attachments`)
+      .set("Cookie", `token=${ALICE}`)
+      .attach("files", Buffer.from("MZ"), { filename: "tool.exe", contentType: "application/x-msdownload" });
+
+    expect(res.statusCode).toBe(415);
+    expect(attachmentModel.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects uploads into another user's chat", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${CHAT}/attachments`)
+      .set("Cookie", `token=${BOB}`)
+      .attach("files", Buffer.from("hi"), { filename: "a.txt", contentType: "text/plain" });
+
+    expect(res.statusCode).toBe(403);
+    expect(attachmentModel.create).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("withAttachments", () => {
+  it("inlines document text and loads images of the newest message only", async () => {
+    const [doc, image] = stored;
+    const older = { _id: "m1", role: "user", content: "read this", attachments: [doc._id] };
+    const newest = { _id: "m2", role: "user", content: "and look", attachments: [image._id] };
+
+    attachmentModel.find.mockReturnValue(lean(stored));
+
+    const [first, second] = await withAttachments([older, newest]);
+
+    expect(first.content).toContain("--- Attached file: notes.md ---\nline one\nline two");
+    expect(first.images).toBeUndefined();
+    expect(second.images).toEqual([
+      { mimeType: "image/png", data: Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString("base64"), name: "cat.png" }
+    ]);
+    // the stored history is left untouched
+    expect(older.content).toBe("read this");
+  });
+});
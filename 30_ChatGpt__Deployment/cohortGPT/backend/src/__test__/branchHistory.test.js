@@ -0,0 +1,220 @@
+const http = require("http");
+const { io: connect } = require("socket.io-client");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/memory.service", () => ({
+  createMemory: jest.fn()
+}));
+jest.mock("../services/context.service", () => ({
+  buildContext: jest.fn(async () => []),
+  refreshSummary: jest.fn()
+}));
+jest.mock("../services/persona.service", () => ({
+  resolvePersona: jest.fn(async () => null)
+}));
+jest.mock("../services/usage.service", () => ({
+  checkQuota: jest.fn(async () => ({ allowed: true })),
+  recordUsage: jest.fn()
+}));
+jest.mock("../services/llm.service", () => ({
+  PROVIDER_NAMES: ["groq", "gemini", "mock"],
+  generateTitle: jest.fn(async () => null),
+  streamResponse: jest.fn(async (context, user, { onToken }) => {
+    onToken("ok");
+    return "ok";
+  })
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const { buildContext } = require("../services/context.service");
+const initSocketServer = require("../sockets/socket.server");
+
+const id = n => `65a00000000000000000${String(n).padStart(4, "0")}`;
+
+let server;
+let url;
+let messages;
+let store;
+let activeLeaf;
+const sockets = [];
+
+/**
+ * 10 turns on the main branch (messages 1-20), plus an
+ * edited 3rd question (21) with its reply (22)
+ */
+function buildChat() {
+  messages = [];
+  for (let n = 1; n <= 20; n++) {
+    messages.push({
+      _id: id(n),
+      parent: n === 1 ? null : id(n - 1),
+      role: n % 2 ? "user" : "model",
+      content: `message ${n}`,
+      createdAt: new Date(2026, 0, 1, 0, n)
+    });
+  }
+  messages.push(
+    { _id: id(21), parent: id(4), role: "user", content: "edited", createdAt: new Date(2026, 0, 1, 1, 0) },
+    { _id: id(22), parent: id(21), role: "model", content: "edited reply", createdAt: new Date(2026, 0, 1, 1, 1) }
+  );
+  activeLeaf = id(20);
+}
+
+beforeAll(done => {
+  server = http.createServer();
+  initSocketServer(server);
+  server.listen(0, () => {
+    url = `http://localhost:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  buildChat();
+
+  store = messageStore(() => messages);
+  userModel.findById.mockImplementation(async uid => ({ _id: uid }));
+  chatModel.findById.mockImplementation(() => lean({ _id: CHAT, user: ALICE, title: "Chat", activeLeaf }));
+  messageModel.find.mockImplementation(store.find);
+  messageModel.findOne.mockImplementation(store.findOne);
+  messageModel.create.mockImplementation(async doc => {
+    const saved = { _id: id(9000 + messageModel.create.mock.calls.length), ...doc };
+    return { ...saved, toObject: () => saved };
+  });
+});
+
+afterEach(() => {
+  while (sockets.length) sockets.pop().disconnect();
+});
+
+function connectAs(userId) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(url, {
+      transports: ["websocket"],
+      extraHeaders: { cookie: `token=${userId}` }
+    });
+    sockets.push(socket);
+    socket.on("connect", () => resolve(socket));
+    socket.on("connect_error", reject);
+  });
+}
+
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// emits and waits for the reply (or the error)
+async function send(event, payload) {
+  const socket = await connectAs(ALICE);
+  const done = next(socket, "ai-response-done");
+  const error = next(socket, "ai-error");
+  socket.emit(event, { chat: CHAT, ...payload });
+  return Promise.race([done, error]);
+}
+
+// what the reply was generated from
+const history = () => buildContext.mock.calls[0][1].map(m => m.content);
+const turns = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `message ${from + i}`);
+const userParent = () => messageModel.create.mock.calls[0][0].parent;
+
+
+describe("ai-message", () => {
+  it("continues the active branch", async () => {
+    activeLeaf = id(22);
+
+    await send("ai-message", { content: "more" });
+
+    expect(userParent()).toBe(id(22));
+    expect(history()).toEqual([...turns(1, 4), "edited", "edited reply", "more"]);
+  });
+
+  it("puts an edit next to the message it replaces", async () => {
+    await send("ai-message", { content: "edited again", editOf: id(21) });
+
+    expect(userParent()).toBe(id(4));
+    expect(history()).toEqual([...turns(1, 4), "edited again"]);
+  });
+
+  it("starts a new root when the first message is edited", async () => {
+    await send("ai-message", { content: "new start", editOf: id(1) });
+
+    expect(userParent()).toBeNull();
+    expect(history()).toEqual(["new start"]);
+  });
+
+  it("answers 404 to an edit of a reply", async () => {
+    expect(await send("ai-message", { content: "x", editOf: id(22) })).toMatchObject({ status: 404 });
+    expect(messageModel.create).not.toHaveBeenCalled();
+  });
+
+  it("reads the active branch, not the whole chat", async () => {
+    // a long older branch the active one left behind
+    for (let n = 23; n <= 2000; n++) {
+      messages.push({ _id: id(n), parent: id(n === 23 ? 20 : n - 1), role: n % 2 ? "user" : "model", content: `message ${n}`, createdAt: new Date(2026, 0, 1, 0, 30, n) });
+    }
+    activeLeaf = id(22);
+
+    await send("ai-message", { content: "more" });
+
+    expect(history()).toEqual([...turns(1, 4), "edited", "edited reply", "more"]);
+    // a couple of batches, out of 2000 rows
+    expect(store.rowsRead).toBeLessThan(300);
+    for (const [filter] of messageModel.find.mock.calls) {
+      expect(Object.keys(filter)).not.toEqual(["chat"]);
+    }
+  });
+});
+
+
+describe("regenerate", () => {
+  it("answers the user message above the active leaf again", async () => {
+    await send("regenerate", {});
+
+    expect(history()).toEqual(turns(1, 19));
+  });
+
+  it("answers the user message above a chosen reply and its tool steps", async () => {
+    messages.push(
+      { _id: id(23), parent: id(21), role: "system", content: "42", tool: { name: "calculator" }, createdAt: new Date(2026, 0, 1, 2, 0) },
+      { _id: id(24), parent: id(23), role: "model", content: "it is 42", createdAt: new Date(2026, 0, 1, 2, 1) }
+    );
+
+    await send("regenerate", { message: id(24) });
+
+    expect(history()).toEqual([...turns(1, 4), "edited"]);
+  });
+
+  it("chains messages saved before branching in time order", async () => {
+    for (const m of messages) delete m.parent;
+    messages.splice(20, 2);
+    activeLeaf = undefined;
+
+    await send("regenerate", { message: id(8) });
+
+    expect(history()).toEqual(turns(1, 7));
+  });
+
+  it("answers 404 to a message that is not in the chat", async () => {
+    expect(await send("regenerate", { message: id(99) })).toMatchObject({ status: 404 });
+    expect(buildContext).not.toHaveBeenCalled();
+  });
+});
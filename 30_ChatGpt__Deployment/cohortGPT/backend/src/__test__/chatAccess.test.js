@@ -0,0 +1,201 @@
+const http = require("http");
+const request = require("supertest");
+const { io: connect } = require("socket.io-client");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  distinct: jest.fn(),
+  deleteMany: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/memory.service", () => ({
+  isMemoryEnabled: () => false,
+  initMemory: jest.fn(),
+  createMemory: jest.fn(),
+  queryMemory: jest.fn(async () => []),
+  deleteMemories: jest.fn()
+}));
+jest.mock("../services/attachment.service", () => ({
+  uploadAttachments: jest.fn(),
+  pendingAttachments: jest.fn(async () => []),
+  linkAttachments: jest.fn(),
+  toClientAttachment: a => a,
+  attachmentsByMessage: jest.fn(async () => new Map()),
+  withAttachments: jest.fn(async history => history),
+  deleteChatAttachments: jest.fn()
+}));
+jest.mock("../services/share.service", () => ({
+  ...jest.requireActual("../services/share.service"),
+  deleteChatShares: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, BOB, CHAT, lean } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const { deleteChatAttachments } = require("../services/attachment.service");
+const { deleteChatShares } = require("../services/share.service");
+const app = require("../app");
+const initSocketServer = require("../sockets/socket.server");
+
+const MISSING = "65a0000000000000000000c9";
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  userModel.findById.mockImplementation(async id => ({ _id: id, role: "user" }));
+  chatModel.findById.mockImplementation(id =>
+    lean(id === CHAT ? { _id: CHAT, user: ALICE, title: "Alice's chat" } : null)
+  );
+  messageModel.find.mockReturnValue({ sort: () => lean([]) });
+  messageModel.findOne.mockReturnValue({ sort: () => lean(null) });
+  messageModel.distinct.mockResolvedValue([]);
+});
+
+
+describe("chat routes", () => {
+  it("lets the owner read the messages", async () => {
+    const res = await request(app)
+      .get(`/api/chat/${CHAT}/messages`)
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty("messages", []);
+  });
+
+  it("rejects reading another user's messages with 403", async () => {
+    const res = await request(app)
+      .get(`/api/chat/${CHAT}/messages`)
+      .set("Cookie", `token=${BOB}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(messageModel.find).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for a chat that does not exist", async () => {
+    const res = await request(app)
+      .get(`/api/chat/${MISSING}/messages`)
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty("message", "chat not found");
+  });
+
+  it("does not delete another user's chat or its messages", async () => {
+    const res = await request(app)
+      .delete(`/api/chat/${CHAT}`)
+      .set("Cookie", `token=${BOB}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(chatModel.deleteOne).not.toHaveBeenCalled();
+    expect(messageModel.deleteMany).not.toHaveBeenCalled();
+    expect(deleteChatAttachments).not.toHaveBeenCalled();
+    expect(deleteChatShares).not.toHaveBeenCalled();
+  });
+
+  it("deletes the owner's chat with its messages", async () => {
+    const res = await request(app)
+      .delete(`/api/chat/${CHAT}`)
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(messageModel.deleteMany).toHaveBeenCalledWith({ chat: CHAT });
+    expect(deleteChatAttachments).toHaveBeenCalledWith(CHAT);
+    expect(deleteChatShares).toHaveBeenCalledWith(CHAT);
+  });
+
+  it("does not rename another user's chat", async () => {
+    const res = await request(app)
+      .put(`/api/chat/${CHAT}/rename`)
+      .set("Cookie", `token=${BOB}`)
+      .send({ title: "mine now" });
+
+    expect(res.statusCode).toBe(403);
+    expect(chatModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects a malformed chat id with 400 before any lookup", async () => {
+    const res = await request(app)
+      .get("/api/chat/not-an-id/messages")
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(chatModel.findById).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("socket events", () => {
+  let server;
+  let url;
+
+  beforeAll(done => {
+    server = http.createServer();
+    initSocketServer(server);
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  function connectAs(userId) {
+    return new Promise((resolve, reject) => {
+      const socket = connect(url, {
+        transports: ["websocket"],
+        extraHeaders: { cookie: `token=${userId}` }
+      });
+      socket.on("connect", () => resolve(socket));
+      socket.on("connect_error", reject);
+    });
+  }
+
+  async function emitAndWaitForError(userId, event, payload) {
+    const socket = await connectAs(userId);
+
+    try {
+      return await new Promise(resolve => {
+        socket.on("ai-error", resolve);
+        socket.emit(event, payload);
+      });
+    } finally {
+      socket.disconnect();
+    }
+  }
+
+  it("rejects ai-message into another user's chat with 403", async () => {
+    const error = await emitAndWaitForError(BOB, "ai-message", { chat: CHAT, content: "hi" });
+
+    expect(error).toMatchObject({ chat: CHAT, status: 403 });
+    expect(messageModel.create).not.toHaveBeenCalled();
+    expect(chatModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects ai-message into a chat that does not exist with 404", async () => {
+    const error = await emitAndWaitForError(ALICE, "ai-message", { chat: MISSING, content: "hi" });
+
+    expect(error).toMatchObject({ chat: MISSING, status: 404 });
+    expect(messageModel.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects regenerate in another user's chat with 403", async () => {
+    const error = await emitAndWaitForError(BOB, "regenerate", { chat: CHAT });
+
+    expect(error).toMatchObject({ chat: CHAT, status: 403 });
+    expect(messageModel.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,217 @@
+const request = require("supertest");
+
+// tiny in-memory query engine: equality, null, $ne, $lt and $or
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some(f => matches(doc, f));
+
+    const value = doc[key];
+    if (cond && typeof cond === "object" && !(cond instanceof Date)) {
+      if ("$ne" in cond) return value !== cond.$ne;
+      if ("$lt" in cond) return value < cond.$lt || (cond.$lt instanceof Date && value.getTime() < cond.$lt.getTime());
+    }
+    if (cond === null) return value == null;
+    if (cond instanceof Date) return value.getTime() === cond.getTime();
+    return String(value) === String(cond);
+  });
+}
+
+jest.mock("../models/chat.model", () => ({
+  docs: [],
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/folder.model", () => ({
+  findOne: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, BOB, lean } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const folderModel = require("../models/folder.model");
+const userModel = require("../models/user.model");
+const app = require("../app");
+
+const FOLDER = "65a0000000000000000000f1";
+const hex = n => n.toString(16).padStart(24, "0");
+
+function chat(n, fields = {}) {
+  // ids are compared as hex strings, so they sort like ObjectIds
+  return {
+    _id: hex(n),
+    user: ALICE,
+    title: `Chat ${n}`,
+    lastActivity: new Date(Date.UTC(2026, 0, 1) + (fields.minutes ?? n) * 60000),
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  userModel.findById.mockImplementation(async id => ({ _id: id }));
+
+  chatModel.find.mockImplementation(filter => ({
+    sort: () => ({
+      limit: n => lean(
+        chatModel.docs
+          .filter(d => matches(d, filter))
+          .sort((a, b) => b.lastActivity - a.lastActivity || (b._id > a._id ? 1 : -1))
+          .slice(0, n)
+      )
+    })
+  }));
+  chatModel.findById.mockImplementation(id => lean(chatModel.docs.find(d => d._id === String(id)) || null));
+  chatModel.findOneAndUpdate.mockImplementation((filter, update) => {
+    const doc = chatModel.docs.find(d => matches(d, filter));
+    if (doc) Object.assign(doc, update);
+    return lean(doc || null);
+  });
+});
+
+function list(query = "") {
+  return request(app).get(`/api/chat${query}`).set("Cookie", `token=${ALICE}`);
+}
+
+
+describe("GET /api/chat", () => {
+  beforeEach(() => {
+    // 7 chats, 3 of them sharing one timestamp to test the _id tie-break
+    chatModel.docs = [1, 2, 3, 4].map(n => chat(n)).concat(
+      [5, 6, 7].map(n => chat(n, { minutes: 10 }))
+    );
+  });
+
+  it("pages through every chat once, newest first", async () => {
+    const seen = [];
+    let cursor = "";
+
+    for (let page = 0; page < 5; page++) {
+      const res = await list(`?limit=3${cursor ? `&cursor=${cursor}` : ""}`);
+      expect(res.statusCode).toBe(200);
+
+      seen.push(...res.body.chats.map(c => c.title));
+      cursor = res.body.nextCursor;
+      if (!cursor) break;
+    }
+
+    expect(seen).toEqual(["Chat 7", "Chat 6", "Chat 5", "Chat 4", "Chat 3", "Chat 2", "Chat 1"]);
+  });
+
+  it("returns no cursor on the last page", async () => {
+    const res = await list("?limit=30");
+
+    expect(res.body.chats).toHaveLength(7);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it("hides archived chats unless asked for them", async () => {
+    chatModel.docs[0].archived = true;
+
+    const active = await list();
+    const archived = await list("?archived=true");
+
+    expect(active.body.chats.map(c => c.title)).not.toContain("Chat 1");
+    expect(archived.body.chats.map(c => c.title)).toEqual(["Chat 1"]);
+  });
+
+  it("filters by pinned and folder, treating old chats as top level", async () => {
+    chatModel.docs[1].pinned = true;
+    chatModel.docs[2].folder = FOLDER;
+
+    expect((await list("?pinned=true")).body.chats.map(c => c.title)).toEqual(["Chat 2"]);
+    expect((await list(`?folder=${FOLDER}`)).body.chats.map(c => c.title)).toEqual(["Chat 3"]);
+
+    const topLevel = await list("?folder=none&pinned=false");
+    expect(topLevel.body.chats.map(c => c.title)).not.toEqual(expect.arrayContaining(["Chat 2", "Chat 3"]));
+    expect(topLevel.body.chats).toHaveLength(5);
+  });
+
+  it("rejects a tampered cursor", async () => {
+    const res = await list("?cursor=not-a-cursor");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].field).toBe("cursor");
+  });
+});
+
+
+describe("organising chats", () => {
+  beforeEach(() => {
+    chatModel.docs = [chat(1)];
+  });
+
+  it("moves a chat into one of the user's folders", async () => {
+    folderModel.findOne.mockReturnValue(lean({ _id: FOLDER, user: ALICE }));
+
+    const res = await request(app)
+      .put(`/api/chat/${hex(1)}/folder`)
+      .set("Cookie", `token=${ALICE}`)
+      .send({ folder: FOLDER });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.chat.folder).toBe(FOLDER);
+    expect(folderModel.findOne).toHaveBeenCalledWith({ _id: FOLDER, user: ALICE });
+  });
+
+  it("does not move a chat into someone else's folder", async () => {
+    folderModel.findOne.mockReturnValue(lean(null));
+
+    const res = await request(app)
+      .put(`/api/chat/${hex(1)}/folder`)
+      .set("Cookie", `token=${ALICE}`)
+      .send({ folder: FOLDER });
+
+    expect(res.statusCode).toBe(404);
+    expect(chatModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("unpins a chat when it is archived and restores it when pinned", async () => {
+    await request(app).put(`/api/chat/${hex(1)}/pin`).set("Cookie", `token=${ALICE}`).send({ pinned: true });
+
+    const archived = await request(app)
+      .put(`/api/chat/${hex(1)}/archive`)
+      .set("Cookie", `token=${ALICE}`)
+      .send({ archived: true });
+
+    expect(archived.body.chat).toMatchObject({ archived: true, pinned: false });
+
+    const pinned = await request(app)
+      .put(`/api/chat/${hex(1)}/pin`)
+      .set("Cookie", `token=${ALICE}`)
+      .send({ pinned: true });
+
+    expect(pinned.body.chat).toMatchObject({ archived: false, pinned: true });
+  });
+
+  it("keeps lastActivity when reorganising", async () => {
+    const before = chatModel.docs[0].lastActivity;
+
+    await request(app).put(`/api/chat/${hex(1)}/archive`).set("Cookie", `token=${ALICE}`).send({ archived: true });
+
+    expect(chatModel.docs[0].lastActivity).toBe(before);
+  });
+
+  it("does not let another user pin the chat", async () => {
+    const res = await request(app)
+      .put(`/api/chat/${hex(1)}/pin`)
+      .set("Cookie", `token=${BOB}`)
+      .send({ pinned: true });
+
+    expect(res.statusCode).toBe(403);
+    expect(chatModel.docs[0].pinned).toBeUndefined();
+  });
+
+  it("requires a real boolean", async () => {
+    const res = await request(app)
+      .put(`/api/chat/${hex(1)}/archive`)
+      .set("Cookie", `token=${ALICE}`)
+      .send({ archived: "yes" });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,102 @@
+const request = require("supertest");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  insertMany: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const app = require("../app");
+
+const PROMPT = "65a0000000000000000004a1";
+const STEP = "65a0000000000000000004a2";
+const REPLY = "65a0000000000000000004a3";
+
+// a question, one calculator step, the answer below it
+const messages = [
+  { _id: PROMPT, parent: null, role: "user", content: "what is 6*7?", createdAt: new Date(1) },
+  {
+    _id: STEP,
+    parent: PROMPT,
+    role: "system",
+    content: "42",
+    tool: { name: "calculator", arguments: { expression: "6*7" }, ok: true },
+    createdAt: new Date(2)
+  },
+  { _id: REPLY, parent: STEP, role: "model", content: "It is 42.", createdAt: new Date(3) }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  const store = messageStore(messages);
+  userModel.findById.mockImplementation(async id => ({ _id: id }));
+  chatModel.findById.mockReturnValue(lean({ _id: CHAT, user: ALICE, title: "Maths", activeLeaf: REPLY }));
+  chatModel.create.mockImplementation(async doc => ({ _id: "65a0000000000000000004c2", ...doc, save: jest.fn() }));
+  messageModel.find.mockImplementation(store.find);
+  messageModel.findOne.mockImplementation(store.findOne);
+});
+
+const asAlice = req => req.set("Cookie", `token=${ALICE}`);
+
+async function exportJSON() {
+  const res = await asAlice(request(app).get(`/api/chat/${CHAT}/export?format=json`));
+  expect(res.status).toBe(200);
+  return JSON.parse(res.text);
+}
+
+const importChat = data => asAlice(request(app).post("/api/chat/import")).send(data);
+
+
+describe("JSON export", () => {
+  it("keeps the tool of a tool step", async () => {
+    const data = await exportJSON();
+
+    expect(data.messages.map(m => m.tool)).toEqual([
+      undefined,
+      { name: "calculator", arguments: { expression: "6*7" }, ok: true },
+      undefined
+    ]);
+  });
+
+  it("imports tool steps back as tool steps", async () => {
+    const res = await importChat(await exportJSON());
+
+    expect(res.status).toBe(201);
+    const [docs] = messageModel.insertMany.mock.calls[0];
+    const [prompt, step, reply] = docs;
+
+    expect(step).toMatchObject({
+      role: "system",
+      content: "42",
+      parent: prompt._id,
+      tool: { name: "calculator", arguments: { expression: "6*7" }, ok: true }
+    });
+    expect(reply).toMatchObject({ role: "model", parent: step._id });
+    expect(reply.tool).toBeUndefined();
+  });
+
+  it("rejects a tool on anything but a system message", async () => {
+    const data = await exportJSON();
+    data.messages[2].tool = { name: "calculator" };
+
+    const res = await importChat(data);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("tool must be { name, arguments, ok } on a system message");
+    expect(messageModel.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const { getEventListeners } = require("events");
+
+process.env.GROQ_MODEL = "primary";
+process.env.GROQ_VISION_MODEL = "vision";
+process.env.GROQ_FALLBACK_MODELS = "backup-a, backup-b";
+process.env.GROQ_MAX_RETRIES = "2";
+process.env.GROQ_RETRY_BASE_MS = "1";
+
+jest.mock("groq-sdk", () => {
+  const create = jest.fn();
+
+  class Groq {
+    constructor() {
+      this.chat = { completions: { create } };
+    }
+  }
+  Groq.APIConnectionError = class APIConnectionError extends Error {};
+  Groq.create = create;
+
+  return Groq;
+});
+
+const Groq = require("groq-sdk");
+const groq = require("../services/groq.service");
+
+const create = Groq.create;
+const ask = options => groq.complete({ messages: [{ role: "user", content: "hi" }], ...options });
+const reply = text => ({ choices: [{ message: { content: text } }] });
+const models = () => create.mock.calls.map(([body]) => body.model);
+
+function apiError(status, message = `status ${status}`, headers) {
+  return Object.assign(new Error(message), { status, headers });
+}
+
+// yields the chunks, then fails
+async function* brokenStream(chunks, err) {
+  yield* chunks;
+  throw err;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  create.mockReset();
+});
+
+
+describe("retries", () => {
+  it("retries 429 and 5xx on the same model", async () => {
+    create
+      .mockRejectedValueOnce(apiError(429, "rate limited", { "retry-after": "0" }))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce(reply("hello"));
+
+    expect(await ask()).toBe("hello");
+    expect(models()).toEqual(["primary", "primary", "primary"]);
+  });
+
+  it("retries dropped connections", async () => {
+    create
+      .mockRejectedValueOnce(new Groq.APIConnectionError("socket hang up"))
+      .mockResolvedValueOnce(reply("hello"));
+
+    expect(await ask()).toBe("hello");
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up at once on other client errors", async () => {
+    create.mockRejectedValue(apiError(401, "invalid api key"));
+
+    await expect(ask()).rejects.toMatchObject({ status: 401 });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("never retries a stream that already sent tokens", async () => {
+    create.mockResolvedValueOnce(brokenStream(
+      [{ choices: [{ delta: { content: "Hel" } }] }],
+      apiError(500)
+    ));
+    const onToken = jest.fn();
+
+    await expect(groq.stream({ messages: [{ role: "user", content: "hi" }], onToken }))
+      .rejects.toMatchObject({ status: 500, partial: true });
+    expect(onToken).toHaveBeenCalledWith("Hel");
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops waiting when the caller aborts, and cleans up its listeners", async () => {
+    const controller = new AbortController();
+    create
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce(reply("hello"));
+
+    expect(await ask({ signal: controller.signal })).toBe("hello");
+    expect(getEventListeners(controller.signal, "abort")).toHaveLength(0);
+
+    create.mockRejectedValue(apiError(429, "rate limited", { "retry-after": "10" }));
+    const pending = ask({ signal: controller.signal });
+    setTimeout(() => controller.abort(new Error("stopped")), 20);
+
+    await expect(pending).rejects.toThrow("stopped");
+    expect(create).toHaveBeenCalledTimes(3);
+  });
+});
+
+
+describe("model fallback", () => {
+  it("moves to the next model once retries run out", async () => {
+    create
+      .mockRejectedValueOnce(apiError(503))
+      .mockRejectedValueOnce(apiError(503))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce(reply("from backup"));
+
+    expect(await ask()).toBe("from backup");
+    expect(models()).toEqual(["primary", "primary", "primary", "backup-a"]);
+  });
+
+  it("skips a decommissioned model without retrying it", async () => {
+    create
+      .mockRejectedValueOnce(apiError(400, "The model `primary` has been decommissioned"))
+      .mockRejectedValueOnce(apiError(404, "model not found"))
+      .mockResolvedValueOnce(reply("from backup"));
+
+    expect(await ask()).toBe("from backup");
+    expect(models()).toEqual(["primary", "backup-a", "backup-b"]);
+  });
+
+  it("starts from the requested model, then the fallbacks", async () => {
+    create
+      .mockRejectedValueOnce(apiError(404))
+      .mockResolvedValueOnce(reply("ok"));
+
+    await ask({ model: "persona-model" });
+    expect(models()).toEqual(["persona-model", "backup-a"]);
+  });
+
+  it("throws the last error when every model fails", async () => {
+    create.mockRejectedValue(apiError(404, "model not found"));
+
+    await expect(ask()).rejects.toMatchObject({ status: 404 });
+    expect(models()).toEqual(["primary", "backup-a", "backup-b"]);
+  });
+
+  it("keeps image requests on the vision model", async () => {
+    create.mockRejectedValue(apiError(404));
+
+    await expect(ask({
+      messages: [{ role: "user", content: "what is this?", images: [{ mimeType: "image/png", data: "AA==" }] }]
+    })).rejects.toMatchObject({ status: 404 });
+    expect(models()).toEqual(["vision"]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * SHARED TEST FIXTURES
+ * -----------------------------------
+ * - not a test file (no .test.js suffix)
+ * - jest.mock factories may only reach them through
+ *   require(), e.g.
+ *   jest.mock("../services/session.service", () => require("./helpers").mockSessionService())
+ */
+
+const ALICE = "65a0000000000000000000a1";
+const BOB = "65a0000000000000000000b2";
+const CHAT = "65a0000000000000000000c1";
+
+// stands in for a mongoose query that ends in .lean()
+const lean = value => ({ lean: async () => value });
+
+// the token cookie is simply the user id
+function mockSessionService() {
+  return {
+    ...jest.requireActual("../services/session.service"),
+    verifyAccessToken: jest.fn(async token => ({ userId: token, sessionId: "session-" + token }))
+  };
+}
+
+/**
+ * IN-MEMORY MESSAGES
+ * -----------------------------------
+ * - stands in for messageModel.find / findOne over the
+ *   messages list (all of them in CHAT), with .sort()
+ *   .limit() .lean() and the filters branch.service sends
+ * - a projection keeps the skeleton fields only
+ * - rowsRead counts the rows handed out
+ * - list: the messages, or a function returning them
+ */
+function messageStore(list) {
+  const rows = () => (typeof list === "function" ? list() : list);
+
+  function matches(m, filter) {
+    return Object.entries(filter).every(([key, value]) => {
+      if (key === "chat") return String(value) === CHAT;
+      if (key === "$or") return value.some(f => matches(m, f));
+      if (value?.$in) return value.$in.map(String).includes(String(m[key]));
+      if (value?.$lte) return m[key] <= value.$lte;
+      if (value?.$gt) return m[key] > value.$gt;
+      if (value?.$type === "null") return m[key] === null;
+      return String(m[key]) === String(value);
+    });
+  }
+
+  function query(filter, fields, one) {
+    let sortSpec = null;
+    let max = Infinity;
+
+    const q = {
+      sort: spec => { sortSpec = spec; return q; },
+      limit: n => { max = n; return q; },
+      lean: async () => {
+        let found = rows().filter(m => matches(m, filter));
+        if (sortSpec) found = [...found].sort((a, b) => (a.createdAt - b.createdAt) * sortSpec.createdAt);
+        found = found.slice(0, one ? 1 : max).map(m => {
+          if (!fields) return { ...m };
+          const { _id, parent, role, createdAt } = m;
+          return { _id, ...(m.parent !== undefined && { parent }), role, createdAt };
+        });
+        store.rowsRead += found.length;
+        return one ? found[0] || null : found;
+      }
+    };
+    return q;
+  }
+
+  const store = {
+    rowsRead: 0,
+    find: (filter, fields) => query(filter, fields, false),
+    findOne: (filter, fields) => query(filter, fields, true)
+  };
+  return store;
+}
+
+module.exports = { ALICE, BOB, CHAT, lean, mockSessionService, messageStore };
@@ -0,0 +1,238 @@
+const request = require("supertest");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const app = require("../app");
+
+const id = n => `65a00000000000000000${String(n).padStart(4, "0")}`;
+
+let messages;
+let activeLeaf;
+let store;
+
+/**
+ * 10 turns on the main branch (messages 1-20), plus an
+ * edited 3rd question (21) with its reply (22)
+ */
+function buildChat() {
+  messages = [];
+  for (let n = 1; n <= 20; n++) {
+    messages.push({
+      _id: id(n),
+      parent: n === 1 ? null : id(n - 1),
+      role: n % 2 ? "user" : "model",
+      content: `message ${n}`,
+      createdAt: new Date(2026, 0, 1, 0, n)
+    });
+  }
+  messages.push(
+    { _id: id(21), parent: id(4), role: "user", content: "edited", createdAt: new Date(2026, 0, 1, 1, 0) },
+    { _id: id(22), parent: id(21), role: "model", content: "edited reply", createdAt: new Date(2026, 0, 1, 1, 1) }
+  );
+  activeLeaf = id(20);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  buildChat();
+
+  userModel.findById.mockImplementation(async uid => ({ _id: uid }));
+  chatModel.findById.mockImplementation(() => lean({ _id: CHAT, user: ALICE, activeLeaf }));
+
+  store = messageStore(() => messages);
+  messageModel.find.mockImplementation(store.find);
+  messageModel.findOne.mockImplementation(store.findOne);
+});
+
+function page(query = "") {
+  return request(app)
+    .get(`/api/chat/${CHAT}/messages${query}`)
+    .set("Cookie", `token=${ALICE}`);
+}
+
+const contents = res => res.body.messages.map(m => m.content);
+
+
+describe("GET /api/chat/:chatId/messages pages", () => {
+  it("returns the newest page of the active branch", async () => {
+    const res = await page("?limit=6");
+
+    expect(res.statusCode).toBe(200);
+    expect(contents(res)).toEqual([15, 16, 17, 18, 19, 20].map(n => `message ${n}`));
+    expect(res.body.hasMore).toBe(true);
+  });
+
+  it("walks back to the first message without gaps or repeats", async () => {
+    const seen = [];
+    let before = "";
+
+    for (let i = 0; i < 10; i++) {
+      const res = await page(`?limit=6${before ? `&before=${before}` : ""}`);
+      seen.unshift(...contents(res));
+      if (!res.body.hasMore) break;
+      before = res.body.messages[0]._id;
+    }
+
+    expect(seen).toEqual(Array.from({ length: 20 }, (_, i) => `message ${i + 1}`));
+  });
+
+  it("pages above a message of another branch", async () => {
+    const res = await page(`?before=${id(22)}&limit=50`);
+
+    expect(contents(res)).toEqual(["message 1", "message 2", "message 3", "message 4", "edited"]);
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  it("keeps branch info on paged messages", async () => {
+    const res = await page(`?before=${id(6)}&limit=1`);
+
+    expect(res.body.messages[0]).toMatchObject({ content: "message 5", branch: { index: 1, count: 2 } });
+  });
+
+  it("counts the branches of a reply that used tools from its first step", async () => {
+    // regenerated last reply: one tool step, then the answer
+    messages.push(
+      { _id: id(23), parent: id(19), role: "system", content: "42", tool: { name: "calculator", arguments: { expression: "6*7" }, ok: true }, createdAt: new Date(2026, 0, 1, 2, 0) },
+      { _id: id(24), parent: id(23), role: "model", content: "it is 42", createdAt: new Date(2026, 0, 1, 2, 1) }
+    );
+    activeLeaf = id(24);
+
+    const res = await page("?limit=3");
+
+    expect(res.body.messages.map(m => m.content)).toEqual(["message 19", "42", "it is 42"]);
+    expect(res.body.messages[1]).toMatchObject({ role: "system", tool: { name: "calculator" } });
+    expect(res.body.messages[2].branch).toEqual({ index: 2, count: 2, siblings: [id(20), id(23)] });
+  });
+
+  it("reads the page's ancestors and siblings, not the whole chat", async () => {
+    for (let n = 25; n <= 2000; n++) {
+      messages.push({ _id: id(n), parent: id(n === 25 ? 20 : n - 1), role: n % 2 ? "model" : "user", content: `message ${n}`, createdAt: new Date(2026, 0, 2, 0, n) });
+    }
+    activeLeaf = id(2000);
+
+    const res = await page("?limit=4");
+
+    expect(contents(res)).toEqual([1997, 1998, 1999, 2000].map(n => `message ${n}`));
+    expect(store.rowsRead).toBeLessThan(20);
+    for (const [filter] of messageModel.find.mock.calls) {
+      expect(Object.keys(filter)).not.toEqual(["chat"]);
+    }
+    const contentQuery = messageModel.find.mock.calls.find(([filter]) => filter._id);
+    expect(contentQuery[0]._id.$in).toHaveLength(4);
+  });
+
+  it("walks past other branches that came in between", async () => {
+    // answer 20 regenerated: the new reply and its follow-up are newer than the old branch
+    messages.push(
+      { _id: id(23), parent: id(19), role: "model", content: "message 20b", createdAt: new Date(2026, 0, 1, 2, 0) },
+      { _id: id(24), parent: id(23), role: "user", content: "message 21b", createdAt: new Date(2026, 0, 1, 2, 1) }
+    );
+
+    const res = await page(`?before=${id(16)}&limit=50`);
+
+    expect(contents(res)).toEqual(Array.from({ length: 15 }, (_, i) => `message ${i + 1}`));
+    expect(res.body.messages[4].branch).toMatchObject({ index: 1, count: 2 });
+  });
+
+  it("chains messages saved before branching in time order", async () => {
+    // legacy chat: no parent fields, no active leaf, then an edit of the 3rd question
+    for (const m of messages.slice(0, 20)) delete m.parent;
+    messages.splice(20, 2);
+    messages.push({ _id: id(21), parent: id(4), role: "user", content: "edited", createdAt: new Date(2026, 0, 1, 1, 0) });
+    activeLeaf = undefined;
+
+    const newest = await page("?limit=30");
+    expect(contents(newest)).toEqual(["message 1", "message 2", "message 3", "message 4", "edited"]);
+    expect(newest.body.messages[4].branch).toEqual({ index: 2, count: 2, siblings: [id(5), id(21)] });
+
+    const older = await page(`?before=${id(8)}&limit=3`);
+    expect(contents(older)).toEqual(["message 5", "message 6", "message 7"]);
+    expect(older.body.hasMore).toBe(true);
+    expect(older.body.messages[0].branch).toMatchObject({ index: 1, count: 2 });
+    expect(older.body.messages[1].branch).toMatchObject({ index: 1, count: 1 });
+
+    // an edit of the very first question is its sibling at the root
+    messages.push({ _id: id(22), parent: null, role: "user", content: "edited first", createdAt: new Date(2026, 0, 1, 2, 0) });
+    const first = await page(`?before=${id(2)}`);
+    expect(first.body.messages[0].branch).toEqual({ index: 1, count: 2, siblings: [id(1), id(22)] });
+  });
+
+  it("answers 404 for an unknown before and 400 for a malformed one", async () => {
+    expect((await page(`?before=${id(99)}`)).statusCode).toBe(404);
+    expect((await page("?before=nope")).statusCode).toBe(400);
+    expect((await page("?limit=500")).statusCode).toBe(400);
+  });
+});
+
+
+describe("PUT /api/chat/:chatId/messages/:messageId/activate", () => {
+  const activate = messageId => request(app)
+    .put(`/api/chat/${CHAT}/messages/${messageId}/activate`)
+    .set("Cookie", `token=${ALICE}`);
+
+  it("continues to the newest reply of the chosen branch", async () => {
+    const res = await activate(id(21));
+
+    expect(res.statusCode).toBe(200);
+    expect(contents(res)).toEqual(["message 1", "message 2", "message 3", "message 4", "edited", "edited reply"]);
+    expect(res.body.messages[4].branch).toEqual({ index: 2, count: 2, siblings: [id(5), id(21)] });
+    expect(chatModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: CHAT, user: ALICE }, { activeLeaf: id(22) });
+  });
+
+  it("follows the newest child at every level", async () => {
+    // reply 6 regenerated, then the old one continued later on
+    messages.push(
+      { _id: id(23), parent: id(5), role: "model", content: "message 6b", createdAt: new Date(2026, 0, 1, 2, 0) },
+      { _id: id(24), parent: id(20), role: "user", content: "message 21", createdAt: new Date(2026, 0, 1, 3, 0) }
+    );
+
+    await activate(id(5));
+    await activate(id(6));
+
+    expect(chatModel.findOneAndUpdate.mock.calls.map(([, update]) => update.activeLeaf)).toEqual([id(23), id(24)]);
+  });
+
+  it("reads the branch below the target and the page, not the whole chat", async () => {
+    for (let n = 25; n <= 2000; n++) {
+      messages.push({ _id: id(n), parent: id(n === 25 ? 20 : n - 1), role: n % 2 ? "model" : "user", content: `message ${n}`, createdAt: new Date(2026, 0, 2, 0, n) });
+    }
+
+    const res = await activate(id(21));
+
+    // about one page (50) of rows, out of 2000
+    expect(contents(res)).toHaveLength(6);
+    expect(store.rowsRead).toBeLessThan(60);
+  });
+
+  it("walks down messages saved before branching in time order", async () => {
+    for (const m of messages.slice(0, 20)) delete m.parent;
+    messages.splice(20, 2);
+
+    const res = await activate(id(5));
+
+    expect(chatModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: CHAT, user: ALICE }, { activeLeaf: id(20) });
+    expect(contents(res).at(-1)).toBe("message 20");
+  });
+
+  it("answers 404 for a message that is not in the chat", async () => {
+    const res = await activate(id(99));
+
+    expect(res.statusCode).toBe(404);
+    expect(chatModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
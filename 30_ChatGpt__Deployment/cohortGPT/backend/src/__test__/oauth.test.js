@@ -0,0 +1,158 @@
+const request = require("supertest");
+
+jest.mock("../models/user.model", () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/chat.model", () => ({
+  findOne: jest.fn(async () => ({ _id: "chat" })),
+  create: jest.fn()
+}));
+jest.mock("../services/session.service", () => ({
+  ...require("./helpers").mockSessionService(),
+  createSession: jest.fn(async () => ({ accessToken: "access", refreshToken: "refresh" }))
+}));
+
+const bcrypt = require("bcryptjs");
+const { ALICE, BOB } = require("./helpers");
+const userModel = require("../models/user.model");
+const { findOrCreateGoogleUser } = require("../services/oauth.service");
+const app = require("../app");
+
+const profile = {
+  id: "google-1",
+  displayName: "Alice Liddell",
+  name: { givenName: "Alice", familyName: "Liddell" },
+  emails: [{ value: "Alice@Example.com", verified: true }]
+};
+
+const EMAIL_FILTER = { email: /^alice@example\.com$/i };
+
+// findOne({ googleId }) first, then findOne({ email: /^…$/i })
+function usersBy({ googleId = null, email = null } = {}) {
+  userModel.findOne.mockImplementation(async filter => {
+    if (filter.googleId) return googleId;
+    return email && filter.email.test(email.email) ? email : null;
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  userModel.create.mockImplementation(async doc => ({ _id: BOB, ...doc }));
+  userModel.findByIdAndUpdate.mockImplementation(async (id, update) => ({ _id: id, ...update }));
+});
+
+
+describe("findOrCreateGoogleUser", () => {
+  it("signs in the user already linked to the Google id", async () => {
+    const alice = { _id: ALICE, googleId: "google-1" };
+    usersBy({ googleId: alice });
+
+    expect(await findOrCreateGoogleUser(profile)).toBe(alice);
+    expect(userModel.create).not.toHaveBeenCalled();
+  });
+
+  it("creates a verified user without a password for a new email", async () => {
+    usersBy();
+
+    const user = await findOrCreateGoogleUser(profile);
+
+    expect(userModel.findOne).toHaveBeenCalledWith(EMAIL_FILTER);
+    expect(user).toMatchObject({
+      fullName: { firstName: "Alice", lastName: "Liddell" },
+      email: "alice@example.com",
+      googleId: "google-1",
+      emailVerified: true
+    });
+    expect(user.password).toBeUndefined();
+  });
+
+  it("links a verified account with the same email", async () => {
+    const alice = { _id: ALICE, email: "alice@example.com", emailVerified: true };
+    alice.save = jest.fn(async () => alice);
+    usersBy({ email: alice });
+
+    expect(await findOrCreateGoogleUser(profile)).toBe(alice);
+    expect(alice.googleId).toBe("google-1");
+    expect(alice.save).toHaveBeenCalled();
+  });
+
+  it("refuses to link an unverified account with the same email", async () => {
+    const squatter = { _id: BOB, email: "alice@example.com", password: "hash", emailVerified: false, save: jest.fn() };
+    usersBy({ email: squatter });
+
+    await expect(findOrCreateGoogleUser(profile)).rejects.toMatchObject({ status: 409 });
+    expect(squatter.googleId).toBeUndefined();
+    expect(squatter.save).not.toHaveBeenCalled();
+    expect(userModel.create).not.toHaveBeenCalled();
+  });
+
+  it("links an older account whose email was stored in mixed case", async () => {
+    const alice = { _id: ALICE, email: "Alice@Example.com", emailVerified: true };
+    alice.save = jest.fn(async () => alice);
+    usersBy({ email: alice });
+
+    expect(await findOrCreateGoogleUser({ ...profile, emails: [{ value: "alice@example.com", verified: true }] })).toBe(alice);
+    expect(userModel.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses a Google email that is not verified", async () => {
+    usersBy();
+
+    await expect(findOrCreateGoogleUser({
+      ...profile,
+      emails: [{ value: "alice@example.com", verified: false }]
+    })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it("links Google to the signed-in user on request", async () => {
+    usersBy();
+
+    expect(await findOrCreateGoogleUser(profile, ALICE)).toMatchObject({ _id: ALICE, googleId: "google-1" });
+    expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(ALICE, { googleId: "google-1" }, { new: true });
+  });
+
+  it("will not move a Google id that is linked to someone else", async () => {
+    usersBy({ googleId: { _id: BOB, googleId: "google-1" } });
+
+    await expect(findOrCreateGoogleUser(profile, ALICE)).rejects.toMatchObject({ status: 409 });
+    expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("email addresses", () => {
+  it("are looked up in lowercase, like Google sign-in stores them", async () => {
+    usersBy();
+
+    const res = await request(app)
+      .post("/api/auth/login")
+      .send({ email: " Alice@Example.COM ", password: "correct horse" });
+
+    expect(res.status).toBe(400);
+    expect(userModel.findOne).toHaveBeenCalledWith(EMAIL_FILTER);
+  });
+
+  it("still find older accounts stored in mixed case", async () => {
+    usersBy({ email: { _id: ALICE, email: "Alice@Example.com", password: await bcrypt.hash("correct horse", 4) } });
+
+    const res = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "alice@example.com", password: "correct horse" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ email: "Alice@Example.com" });
+  });
+
+  it("are matched literally, not as patterns", async () => {
+    usersBy({ email: { _id: ALICE, email: "a-b@example.com" } });
+
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "a.b@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(userModel.findOne.mock.calls[0][0].email.test("a-b@example.com")).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+const request = require("supertest");
+
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/persona.model", () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../services/groq.service", () => ({
+  name: "groq",
+  vision: true,
+  tools: true,
+  models: ["llama-3.1-8b-instant", "llama-3.3-70b-versatile"],
+  stream: jest.fn(async () => "ok")
+}));
+jest.mock("../services/gemini.service", () => ({
+  name: "gemini",
+  vision: true,
+  models: ["gemini-2.5-flash", "gemini-2.5-pro"],
+  stream: jest.fn(async () => "ok")
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, lean } = require("./helpers");
+const userModel = require("../models/user.model");
+const personaModel = require("../models/persona.model");
+const groq = require("../services/groq.service");
+const gemini = require("../services/gemini.service");
+const { streamResponse } = require("../services/llm.service");
+const app = require("../app");
+
+const user = { _id: ALICE, fullName: { firstName: "Alice" } };
+const tutor = { name: "Tutor", instructions: "Be patient.", temperature: 0.2 };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  userModel.findById.mockImplementation(async id => ({ _id: id, role: "user" }));
+  personaModel.create.mockImplementation(async doc => ({ _id: "p1", ...doc }));
+  personaModel.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: filter._id, ...tutor, ...update }));
+});
+
+
+describe("persona model", () => {
+  const create = body => request(app).post("/api/personas").set("Cookie", `token=${ALICE}`).send(body);
+
+  it("is saved together with its provider", async () => {
+    const res = await create({ ...tutor, model: "gemini-2.5-pro", provider: "gemini" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.persona).toMatchObject({ model: "gemini-2.5-pro", provider: "gemini" });
+    expect(personaModel.create.mock.calls[0][0]).toMatchObject({ model: "gemini-2.5-pro", provider: "gemini" });
+  });
+
+  it("needs a provider", async () => {
+    const res = await create({ ...tutor, model: "llama-3.3-70b-versatile" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: "model", message: "model needs a provider" }]);
+  });
+
+  it("must be one of that provider's models", async () => {
+    const wrong = await create({ ...tutor, model: "llama-3.3-70b-versatile", provider: "gemini" });
+    expect(wrong.body.message).toBe("llama-3.3-70b-versatile is not a gemini model");
+
+    const mock = await create({ ...tutor, model: "anything", provider: "mock" });
+    expect(mock.body.message).toBe("anything is not a mock model");
+
+    const unknown = await create({ ...tutor, model: "x", provider: "openai" });
+    expect(unknown.body.errors.map(e => e.field)).toEqual(["model", "provider"]);
+
+    expect(personaModel.create).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("persona model on update", () => {
+  const PERSONA = "65a0000000000000000005a1";
+  const update = body => request(app).put(`/api/personas/${PERSONA}`).set("Cookie", `token=${ALICE}`).send(body);
+  const stored = persona => personaModel.findOne.mockReturnValue(lean(persona && { _id: PERSONA, user: ALICE, ...tutor, ...persona }));
+
+  it("is checked against the stored provider when only the model changes", async () => {
+    stored({ model: "gemini-2.5-flash", provider: "gemini" });
+
+    const res = await update({ model: "gemini-2.5-pro" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.persona).toMatchObject({ model: "gemini-2.5-pro" });
+    expect(personaModel.findOneAndUpdate.mock.calls[0][1]).toEqual({ model: "gemini-2.5-pro" });
+    expect(personaModel.findOne.mock.calls[0][0]).toEqual({ _id: PERSONA, user: ALICE });
+
+    const wrong = await update({ model: "llama-3.3-70b-versatile" });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.message).toBe("llama-3.3-70b-versatile is not a gemini model");
+  });
+
+  it("counts a stored persona without a provider as a Groq one", async () => {
+    stored({ model: "llama-3.1-8b-instant" });
+
+    expect((await update({ model: "llama-3.3-70b-versatile" })).status).toBe(200);
+  });
+
+  it("keeps the stored model valid when only the provider changes", async () => {
+    stored({ model: "llama-3.3-70b-versatile", provider: "groq" });
+
+    const res = await update({ provider: "gemini" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: "provider", message: "llama-3.3-70b-versatile is not a gemini model; send a model for it too" }
+    ]);
+    expect((await update({ provider: "gemini", model: "gemini-2.5-pro" })).status).toBe(200);
+  });
+
+  it("answers 404 for someone else's persona", async () => {
+    stored(null);
+    personaModel.findOneAndUpdate.mockResolvedValue(null);
+
+    expect((await update({ model: "gemini-2.5-pro" })).status).toBe(404);
+  });
+});
+
+
+describe("streamResponse", () => {
+  const reply = (provider, persona) =>
+    streamResponse([{ role: "user", content: "hi" }], user, { provider, persona });
+
+  it("uses the persona's model on its own provider", async () => {
+    await reply("gemini", { ...tutor, model: "gemini-2.5-pro", provider: "gemini" });
+
+    expect(gemini.stream.mock.calls[0][0]).toMatchObject({ model: "gemini-2.5-pro", temperature: 0.2 });
+  });
+
+  it("falls back to the provider's default model elsewhere", async () => {
+    await reply("gemini", { ...tutor, model: "llama-3.3-70b-versatile", provider: "groq" });
+    await reply("groq", { ...tutor, model: "gemini-2.5-pro", provider: "gemini" });
+
+    expect(gemini.stream.mock.calls[0][0].model).toBeUndefined();
+    expect(groq.stream.mock.calls[0][0].model).toBeUndefined();
+    // the rest of the persona still applies
+    expect(gemini.stream.mock.calls[0][0]).toMatchObject({ temperature: 0.2 });
+  });
+
+  it("treats personas without a provider as Groq ones", async () => {
+    const legacy = { ...tutor, model: "llama-3.3-70b-versatile" };
+
+    await reply("groq", legacy);
+    await reply("gemini", legacy);
+
+    expect(groq.stream.mock.calls[0][0].model).toBe("llama-3.3-70b-versatile");
+    expect(gemini.stream.mock.calls[0][0].model).toBeUndefined();
+  });
+
+  it("ignores a model the provider no longer lists", async () => {
+    await reply("groq", { ...tutor, model: "llama3-70b-8192", provider: "groq" });
+
+    expect(groq.stream.mock.calls[0][0].model).toBeUndefined();
+  });
+});
@@ -0,0 +1,222 @@
+const http = require("http");
+const { io: connect } = require("socket.io-client");
+
+process.env.DAILY_TOKEN_QUOTA = "1000";
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/usage.model", () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock("../services/memory.service", () => ({
+  createMemory: jest.fn()
+}));
+jest.mock("../services/context.service", () => ({
+  buildContext: jest.fn(async () => [{ role: "user", content: "hi" }]),
+  refreshSummary: jest.fn()
+}));
+jest.mock("../services/persona.service", () => ({
+  resolvePersona: jest.fn(async () => null)
+}));
+jest.mock("../services/llm.service", () => ({
+  PROVIDER_NAMES: ["groq", "gemini", "mock"],
+  generateTitle: jest.fn(async () => null),
+  streamResponse: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const usageModel = require("../models/usage.model");
+const { streamResponse } = require("../services/llm.service");
+const { checkQuota } = require("../services/usage.service");
+const initSocketServer = require("../sockets/socket.server");
+
+const PROMPT = "65a0000000000000000003a1";
+const REPLY = "65a0000000000000000003a2";
+
+let user;
+
+// today's usage row of the user
+function spent(promptTokens, completionTokens = 0) {
+  usageModel.findOne.mockReturnValue(lean({ promptTokens, completionTokens, requests: 1 }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  user = { _id: ALICE };
+  spent(0);
+});
+
+
+describe("checkQuota", () => {
+  it("allows replies until today's tokens reach the limit", async () => {
+    spent(600, 399);
+    expect(await checkQuota(user)).toMatchObject({ allowed: true, used: 999, limit: 1000 });
+
+    spent(600, 400);
+    const quota = await checkQuota(user);
+    expect(quota).toMatchObject({ allowed: false, used: 1000, limit: 1000 });
+    expect(quota.resetsAt.toISOString()).toMatch(/T00:00:00\.000Z$/);
+    expect(usageModel.findOne.mock.calls[0][0]).toEqual({ user: ALICE, day: new Date().toISOString().slice(0, 10) });
+  });
+
+  it("uses the user's own limit over DAILY_TOKEN_QUOTA", async () => {
+    spent(1500);
+
+    expect(await checkQuota({ ...user, dailyTokenQuota: 2000 })).toMatchObject({ allowed: true, limit: 2000 });
+    expect(await checkQuota({ ...user, dailyTokenQuota: 100 })).toMatchObject({ allowed: false, limit: 100 });
+  });
+
+  it("lets a limit of 0 mean unlimited", async () => {
+    spent(1e9);
+
+    expect(await checkQuota({ ...user, dailyTokenQuota: 0 })).toEqual({ allowed: true, limit: 0 });
+    expect(usageModel.findOne).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("quota-exceeded", () => {
+  let server;
+  let url;
+  let ids = 0;
+  const sockets = [];
+
+  beforeAll(done => {
+    server = http.createServer();
+    initSocketServer(server);
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    userModel.findById.mockImplementation(async () => user);
+    chatModel.findById.mockReturnValue(lean({ _id: CHAT, user: ALICE, title: "Chat", activeLeaf: REPLY }));
+    const store = messageStore([
+      { _id: PROMPT, parent: null, role: "user", content: "hi", createdAt: new Date(1) },
+      { _id: REPLY, parent: PROMPT, role: "model", content: "hello", createdAt: new Date(2) }
+    ]);
+    messageModel.find.mockImplementation(store.find);
+    messageModel.findOne.mockImplementation(store.findOne);
+    messageModel.create.mockImplementation(async doc => {
+      const saved = { _id: `65a0000000000000000003${String(ids++).padStart(2, "0")}`, ...doc };
+      return { ...saved, toObject: () => saved };
+    });
+    streamResponse.mockImplementation(async (messages, u, { onToken }) => {
+      onToken("ok");
+      return "ok";
+    });
+  });
+
+  afterEach(() => {
+    while (sockets.length) sockets.pop().disconnect();
+  });
+
+  function connectAs(userId) {
+    return new Promise((resolve, reject) => {
+      const socket = connect(url, {
+        transports: ["websocket"],
+        extraHeaders: { cookie: `token=${userId}` }
+      });
+      sockets.push(socket);
+      socket.on("connect", () => resolve(socket));
+      socket.on("connect_error", reject);
+    });
+  }
+
+  const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+  it("stops a new message before anything is saved", async () => {
+    spent(900, 100);
+
+    const socket = await connectAs(ALICE);
+    const exceeded = next(socket, "quota-exceeded");
+    socket.emit("ai-message", { chat: CHAT, content: "one more?" });
+
+    expect(await exceeded).toMatchObject({
+      chat: CHAT,
+      used: 1000,
+      limit: 1000,
+      message: expect.stringMatching(/^Daily token limit reached \(1000\/1000\)/)
+    });
+    expect(messageModel.create).not.toHaveBeenCalled();
+    expect(chatModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(streamResponse).not.toHaveBeenCalled();
+  });
+
+  it("stops a regenerate too", async () => {
+    spent(1000);
+
+    const socket = await connectAs(ALICE);
+    const exceeded = next(socket, "quota-exceeded");
+    socket.emit("regenerate", { chat: CHAT });
+
+    expect(await exceeded).toMatchObject({ chat: CHAT, limit: 1000 });
+    expect(streamResponse).not.toHaveBeenCalled();
+    expect(messageModel.create).not.toHaveBeenCalled();
+  });
+
+  it("frees the chat for the next message once the user has tokens again", async () => {
+    spent(1000);
+
+    const socket = await connectAs(ALICE);
+    const exceeded = next(socket, "quota-exceeded");
+    socket.emit("ai-message", { chat: CHAT, content: "one more?" });
+    await exceeded;
+
+    user.dailyTokenQuota = 5000;
+    const done = next(socket, "ai-response-done");
+    socket.emit("ai-message", { chat: CHAT, content: "one more?" });
+
+    expect(await done).toMatchObject({ chat: CHAT, content: "ok" });
+    expect(streamResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it("counts the tool rounds of a reply stopped after a tool step", async () => {
+    streamResponse
+      .mockImplementationOnce(async (messages, u, { onToolCalls, onUsage }) => {
+        onUsage({ promptTokens: 40, completionTokens: 6 });
+        onToolCalls([{ id: "call_1", name: "current_time", arguments: "{}" }]);
+        return "";
+      })
+      .mockImplementationOnce((messages, u, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason));
+      }));
+
+    const socket = await connectAs(ALICE);
+    const step = next(socket, "ai-tool-step");
+    const done = next(socket, "ai-response-done");
+    socket.emit("ai-message", { chat: CHAT, content: "time?" });
+
+    await step;
+    socket.emit("stop-generation", { chat: CHAT });
+
+    expect(await done).toMatchObject({ chat: CHAT, messageId: null, truncated: true });
+    expect(usageModel.updateOne).toHaveBeenCalledWith(
+      { user: ALICE, day: new Date().toISOString().slice(0, 10) },
+      { $inc: { promptTokens: 40, completionTokens: 6, requests: 1 } },
+      { upsert: true }
+    );
+  });
+});
@@ -0,0 +1,88 @@
+const express = require("express");
+const request = require("supertest");
+
+// overrides are read when the service loads
+process.env.RATE_LIMIT_LOGIN = "2/1m";
+process.env.RATE_LIMIT_EMAIL = "1/1h";
+process.env.RATE_LIMIT_AI_MESSAGE = "2/1m";
+
+const { rateLimit } = require("../middlewares/rateLimit.middleware");
+const { consume } = require("../services/rateLimit.service");
+
+function buildApp() {
+  const app = express();
+
+  // stands in for authUser
+  app.use((req, res, next) => {
+    if (req.get("x-user")) req.user = { _id: req.get("x-user") };
+    next();
+  });
+
+  app.post("/login", rateLimit("login"), (req, res) => res.json({ ok: true }));
+  app.post("/resend", rateLimit("email"), (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe("rateLimit middleware", () => {
+  const app = buildApp();
+
+  it("sends RateLimit headers and answers 429 once the window is spent", async () => {
+    const first = await request(app).post("/login");
+    expect(first.statusCode).toBe(200);
+    expect(first.headers["ratelimit-limit"]).toBe("2");
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+
+    await request(app).post("/login");
+    const blocked = await request(app).post("/login");
+
+    expect(blocked.statusCode).toBe(429);
+    expect(blocked.headers["ratelimit-remaining"]).toBe("0");
+    expect(Number(blocked.headers["retry-after"])).toBeGreaterThan(0);
+    expect(blocked.body).toHaveProperty("retryAfter");
+  });
+
+  it("counts signed-in users per user and per IP", async () => {
+    expect((await request(app).post("/resend").set("x-user", "alice")).statusCode).toBe(200);
+    expect((await request(app).post("/resend").set("x-user", "alice")).statusCode).toBe(429);
+    // same IP, so the IP window is spent too
+    expect((await request(app).post("/resend").set("x-user", "bob")).statusCode).toBe(429);
+  });
+});
+
+describe("consume", () => {
+  it("counts per IP for ip policies", async () => {
+    await consume("login", { ip: "10.0.0.1" });
+    await consume("login", { ip: "10.0.0.1" });
+
+    expect((await consume("login", { ip: "10.0.0.1" })).allowed).toBe(false);
+    expect((await consume("login", { ip: "10.0.0.2" })).allowed).toBe(true);
+  });
+
+  it("counts user+ip policies per user and per IP", async () => {
+    // one user, a new IP every time
+    await consume("ai-message", { user: "carol", ip: "10.0.1.1" });
+    await consume("ai-message", { user: "carol", ip: "10.0.1.2" });
+    expect((await consume("ai-message", { user: "carol", ip: "10.0.1.3" })).allowed).toBe(false);
+
+    // many users, one IP
+    await consume("ai-message", { user: "dave", ip: "10.0.2.1" });
+    await consume("ai-message", { user: "erin", ip: "10.0.2.1" });
+    const blocked = await consume("ai-message", { user: "frank", ip: "10.0.2.1" });
+    expect(blocked).toMatchObject({ allowed: false, remaining: 0 });
+    expect(blocked.retryAfter).toBeGreaterThan(0);
+
+    // signed out: per IP only
+    expect((await consume("ai-message", { ip: "10.0.3.1" })).allowed).toBe(true);
+  });
+
+  it("reports the key closest to its limit", async () => {
+    await consume("ai-message", { user: "gina", ip: "10.0.4.1" });
+
+    expect(await consume("ai-message", { user: "hank", ip: "10.0.4.1" })).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it("rejects unknown policies", async () => {
+    await expect(consume("nope", { ip: "10.0.0.1" })).rejects.toThrow("Unknown rate limit policy");
+  });
+});
@@ -0,0 +1,152 @@
+const request = require("supertest");
+
+process.env.JWT_SECRET = "test-secret";
+
+jest.mock("../models/session.model", () => {
+  const docs = [];
+  let ids = 0;
+
+  // awaitable directly (rotateSession) or through .lean() (verifyAccessToken)
+  const query = value => ({
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) =>
+      value === null ? doc[key] == null : String(doc[key]) === String(value)
+    );
+
+  function SessionModel(doc) {
+    Object.assign(this, {
+      _id: `65a00000000000000000e0${String(ids++).padStart(2, "0")}`,
+      rotatedHashes: [],
+      revokedAt: null,
+      lastUsedAt: new Date(),
+      ...doc
+    });
+  }
+  SessionModel.prototype.save = async function () {
+    docs.push(this);
+    return this;
+  };
+
+  SessionModel.docs = docs;
+  SessionModel.findById = jest.fn(id => query(docs.find(d => d._id === String(id)) || null));
+  SessionModel.findOneAndUpdate = jest.fn(async (filter, { $push, ...update }) => {
+    const doc = docs.find(d => matches(d, filter));
+    if (!doc) return null;
+
+    Object.assign(doc, update);
+    for (const [key, { $each, $slice }] of Object.entries($push || {})) {
+      doc[key] = [...doc[key], ...$each].slice($slice);
+    }
+    return doc;
+  });
+
+  return SessionModel;
+});
+
+const { ALICE } = require("./helpers");
+const sessionModel = require("../models/session.model");
+const { createSession } = require("../services/session.service");
+const app = require("../app");
+
+const device = { get: () => "jest", ip: "127.0.0.1" };
+
+// value of a Set-Cookie header, "" when cleared
+function cookie(res, name) {
+  const header = (res.headers["set-cookie"] || []).find(c => c.startsWith(`${name}=`));
+  return header && decodeURIComponent(header.slice(name.length + 1).split(";")[0]);
+}
+
+const refresh = token => request(app).post("/api/auth/refresh").set("Cookie", `refreshToken=${token}`);
+const logout = token => request(app).get("/api/auth/logout").set("Cookie", `refreshToken=${token}`);
+
+async function signIn() {
+  const { session, refreshToken } = await createSession({ _id: ALICE }, device);
+  return { session, refreshToken };
+}
+
+beforeEach(() => {
+  sessionModel.docs.length = 0;
+  jest.clearAllMocks();
+});
+
+
+describe("refresh", () => {
+  it("swaps the refresh token for a new pair", async () => {
+    const { session, refreshToken } = await signIn();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    const next = cookie(res, "refreshToken");
+    expect(next).toMatch(new RegExp(`^${session._id}\\.`));
+    expect(next).not.toBe(refreshToken);
+    expect(cookie(res, "token")).toBeTruthy();
+    expect(session.rotatedHashes).toHaveLength(1);
+
+    expect((await refresh(next)).status).toBe(200);
+  });
+
+  it("revokes the session when a rotated token comes back", async () => {
+    const { session, refreshToken } = await signIn();
+    const next = cookie(await refresh(refreshToken), "refreshToken");
+    session.lastUsedAt = new Date(Date.now() - 60 * 1000);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("refresh token reuse detected");
+    expect(cookie(res, "refreshToken")).toBe("");
+    expect(session).toMatchObject({ revokedReason: "reuse" });
+
+    // the thief's rotated token dies with it
+    expect((await refresh(next)).status).toBe(401);
+  });
+
+  it("keeps the session when a parallel request just rotated the token", async () => {
+    const { session, refreshToken } = await signIn();
+    const next = cookie(await refresh(refreshToken), "refreshToken");
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("refresh token already rotated");
+    expect(res.headers["set-cookie"]).toBeUndefined();
+    expect(session.revokedAt).toBeNull();
+    expect((await refresh(next)).status).toBe(200);
+  });
+
+  it("rejects unknown and forged tokens", async () => {
+    const { session } = await signIn();
+
+    expect((await refresh("nonsense")).status).toBe(401);
+    expect((await refresh(`${session._id}.forged`)).body.message).toBe("invalid refresh token");
+    expect(session.revokedAt).toBeNull();
+  });
+});
+
+
+describe("logout", () => {
+  it("revokes the session of the current refresh token", async () => {
+    const { session, refreshToken } = await signIn();
+
+    const res = await logout(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(cookie(res, "refreshToken")).toBe("");
+    expect(session).toMatchObject({ revokedReason: "logout" });
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  it("leaves the session alone for a cookie with only its id", async () => {
+    const { session, refreshToken } = await signIn();
+
+    const res = await logout(`${session._id}.forged`);
+
+    expect(res.status).toBe(200);
+    expect(session.revokedAt).toBeNull();
+    expect((await refresh(refreshToken)).status).toBe(200);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require("supertest");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+// in-memory stand-in for the shares collection
+jest.mock("../models/share.model", () => {
+  const docs = [];
+  const { lean } = require("./helpers");
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+  return {
+    docs,
+    create: jest.fn(async doc => {
+      const saved = { expiresAt: null, revokedAt: null, ...doc, createdAt: new Date() };
+      docs.push(saved);
+      return saved;
+    }),
+    findOne: jest.fn(filter => lean(docs.find(d => matches(d, filter)) || null)),
+    find: jest.fn(filter => ({ sort: () => lean(docs.filter(d => matches(d, filter))) })),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) Object.assign(doc, update);
+      return lean(doc || null);
+    })
+  };
+});
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, BOB, CHAT, lean } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const shareModel = require("../models/share.model");
+const app = require("../app");
+
+
+let history;
+
+function message(id, parent, role, content) {
+  return { _id: `65a00000000000000000${id}`, parent, role, content, createdAt: new Date() };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  shareModel.docs.length = 0;
+
+  const question = message("0001", null, "user", "What is a closure?");
+  const answer = message("0002", question._id, "model", "A function with its scope.");
+  history = [question, answer];
+
+  userModel.findById.mockImplementation(async id => ({ _id: id }));
+  chatModel.findById.mockImplementation(() =>
+    lean({ _id: CHAT, user: ALICE, title: "Closures", activeLeaf: history[history.length - 1]?._id })
+  );
+  messageModel.find.mockImplementation(() => ({ sort: () => lean(history) }));
+});
+
+async function share(body = {}) {
+  return request(app)
+    .post(`/api/chat/${CHAT}/share`)
+    .set("Cookie", `token=${ALICE}`)
+    .send(body);
+}
+
+
+describe("sharing a chat", () => {
+  it("creates a link that works without signing in", async () => {
+    const created = await share();
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.share).toMatchObject({ title: "Closures", messageCount: 2, active: true, expiresAt: null });
+    expect(created.body.share.slug).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(created.body.share.url).toMatch(new RegExp(`/share/${created.body.share.slug}$`));
+
+    const res = await request(app).get(`/api/share/${created.body.share.slug}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["cache-control"]).toBe("no-store");
+    expect(res.body.share.messages.map(m => m.content)).toEqual([
+      "What is a closure?",
+      "A function with its scope."
+    ]);
+  });
+
+  it("keeps the snapshot as it was when shared", async () => {
+    const { body } = await share();
+
+    history.push(message("0003", history[1]._id, "user", "Something private"));
+
+    const res = await request(app).get(`/api/share/${body.share.slug}`);
+
+    expect(res.body.share.messages).toHaveLength(2);
+    expect(JSON.stringify(res.body)).not.toContain("Something private");
+  });
+
+  it("gives every share its own slug", async () => {
+    const first = await share();
+    const second = await share();
+
+    expect(first.body.share.slug).not.toBe(second.body.share.slug);
+  });
+
+  it("refuses to share an empty chat", async () => {
+    history = [];
+
+    const res = await share();
+
+    expect(res.statusCode).toBe(400);
+    expect(shareModel.create).not.toHaveBeenCalled();
+  });
+
+  it("does not let another user share the chat", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${CHAT}/share`)
+      .set("Cookie", `token=${BOB}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(shareModel.create).not.toHaveBeenCalled();
+  });
+});
+
+
+describe("revoking and expiry", () => {
+  it("stops a revoked link with 410", async () => {
+    const { body } = await share();
+
+    const revoked = await request(app)
+      .delete(`/api/share/${body.share.slug}`)
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(revoked.statusCode).toBe(200);
+    expect(revoked.body.share.active).toBe(false);
+
+    const res = await request(app).get(`/api/share/${body.share.slug}`);
+    expect(res.statusCode).toBe(410);
+    expect(res.body).not.toHaveProperty("share");
+  });
+
+  it("does not let another user revoke the link", async () => {
+    const { body } = await share();
+
+    const res = await request(app)
+      .delete(`/api/share/${body.share.slug}`)
+      .set("Cookie", `token=${BOB}`);
+
+    expect(res.statusCode).toBe(404);
+    expect((await request(app).get(`/api/share/${body.share.slug}`)).statusCode).toBe(200);
+  });
+
+  it("stops an expired link with 410", async () => {
+    const { body } = await share({ expiresInDays: 7 });
+
+    expect(new Date(body.share.expiresAt).getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+
+    shareModel.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await request(app).get(`/api/share/${body.share.slug}`);
+    expect(res.statusCode).toBe(410);
+  });
+
+  it("rejects an out-of-range expiry", async () => {
+    const res = await share({ expiresInDays: 0 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].field).toBe("expiresInDays");
+  });
+
+  it("lists the chat's links for the owner", async () => {
+    await share();
+
+    const res = await request(app)
+      .get(`/api/chat/${CHAT}/shares`)
+      .set("Cookie", `token=${ALICE}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.shares).toHaveLength(1);
+  });
+
+  it("answers 404 for an unknown slug and 400 for a malformed one", async () => {
+    expect((await request(app).get(`/api/share/${"a".repeat(22)}`)).statusCode).toBe(404);
+    expect((await request(app).get("/api/share/short")).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,202 @@
+const http = require("http");
+const { io: connect } = require("socket.io-client");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../services/memory.service", () => ({
+  createMemory: jest.fn()
+}));
+jest.mock("../services/context.service", () => ({
+  buildContext: jest.fn(async () => []),
+  refreshSummary: jest.fn()
+}));
+jest.mock("../services/persona.service", () => ({
+  resolvePersona: jest.fn(async () => null)
+}));
+jest.mock("../services/usage.service", () => ({
+  checkQuota: jest.fn(async () => ({ allowed: true })),
+  recordUsage: jest.fn()
+}));
+// replies stream until aborted, so stop-generation can be tested too
+jest.mock("../services/llm.service", () => ({
+  PROVIDER_NAMES: ["groq", "gemini", "mock"],
+  generateTitle: jest.fn(async () => null),
+  streamResponse: jest.fn(async (context, user, { signal, onToken }) => {
+    onToken("Hello");
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, 300);
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new Error("aborted"));
+      });
+    });
+    onToken(" there");
+  })
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, BOB, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const initSocketServer = require("../sockets/socket.server");
+
+
+let server;
+let url;
+let ids = 0;
+const sockets = [];
+
+beforeAll(done => {
+  server = http.createServer();
+  initSocketServer(server);
+  server.listen(0, () => {
+    url = `http://localhost:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  userModel.findById.mockImplementation(async id => ({ _id: id }));
+  chatModel.findById.mockReturnValue(lean({ _id: CHAT, user: ALICE, title: "Chat" }));
+  const store = messageStore([]);
+  messageModel.find.mockImplementation(store.find);
+  messageModel.findOne.mockImplementation(store.findOne);
+  messageModel.create.mockImplementation(async doc => {
+    const saved = { _id: `65a0000000000000000001${String(ids++).padStart(2, "0")}`, ...doc };
+    return { ...saved, toObject: () => saved };
+  });
+});
+
+afterEach(() => {
+  while (sockets.length) sockets.pop().disconnect();
+});
+
+function connectAs(userId) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(url, {
+      transports: ["websocket"],
+      extraHeaders: { cookie: `token=${userId}` }
+    });
+    sockets.push(socket);
+    socket.on("connect", () => resolve(socket));
+    socket.on("connect_error", reject);
+  });
+}
+
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+describe("user rooms", () => {
+  it("streams a reply to every tab of the user, and only theirs", async () => {
+    const sender = await connectAs(ALICE);
+    const otherTab = await connectAs(ALICE);
+    const stranger = await connectAs(BOB);
+
+    const strangerEvents = [];
+    stranger.onAny(event => strangerEvents.push(event));
+
+    const saved = next(otherTab, "user-message-saved");
+    const done = next(otherTab, "ai-response-done");
+    sender.emit("ai-message", { chat: CHAT, content: "hi" });
+
+    expect(await saved).toMatchObject({ chat: CHAT, content: "hi" });
+    expect(await done).toMatchObject({ chat: CHAT, content: "Hello there", truncated: false });
+    expect(strangerEvents).toEqual([]);
+  });
+
+  it("lets another tab stop the reply", async () => {
+    const sender = await connectAs(ALICE);
+    const otherTab = await connectAs(ALICE);
+
+    const firstChunk = next(otherTab, "ai-response-chunk");
+    const done = next(sender, "ai-response-done");
+    sender.emit("ai-message", { chat: CHAT, content: "hi" });
+
+    await firstChunk;
+    otherTab.emit("stop-generation", { chat: CHAT });
+
+    expect(await done).toMatchObject({ content: "Hello", truncated: true });
+  });
+
+  it("ignores stop-generation from another user", async () => {
+    const sender = await connectAs(ALICE);
+    const stranger = await connectAs(BOB);
+
+    const firstChunk = next(sender, "ai-response-chunk");
+    const done = next(sender, "ai-response-done");
+    sender.emit("ai-message", { chat: CHAT, content: "hi" });
+
+    await firstChunk;
+    stranger.emit("stop-generation", { chat: CHAT });
+
+    expect(await done).toMatchObject({ content: "Hello there", truncated: false });
+  });
+});
+
+
+describe("busy and missing targets", () => {
+  it("answers 409 to a second message while a reply is running", async () => {
+    const sender = await connectAs(ALICE);
+    const otherTab = await connectAs(ALICE);
+
+    const firstChunk = next(sender, "ai-response-chunk");
+    const done = next(sender, "ai-response-done");
+    sender.emit("ai-message", { chat: CHAT, content: "hi" });
+    await firstChunk;
+
+    const error = next(otherTab, "ai-error");
+    otherTab.emit("regenerate", { chat: CHAT });
+
+    expect(await error).toMatchObject({ chat: CHAT, status: 409 });
+    await done;
+  });
+
+  it("lets only one of two simultaneous messages through", async () => {
+    const sender = await connectAs(ALICE);
+
+    const error = next(sender, "ai-error");
+    const done = next(sender, "ai-response-done");
+    sender.emit("ai-message", { chat: CHAT, content: "one" });
+    sender.emit("ai-message", { chat: CHAT, content: "two" });
+
+    expect(await error).toMatchObject({ chat: CHAT, status: 409 });
+    await done;
+    expect(messageModel.create.mock.calls.filter(([doc]) => doc.role === "user")).toHaveLength(1);
+  });
+
+  it("answers 404 to an edit of an unknown message", async () => {
+    const sender = await connectAs(ALICE);
+
+    const error = next(sender, "ai-error");
+    sender.emit("ai-message", { chat: CHAT, content: "hi", editOf: "65a0000000000000000000e9" });
+
+    expect(await error).toMatchObject({ chat: CHAT, status: 404, message: "message not found" });
+    expect(messageModel.create).not.toHaveBeenCalled();
+  });
+
+  it("answers 404 to regenerate in a chat without messages", async () => {
+    const sender = await connectAs(ALICE);
+
+    const error = next(sender, "ai-error");
+    sender.emit("regenerate", { chat: CHAT });
+
+    expect(await error).toMatchObject({ chat: CHAT, status: 404 });
+  });
+});
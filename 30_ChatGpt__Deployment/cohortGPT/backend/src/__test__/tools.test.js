@@ -0,0 +1,334 @@
+const http = require("http");
+const { io: connect } = require("socket.io-client");
+
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/message.model", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn()
+}));
+jest.mock("../models/attachment.model", () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock("../services/search.service", () => ({
+  textSearch: jest.fn()
+}));
+jest.mock("../services/memory.service", () => ({
+  createMemory: jest.fn()
+}));
+jest.mock("../services/context.service", () => ({
+  buildContext: jest.fn(async () => [{ role: "user", content: "what is 6*7?" }]),
+  refreshSummary: jest.fn()
+}));
+jest.mock("../services/persona.service", () => ({
+  resolvePersona: jest.fn(async () => null)
+}));
+jest.mock("../services/usage.service", () => ({
+  checkQuota: jest.fn(async () => ({ allowed: true })),
+  recordUsage: jest.fn()
+}));
+jest.mock("../services/llm.service", () => ({
+  PROVIDER_NAMES: ["groq", "gemini", "mock"],
+  generateTitle: jest.fn(async () => null),
+  streamResponse: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT, lean, messageStore } = require("./helpers");
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const userModel = require("../models/user.model");
+const attachmentModel = require("../models/attachment.model");
+const { textSearch } = require("../services/search.service");
+const { streamResponse } = require("../services/llm.service");
+const { MAX_TOOL_STEPS, calculate, runTool } = require("../services/tool.service");
+const initSocketServer = require("../sockets/socket.server");
+
+const context = { user: { _id: ALICE }, chat: { _id: CHAT } };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+
+describe("calculator", () => {
+  it("follows operator precedence", () => {
+    expect(calculate("2 + 3 * (4 - 1)^2")).toBe("29");
+    expect(calculate("-2^2")).toBe("-4");
+    expect(calculate("2**10 % 1000")).toBe("24");
+    expect(calculate("max(1, sqrt(16), 3) * pi / pi")).toBe("4");
+  });
+
+  it("rounds away floating point noise", () => {
+    expect(calculate("0.1 + 0.2")).toBe("0.3");
+  });
+
+  it("never evaluates anything but arithmetic", async () => {
+    for (const expression of ["process.exit(1)", "constructor", "1; 2", "1/0"]) {
+      const result = await runTool({ name: "calculator", arguments: JSON.stringify({ expression }) }, context);
+      expect(result.ok).toBe(false);
+      expect(result.content).toMatch(/^Error: /);
+    }
+  });
+});
+
+
+describe("runTool", () => {
+  it("reports unknown tools and bad arguments back to the model", async () => {
+    expect(await runTool({ name: "rm_rf", arguments: "{}" }, context))
+      .toMatchObject({ ok: false, content: 'Error: unknown tool "rm_rf"' });
+    expect(await runTool({ name: "calculator", arguments: "{oops" }, context))
+      .toMatchObject({ ok: false, content: "Error: arguments must be a JSON object" });
+  });
+
+  it("tells the time in a given zone and rejects unknown zones", async () => {
+    const ok = await runTool({ name: "current_time", arguments: '{"timeZone":"Asia/Kolkata"}' }, context);
+    expect(ok).toMatchObject({ ok: true, arguments: { timeZone: "Asia/Kolkata" } });
+    expect(ok.content).toContain("(Asia/Kolkata)");
+
+    const bad = await runTool({ name: "current_time", arguments: '{"timeZone":"Mars/Olympus"}' }, context);
+    expect(bad).toMatchObject({ ok: false, content: 'Error: unknown time zone "Mars/Olympus"' });
+  });
+
+  it("searches only the user's own chats", async () => {
+    textSearch.mockResolvedValue([{
+      chat: { title: "Trip plans", lastActivity: new Date("2026-05-01") },
+      hits: [{ role: "user", snippet: "…flights to Lisbon…" }]
+    }]);
+
+    const result = await runTool({ name: "search_chats", arguments: { query: "Lisbon", limit: 50 } }, context);
+
+    expect(textSearch).toHaveBeenCalledWith({ user: ALICE, q: "Lisbon", limit: 10 });
+    expect(result.content).toBe('Chat "Trip plans" (last active 2026-05-01)\n- User: …flights to Lisbon…');
+  });
+
+  it("reads one of the user's documents by name", async () => {
+    attachmentModel.find.mockReturnValue({
+      sort: () => ({ limit: () => lean([{ _id: "a2", name: "notes-v2.md" }, { _id: "a1", name: "notes.md" }]) })
+    });
+    attachmentModel.findById.mockReturnValue(lean({ text: "remember the milk" }));
+
+    const result = await runTool({ name: "read_attachment", arguments: '{"name":"NOTES.md"}' }, context);
+
+    expect(attachmentModel.find.mock.calls[0][0]).toEqual({ user: ALICE, kind: "document" });
+    expect(attachmentModel.findById).toHaveBeenCalledWith("a1", "text");
+    expect(result).toMatchObject({ ok: true, content: "--- notes.md ---\nremember the milk" });
+  });
+
+  it("lists the uploads when no document matches", async () => {
+    attachmentModel.find.mockReturnValue({
+      sort: () => ({ limit: () => lean([{ _id: "a1", name: "notes.md" }]) })
+    });
+
+    const result = await runTool({ name: "read_attachment", arguments: '{"name":"report.pdf"}' }, context);
+
+    expect(result).toMatchObject({
+      ok: false,
+      content: 'Error: no document named "report.pdf". Uploaded documents: notes.md'
+    });
+  });
+});
+
+
+describe("tool loop", () => {
+  let server;
+  let url;
+  let ids = 0;
+  const sockets = [];
+
+  beforeAll(done => {
+    server = http.createServer();
+    initSocketServer(server);
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    userModel.findById.mockImplementation(async id => ({ _id: id }));
+    chatModel.findById.mockReturnValue(lean({ _id: CHAT, user: ALICE, title: "Chat" }));
+    const store = messageStore([]);
+    messageModel.find.mockImplementation(store.find);
+    messageModel.findOne.mockImplementation(store.findOne);
+    messageModel.create.mockImplementation(async doc => {
+      const saved = { _id: `65a0000000000000000002${String(ids++).padStart(2, "0")}`, ...doc };
+      return { ...saved, toObject: () => saved };
+    });
+  });
+
+  afterEach(() => {
+    while (sockets.length) sockets.pop().disconnect();
+  });
+
+  function connectAs(userId) {
+    return new Promise((resolve, reject) => {
+      const socket = connect(url, {
+        transports: ["websocket"],
+        extraHeaders: { cookie: `token=${userId}` }
+      });
+      sockets.push(socket);
+      socket.on("connect", () => resolve(socket));
+      socket.on("connect_error", reject);
+    });
+  }
+
+  const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+  const created = role => messageModel.create.mock.calls.map(([doc]) => doc).filter(doc => doc.role === role);
+
+  it("runs the calls, then saves each step and the reply below it", async () => {
+    streamResponse
+      .mockImplementationOnce(async (messages, user, { onToolCalls, onUsage }) => {
+        onUsage({ promptTokens: 10, completionTokens: 5 });
+        onToolCalls([{ id: "call_1", name: "calculator", arguments: '{"expression":"6*7"}' }]);
+        return "";
+      })
+      .mockImplementationOnce(async (messages, user, { onToken, onUsage }) => {
+        onUsage({ promptTokens: 20, completionTokens: 2 });
+        onToken("42");
+        return "42";
+      });
+
+    const socket = await connectAs(ALICE);
+    const step = next(socket, "ai-tool-step");
+    const done = next(socket, "ai-response-done");
+    socket.emit("ai-message", { chat: CHAT, content: "what is 6*7?" });
+
+    expect(await step).toMatchObject({
+      chat: CHAT,
+      tool: { name: "calculator", arguments: { expression: "6*7" }, ok: true },
+      content: "42"
+    });
+    const reply = await done;
+
+    // second round sees the call and its result
+    const [secondRound, , options] = streamResponse.mock.calls[1];
+    expect(secondRound.slice(-2)).toEqual([
+      { role: "model", content: "", toolCalls: [{ id: "call_1", name: "calculator", arguments: '{"expression":"6*7"}' }] },
+      { role: "tool", toolCallId: "call_1", name: "calculator", content: "42" }
+    ]);
+    expect(options.tools.map(t => t.name)).toContain("calculator");
+
+    const [userMessage] = created("user");
+    const [toolStep] = created("system");
+    const [modelMessage] = created("model");
+    const stepId = messageModel.create.mock.calls.findIndex(([doc]) => doc === toolStep);
+    const savedStep = await messageModel.create.mock.results[stepId].value;
+
+    expect(toolStep).toMatchObject({
+      content: "42",
+      tool: { name: "calculator", ok: true },
+      parent: (await messageModel.create.mock.results[0].value)._id
+    });
+    expect(userMessage.content).toBe("what is 6*7?");
+    expect(modelMessage).toMatchObject({
+      parent: savedStep._id,
+      content: "42",
+      usage: { promptTokens: 30, completionTokens: 7 }
+    });
+    expect(reply).toMatchObject({ content: "42", parent: savedStep._id });
+  });
+
+  it("stops offering tools after MAX_TOOL_STEPS rounds", async () => {
+    let call = 0;
+    streamResponse.mockImplementation(async (messages, user, { tools, onToolCalls, onToken }) => {
+      if (tools) {
+        onToolCalls([{ id: `call_${call++}`, name: "current_time", arguments: "{}" }]);
+        return "";
+      }
+      onToken("It is late.");
+      return "It is late.";
+    });
+
+    const socket = await connectAs(ALICE);
+    const done = next(socket, "ai-response-done");
+    socket.emit("ai-message", { chat: CHAT, content: "what time is it?" });
+
+    expect(await done).toMatchObject({ content: "It is late." });
+    expect(streamResponse).toHaveBeenCalledTimes(MAX_TOOL_STEPS + 1);
+    expect(created("system")).toHaveLength(MAX_TOOL_STEPS);
+  });
+
+  it("saves no steps when the reply fails", async () => {
+    streamResponse
+      .mockImplementationOnce(async (messages, user, { onToolCalls }) => {
+        onToolCalls([{ id: "call_1", name: "current_time", arguments: "{}" }]);
+        return "";
+      })
+      .mockRejectedValueOnce(new Error("model down"));
+
+    const socket = await connectAs(ALICE);
+    const error = next(socket, "ai-error");
+    socket.emit("ai-message", { chat: CHAT, content: "time?" });
+
+    expect(await error).toMatchObject({ chat: CHAT });
+    expect(created("system")).toHaveLength(0);
+    expect(created("model")).toHaveLength(0);
+  });
+
+  it("saves nothing of a reply that fails mid-stream", async () => {
+    streamResponse
+      .mockImplementationOnce(async (messages, user, { onToolCalls }) => {
+        onToolCalls([{ id: "call_1", name: "current_time", arguments: "{}" }]);
+        return "";
+      })
+      .mockImplementationOnce(async (messages, user, { onToken }) => {
+        onToken("It is ");
+        throw Object.assign(new Error("model down"), { partial: true });
+      });
+
+    const socket = await connectAs(ALICE);
+    const done = jest.fn();
+    socket.on("ai-response-done", done);
+    const error = next(socket, "ai-error");
+    socket.emit("ai-message", { chat: CHAT, content: "time?" });
+
+    expect(await error).toMatchObject({ chat: CHAT, message: "AI model temporarily unavailable. Please try again." });
+    // a save + ai-response-done would follow the error within a few ticks
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(done).not.toHaveBeenCalled();
+    expect(created("system")).toHaveLength(0);
+    expect(created("model")).toHaveLength(0);
+  });
+
+  it("saves nothing when the model ends without a reply", async () => {
+    streamResponse
+      .mockImplementationOnce(async (messages, user, { onToolCalls }) => {
+        onToolCalls([{ id: "call_1", name: "current_time", arguments: "{}" }]);
+        return "";
+      })
+      .mockImplementationOnce(async (messages, user, { onToken }) => {
+        onToken(" \n");
+        return " \n";
+      });
+
+    const socket = await connectAs(ALICE);
+    const step = next(socket, "ai-tool-step");
+    const error = next(socket, "ai-error");
+    socket.emit("ai-message", { chat: CHAT, content: "time?" });
+
+    await step;
+    const [userMessage] = created("user");
+    expect(await error).toMatchObject({
+      chat: CHAT,
+      parent: (await messageModel.create.mock.results[0].value)._id,
+      message: "The model returned an empty reply. Please try again."
+    });
+    expect(userMessage.content).toBe("time?");
+    expect(created("system")).toHaveLength(0);
+    expect(created("model")).toHaveLength(0);
+  });
+});
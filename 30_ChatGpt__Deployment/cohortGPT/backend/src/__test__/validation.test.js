@@ -0,0 +1,119 @@
+const request = require("supertest");
+
+process.env.RATE_LIMIT_REGISTER = "off";
+process.env.RATE_LIMIT_LOGIN = "off";
+
+jest.mock("../models/user.model", () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock("../models/chat.model", () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock("../models/persona.model", () => ({
+  create: jest.fn()
+}));
+jest.mock("../services/session.service", () => require("./helpers").mockSessionService());
+
+const { ALICE, CHAT } = require("./helpers");
+const userModel = require("../models/user.model");
+const chatModel = require("../models/chat.model");
+const personaModel = require("../models/persona.model");
+const { checkPayload, aiMessagePayload } = require("../middlewares/validator.middleware");
+const app = require("../app");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  userModel.findById.mockImplementation(async id => ({ _id: id, role: "user" }));
+});
+
+const asAlice = req => req.set("Cookie", `token=${ALICE}`);
+
+
+describe("400 bodies", () => {
+  it("lead with the first problem and list one per field", async () => {
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ fullName: { firstName: "  " }, email: "not-an-email", password: "short" });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      message: "first name must be 1-50 characters",
+      errors: [
+        { field: "fullName.firstName", message: "first name must be 1-50 characters" },
+        { field: "fullName.lastName", message: "last name is required" },
+        { field: "email", message: "invalid email format" },
+        { field: "password", message: "password must be at least 8 characters" }
+      ]
+    });
+    expect(userModel.create).not.toHaveBeenCalled();
+  });
+
+  it("report a missing field once, not once per rule", async () => {
+    const res = await request(app).post("/api/auth/login").send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: "email", message: "email is required" },
+      { field: "password", message: "password is required" }
+    ]);
+    expect(userModel.findOne).not.toHaveBeenCalled();
+  });
+
+  it("name a missing or empty email-link token", async () => {
+    for (const token of [undefined, ""]) {
+      const res = await request(app).post("/api/auth/verify-email").send({ token });
+      expect(res.body).toEqual({ message: "token is required", errors: [{ field: "token", message: "token is required" }] });
+    }
+  });
+
+  it("cover route params and query strings before any lookup", async () => {
+    const badId = await asAlice(request(app).put("/api/chat/nope/rename")).send({ title: "x" });
+    expect(badId.status).toBe(400);
+    expect(badId.body.errors).toEqual([{ field: "chatId", message: "chatId must be a valid id" }]);
+
+    const badLimit = await asAlice(request(app).get(`/api/chat/${CHAT}/messages?limit=0`));
+    expect(badLimit.status).toBe(400);
+    expect(badLimit.body.message).toBe("limit must be 1-200");
+
+    expect(chatModel.findById).not.toHaveBeenCalled();
+  });
+
+  it("reject out-of-range persona settings", async () => {
+    const res = await asAlice(request(app).post("/api/personas"))
+      .send({ name: "Tutor", instructions: "Be patient.", temperature: 3 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      message: "temperature must be between 0 and 2",
+      errors: [{ field: "temperature", message: "temperature must be between 0 and 2" }]
+    });
+    expect(personaModel.create).not.toHaveBeenCalled();
+  });
+
+  it("come after authentication on protected routes", async () => {
+    const res = await request(app).put("/api/chat/nope/rename").send({ title: "x" });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+
+describe("socket payloads", () => {
+  it("use the same body shape", async () => {
+    expect(await checkPayload(aiMessagePayload, { chat: CHAT, content: "   ", attachments: ["x"] })).toEqual({
+      message: "message is required",
+      errors: [
+        { field: "content", message: "message is required" },
+        { field: "attachments[0]", message: "attachments must be valid ids" }
+      ]
+    });
+  });
+
+  it("treat a missing payload as an empty one", async () => {
+    expect((await checkPayload(aiMessagePayload, undefined)).errors.map(e => e.field)).toEqual(["chat", "content"]);
+    expect(await checkPayload(aiMessagePayload, { chat: CHAT, content: "hi" })).toBeNull();
+  });
+});
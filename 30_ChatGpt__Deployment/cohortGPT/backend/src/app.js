@@ -1,13 +1,27 @@
 const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
+const passport = require("passport");
+const { configurePassport } = require("./services/oauth.service");
+const { rateLimit } = require("./middlewares/rateLimit.middleware");
 
 /* Routes */
 const authRoutes = require("./routes/auth.routes");
 const chatRoutes = require("./routes/chat.routes");
+const personaRoutes = require("./routes/persona.routes");
+const folderRoutes = require("./routes/folder.routes");
+const usageRoutes = require("./routes/usage.routes");
+const attachmentRoutes = require("./routes/attachment.routes");
+const shareRoutes = require("./routes/share.routes");
 
 const app = express();
 
+// behind a load balancer: TRUST_PROXY=1 (hops) or true, so req.ip is the client
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set("trust proxy", TRUST_PROXY === "true" ? true : Number(TRUST_PROXY) || TRUST_PROXY);
+}
+
 /* ========================================= */
 /* 🔐 CORS CONFIG                            */
 /* ========================================= */
@@ -21,20 +35,43 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"]
+    allowedHeaders: ["Content-Type", "Authorization"],
+    // lets the browser read export filenames and rate limits
+    exposedHeaders: [
+      "Content-Disposition",
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After"
+    ]
   })
 );
 
 /* ========================================= */
 /* 🧩 CORE MIDDLEWARE                        */
 /* ========================================= */
+// chat imports carry a whole conversation, give them more room
+app.use("/api/chat/import", express.json({ limit: process.env.IMPORT_BODY_LIMIT || "5mb" }));
 app.use(express.json());
 app.use(cookieParser());
 
+// Google sign-in (no-op without GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET)
+configurePassport();
+app.use(passport.initialize());
+
 /* ========================================= */
 /* 🚦 API ROUTES                             */
 /* ========================================= */
+// overall cap per IP; auth routes and socket events add their own
+app.use("/api", rateLimit("api"));
+
 app.use("/api/auth", authRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/personas", personaRoutes);
+app.use("/api/folders", folderRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/share", shareRoutes);
 
 module.exports = app;
@@ -0,0 +1,107 @@
+const attachmentModel = require("../models/attachment.model");
+const { readFile, removeFile } = require("../services/storage.service");
+const { uploadAttachments, toClientAttachment } = require("../services/attachment.service");
+
+
+/**
+ * UPLOAD ATTACHMENTS
+ * -----------------------------------
+ * - multipart "files" (images, PDFs, text files)
+ * - stored for the chat, sent later with
+ *   ai-message { attachments: [ids] }
+ */
+async function uploadChatAttachments(req, res) {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ message: "no files uploaded" });
+    }
+
+    const attachments = await uploadAttachments(req.files, {
+      user: req.user._id,
+      chat: req.chat._id
+    });
+
+    return res.status(201).json({
+      message: "files uploaded",
+      attachments: attachments.map(toClientAttachment)
+    });
+
+  } catch (err) {
+    return res.status(err.status || 500).json({
+      message: err.status ? err.message : "upload failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET ATTACHMENT
+ * -----------------------------------
+ * - the file itself, only for its owner
+ * - images inline, documents as a download
+ */
+async function getAttachment(req, res) {
+  try {
+    const attachment = await attachmentModel
+      .findOne({ _id: req.params.attachmentId, user: req.user._id })
+      .lean();
+
+    if (!attachment) {
+      return res.status(404).json({ message: "attachment not found" });
+    }
+
+    const data = await readFile(attachment);
+    const disposition = attachment.kind === "image" ? "inline" : "attachment";
+
+    res.set("Content-Type", attachment.mimeType);
+    res.set("Content-Disposition", `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+    res.set("Cache-Control", "private, max-age=86400");
+    res.set("X-Content-Type-Options", "nosniff");
+    return res.status(200).send(data);
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load attachment",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * DELETE ATTACHMENT
+ * -----------------------------------
+ * - only uploads not sent with a message yet
+ *   (sent ones go with their chat)
+ */
+async function deleteAttachment(req, res) {
+  try {
+    const attachment = await attachmentModel.findOneAndDelete({
+      _id: req.params.attachmentId,
+      user: req.user._id,
+      message: null
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ message: "attachment not found" });
+    }
+
+    await removeFile(attachment);
+
+    return res.status(200).json({ message: "attachment removed" });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to remove attachment",
+      error: err.message
+    });
+  }
+}
+
+
+module.exports = {
+  uploadChatAttachments,
+  getAttachment,
+  deleteAttachment
+};
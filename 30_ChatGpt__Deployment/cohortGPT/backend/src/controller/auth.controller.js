@@ -1,13 +1,32 @@
 const userModel=require('../models/user.model')
 const chatModel=require('../models/chat.model')
 const bcrypt=require("bcryptjs")
-const jwt=require("jsonwebtoken")
+const passport=require("passport")
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  listSessions,
+  setAuthCookies,
+  clearAuthCookies
+} = require("../services/session.service")
+const { isGoogleEnabled, createState, readState } = require("../services/oauth.service")
+const {
+  appUrl,
+  findUserByEmail,
+  sendVerificationEmail,
+  verifyEmail: confirmEmail,
+  requestPasswordReset,
+  resetPassword: applyPasswordReset
+} = require("../services/account.service")
 
 async function registerUser(req, res) {
   try {
     const { fullName: { firstName, lastName }, email, password } = req.body;
 
-    const isUserAlreadyExists = await userModel.findOne({ email });
+    const isUserAlreadyExists = await findUserByEmail(email);
 
     if (isUserAlreadyExists) {
       return res.status(400).json({ message: "user already exists" });
@@ -24,14 +43,16 @@ async function registerUser(req, res) {
       password: hashPassword
     });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    // failures are logged; the user can ask for another link
+    await sendVerificationEmail(user);
 
     return res.status(201).json({
-      message: "user registered successfully",
+      message: "user registered successfully, check your inbox to verify your email",
       user: {
         email: user.email,
         _id: user._id,
-        fullName: user.fullName
+        fullName: user.fullName,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -47,7 +68,7 @@ async function loginUser(req, res) {
   try {
     const { email, password } = req.body;
 
-    const user = await userModel.findOne({ email });
+    const user = await findUserByEmail(email);
 
     if (!user) {
       return res.status(400).json({ message: "invalid email" });
@@ -62,26 +83,32 @@ async function loginUser(req, res) {
       });
     }
 
+    if (!user.password) {
+      return res.status(400).json({ message: "this account uses Google sign-in" });
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
       return res.status(400).json({ message: "invalid password" });
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerified) {
+      return res.status(403).json({ message: "email not verified" });
+    }
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "none"
-    });
+    // short-lived access token + rotating refresh token for this device
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens);
 
     return res.status(200).json({
       message: "user logged in succesfully",
       user: {
         email: user.email,
         _id: user.id,
-        fullName: user.fullName
+        fullName: user.fullName,
+        emailVerified: user.emailVerified,
+        googleLinked: Boolean(user.googleId)
       }
     });
   } catch (error) {
@@ -94,13 +121,237 @@ async function loginUser(req, res) {
 
 
 
-async function logoutUser(req, res) {
+/**
+ * CURRENT USER
+ * -----------------------------------
+ * - who the cookies belong to
+ * - used after Google sign-in, which returns
+ *   by redirect instead of JSON
+ */
+async function getMe(req, res) {
+  return res.status(200).json({
+    message: "user loaded",
+    user: {
+      email: req.user.email,
+      _id: req.user._id,
+      fullName: req.user.fullName,
+      emailVerified: req.user.emailVerified,
+      googleLinked: Boolean(req.user.googleId),
+      hasPassword: Boolean(req.user.password)
+    }
+  });
+}
+
+
+/**
+ * GOOGLE SIGN-IN
+ * -----------------------------------
+ * - /google → sign in or sign up
+ * - /google/link → attach Google to the
+ *   signed-in (password) account
+ * - both continue at /google/callback
+ */
+function googleStart(req, res, next) {
+  if (!isGoogleEnabled()) {
+    return res.status(503).json({ message: "Google sign-in is not configured" });
+  }
+
+  const state = createState(res, { link: req.user?._id });
+
+  passport.authenticate("google", {
+    scope: ["profile", "email"],
+    session: false,
+    state,
+    prompt: "select_account"
+  })(req, res, next);
+}
+
+/**
+ * GOOGLE CALLBACK
+ * -----------------------------------
+ * - checks the state cookie, then lets passport
+ *   swap the code for a profile
+ * - sets the same cookies as loginUser, so the
+ *   socket handshake works unchanged
+ * - always ends in a redirect to the frontend
+ */
+function googleCallback(req, res, next) {
+  const fail = (reason) =>
+    res.redirect(appUrl(`/login?error=${encodeURIComponent(reason)}`));
+
+  if (!isGoogleEnabled()) return fail("Google sign-in is not configured");
+
+  const state = readState(req, res);
+  if (!state) return fail("Google sign-in expired, please try again");
+  req.oauthState = state;
+
+  passport.authenticate("google", { session: false }, async (err, user, info) => {
+    try {
+      if (err) throw err;
+      if (!user) return fail(info?.message || "Google sign-in was cancelled");
+
+      if (state.link) {
+        return res.redirect(appUrl("/?linked=google"));
+      }
+
+      const tokens = await createSession(user, req);
+      setAuthCookies(res, tokens);
+
+      return res.redirect(appUrl("/oauth/callback"));
+    } catch (e) {
+      console.error("[AUTH] Google sign-in failed:", e.message);
+      return fail("Google sign-in failed");
+    }
+  })(req, res, next);
+}
+
+
+/**
+ * VERIFY EMAIL
+ * -----------------------------------
+ * - body: { token } from the emailed link
+ * - tokens work once and expire
+ */
+async function verifyEmail(req, res) {
+  try {
+    const user = await confirmEmail(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ message: "invalid or expired token" });
+    }
+
+    return res.status(200).json({
+      message: "email verified",
+      user: {
+        email: user.email,
+        _id: user._id,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "email verification failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * RESEND VERIFICATION
+ * -----------------------------------
+ * - new link for the signed-in user
+ * - the previous link stops working
+ */
+async function resendVerification(req, res) {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "email already verified" });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.status(200).json({ message: "verification email sent" });
+  } catch (err) {
+    return res.status(500).json({
+      message: "could not send verification email",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * FORGOT PASSWORD
+ * -----------------------------------
+ * - body: { email }
+ * - same answer whether the account exists or not
+ */
+async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+
+    await requestPasswordReset(email);
+
+    return res.status(200).json({
+      message: "if that account exists, a reset link is on its way"
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "password reset request failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * RESET PASSWORD
+ * -----------------------------------
+ * - body: { token, password }
+ * - signs out every device of the user
+ */
+async function resetPassword(req, res) {
   try {
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "none"
+    const { token, password } = req.body;
+
+    const user = await applyPasswordReset(token, password);
+
+    if (!user) {
+      return res.status(400).json({ message: "invalid or expired token" });
+    }
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({ message: "password updated, please log in again" });
+  } catch (err) {
+    return res.status(500).json({
+      message: "password reset failed",
+      error: err.message
     });
+  }
+}
+
+
+/**
+ * REFRESH
+ * -----------------------------------
+ * - refresh cookie → new access + refresh token
+ * - the old refresh token stops working
+ * - reuse of an old one revokes the session
+ */
+async function refreshToken(req, res) {
+  try {
+    const tokens = await rotateSession(req.cookies[REFRESH_COOKIE], req);
+    setAuthCookies(res, tokens);
+
+    return res.status(200).json({
+      message: "token refreshed"
+    });
+  } catch (err) {
+    // a parallel request already rotated it: keep the cookies it just set
+    if (err.status === 401 && err.code !== "ROTATED") clearAuthCookies(res);
+
+    return res.status(err.status || 500).json({
+      message: err.status === 401 ? err.message : "refresh failed",
+      error: err.status === 401 ? undefined : err.message
+    });
+  }
+}
+
+
+/**
+ * LOGOUT
+ * -----------------------------------
+ * - revokes this device's session server-side
+ * - works with an expired access token too
+ *   (falls back to the refresh cookie)
+ */
+async function logoutUser(req, res) {
+  try {
+    await endSession(req.cookies[REFRESH_COOKIE]);
+
+    clearAuthCookies(res);
 
     return res.status(200).json({
       message: "Logged out successfully"
@@ -114,8 +365,80 @@ async function logoutUser(req, res) {
 
 
 
+/**
+ * LIST SESSIONS
+ * -----------------------------------
+ * - signed-in devices of the user
+ * - current: the device asking
+ */
+async function getSessions(req, res) {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    return res.status(200).json({
+      message: "sessions loaded",
+      sessions: sessions.map(s => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId)
+      }))
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load sessions",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * REVOKE SESSION
+ * -----------------------------------
+ * - signs that device out
+ * - its access token stops working right away
+ */
+async function deleteSession(req, res) {
+  try {
+    const session = await revokeSession(req.params.id, "revoked", req.user._id);
+
+    if (!session) {
+      return res.status(404).json({ message: "session not found" });
+    }
+
+    const current = String(session._id) === String(req.sessionId);
+    if (current) clearAuthCookies(res);
+
+    return res.status(200).json({
+      message: "session revoked",
+      current
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "session revoke failed",
+      error: err.message
+    });
+  }
+}
+
+
+
 module.exports = {
   registerUser,
   loginUser,
-  logoutUser
+  getMe,
+  googleStart,
+  googleCallback,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logoutUser,
+  getSessions,
+  deleteSession
 };
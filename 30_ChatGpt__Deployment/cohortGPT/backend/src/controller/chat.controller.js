@@ -1,36 +1,59 @@
+const mongoose = require("mongoose");
 const chatModel = require("../models/chat.model");
 const messageModel = require("../models/message.model");
+const folderModel = require("../models/folder.model");
+const { loadTree, activePath, findNewestLeaf, loadPage, branchInfo } = require("../services/branch.service");
+const { deleteMemories } = require("../services/memory.service");
+const { attachmentsByMessage, toClientAttachment, deleteChatAttachments } = require("../services/attachment.service");
+const { deleteChatShares } = require("../services/share.service");
+const { findOwnedPersona } = require("../services/persona.service");
+const { PROVIDER_NAMES } = require("../services/llm.service");
+const { listChats, DEFAULT_PAGE_SIZE } = require("../services/chatList.service");
+const { textSearch, semanticSearch, searchTerms } = require("../services/search.service");
+const { toJSONExport, toMarkdown, toHTML, validateImport, importOrder } = require("../services/export.service");
+
+const MESSAGE_PAGE_SIZE = 50;
+
+const EXPORT_FORMATS = {
+  md: { type: "text/markdown; charset=utf-8", render: (chat, tree) => toMarkdown(chat, activePath(tree, chat.activeLeaf)) },
+  html: { type: "text/html; charset=utf-8", render: (chat, tree) => toHTML(chat, activePath(tree, chat.activeLeaf)) },
+  json: { type: "application/json; charset=utf-8", render: (chat, tree) => JSON.stringify(toJSONExport(chat, tree), null, 2) }
+};
 
 /**
  * CREATE CHAT
  * -----------------------------------
  * - auto-title fallback
  * - no duplicate blank chats
+ * - optional persona (must be the user's)
+ * - optional provider (groq / gemini / mock)
  * - returns chat object
  */
 async function createChat(req, res) {
   try {
-    const { title } = req.body;
+    const { title, persona: personaId, provider } = req.body;
     const user = req.user;
 
     // prevent empty title crash
     const chatTitle = title?.trim() || "New Chat";
 
+    const persona = await findOwnedPersona(personaId, user._id);
+    if (personaId && !persona) {
+      return res.status(404).json({ message: "persona not found" });
+    }
+
     // create chat
     const chat = await chatModel.create({
       user: user._id,
       title: chatTitle,
+      persona: persona?._id,
+      provider,
       lastActivity: Date.now()
     });
 
     return res.status(201).json({
       message: "chat created successfully",
-      chat: {
-        _id: chat._id,
-        title: chat.title,
-        lastActivity: chat.lastActivity,
-        user: chat.user
-      }
+      chat: toClientChat(chat)
     });
 
   } catch (err) {
@@ -43,27 +66,33 @@ async function createChat(req, res) {
 
 
 /**
- * GET ALL USER CHATS
+ * GET USER CHATS
  * -----------------------------------
- * - returns sorted list
- * - latest chat first
- * - returns clean objects
+ * - latest activity first, cursor paginated
+ * - ?limit= page size (default 30, max 100)
+ * - ?cursor= nextCursor of the previous page
+ * - ?archived=true → archived chats only
+ * - ?pinned=true|false, ?folder=<id>|none filters
  */
 async function getUserChats(req, res) {
   try {
-    const chats = await chatModel
-      .find({ user: req.user._id })
-      .sort({ lastActivity: -1 }) // more accurate than createdAt
-      .lean();
+    // req.query is read-only in Express 5: parse here, not in the validator
+    const { cursor, folder } = req.query;
+    const flag = value => (value === undefined ? undefined : value === "true");
+
+    const page = await listChats({
+      user: req.user._id,
+      archived: flag(req.query.archived) || false,
+      pinned: flag(req.query.pinned),
+      folder,
+      limit: parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE,
+      cursor
+    });
 
     return res.status(200).json({
       message: "chats loaded",
-      chats: chats.map(c => ({
-        _id: c._id,
-        title: c.title,
-        lastActivity: c.lastActivity,
-        user: c.user
-      }))
+      chats: page.chats.map(toClientChat),
+      nextCursor: page.nextCursor
     });
 
   } catch (err) {
@@ -76,37 +105,353 @@ async function getUserChats(req, res) {
 
 
 /**
- * GET CHAT MESSAGES (optional helper)
+ * SEARCH CHATS
  * -----------------------------------
- * - returns clean ordered history
+ * - ?q= query (required)
+ * - ?mode=text (default) | semantic
+ * - ?limit= max message hits (default 30, max 100)
+ * - results grouped by chat with snippets
+ */
+async function searchChats(req, res) {
+  try {
+    // req.query is read-only in Express 5: validator sanitizers don't stick
+    const q = req.query.q.trim();
+    const mode = req.query.mode || "text";
+    const limit = parseInt(req.query.limit, 10) || 30;
+
+    const params = { user: req.user._id, q, limit };
+    const results = mode === "semantic"
+      ? await semanticSearch(params)
+      : await textSearch(params);
+
+    if (!results) {
+      return res.status(400).json({ message: "semantic search needs long-term memory (LTM_ENABLED=true)" });
+    }
+
+    return res.status(200).json({
+      message: "search results",
+      query: q,
+      mode,
+      terms: searchTerms(q),
+      results
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "search failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET CHAT MESSAGES
+ * -----------------------------------
+ * - newest page of the active branch, oldest first
+ * - ?before=<messageId> → the page above that message
+ * - ?limit= page size (default 50, max 200)
+ * - hasMore → older messages exist
+ * - each message carries its branch position
+ * - reads the page's ancestors and siblings only,
+ *   never the whole chat (loadPage)
  */
 async function getMessages(req, res) {
   try {
-    const { chatId } = req.params;
-    //console.log(chatId)
-    const messages = await messageModel
-      .find({ chat: chatId })
-      .sort({ createdAt: 1 }) // oldest first
-      .lean();
-      //console.log(messages)
+    const chat = req.chat;
+
+    const page = await loadPage(chat._id, {
+      leafId: chat.activeLeaf,
+      before: req.query.before,
+      limit: parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE
+    });
+
+    if (!page) {
+      return res.status(404).json({ message: "message not found" });
+    }
 
     return res.status(200).json({
       message: "messages loaded",
-      messages: messages.map(m => ({
-        _id: m._id,
+      messages: await toClientMessages(page.tree, page.path),
+      hasMore: page.hasMore
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load messages",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * SWITCH BRANCH
+ * -----------------------------------
+ * - makes the branch holding messageId active
+ * - continues to that branch's newest reply
+ * - returns the newest page of the new branch
+ * - walks down from messageId and up from the leaf,
+ *   never the whole chat
+ */
+async function activateBranch(req, res) {
+  try {
+    const { chatId, messageId } = req.params;
+
+    const leaf = await findNewestLeaf(chatId, messageId);
+
+    if (!leaf) {
+      return res.status(404).json({ message: "message not found" });
+    }
+
+    await chatModel.findOneAndUpdate(
+      { _id: chatId, user: req.user._id },
+      { activeLeaf: leaf._id }
+    );
+
+    const page = await loadPage(chatId, { leafId: leaf._id, limit: MESSAGE_PAGE_SIZE });
+
+    return res.status(200).json({
+      message: "branch switched",
+      messages: await toClientMessages(page.tree, page.path),
+      hasMore: page.hasMore
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "branch switch failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET CHAT SUMMARY
+ * -----------------------------------
+ * - running summary used as older context
+ * - null when none was built yet
+ */
+async function getSummary(req, res) {
+  try {
+    const chat = req.chat;
+
+    return res.status(200).json({
+      message: "summary loaded",
+      summary: chat.summary?.text ? {
+        text: chat.summary.text,
+        upTo: chat.summary.upTo,
+        updatedAt: chat.summary.updatedAt
+      } : null
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load summary",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * RESET CHAT SUMMARY
+ * -----------------------------------
+ * - drops the summary and its turn counter
+ * - rebuilt from scratch on the next refresh
+ */
+async function resetSummary(req, res) {
+  try {
+    const chat = await chatModel.findOneAndUpdate(
+      { _id: req.params.chatId, user: req.user._id },
+      { $unset: { summary: 1 } }
+    );
+
+    if (!chat) {
+      return res.status(404).json({ message: "chat not found" });
+    }
+
+    return res.status(200).json({ message: "summary reset" });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "summary reset failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * EXPORT CHAT
+ * -----------------------------------
+ * - ?format=md | json | html (default md)
+ * - md / html → active branch, for reading
+ * - json → whole tree, for POST /import
+ * - sent as a file download
+ */
+async function exportChat(req, res) {
+  try {
+    const format = req.query.format || "md";
+    const exporter = EXPORT_FORMATS[format];
+
+    const chat = req.chat;
+    const tree = await loadTree(chat._id);
+    const filename = `${slugify(chat.title)}.${format}`;
+
+    res.set("Content-Type", exporter.type);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(exporter.render(chat, tree));
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "export failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * IMPORT CHAT
+ * -----------------------------------
+ * - body: JSON export of a chat
+ * - new ids, same tree, same timestamps
+ * - tool steps stay tool steps
+ * - chat belongs to the importing user
+ * - persona is not carried over
+ */
+async function importChat(req, res) {
+  try {
+    const data = req.body;
+
+    const problem = validateImport(data);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const ordered = importOrder(data.messages);
+    if (ordered.length !== data.messages.length) {
+      return res.status(400).json({ message: "message parents form a cycle" });
+    }
+
+    const { chat: source } = data;
+
+    const chat = await chatModel.create({
+      user: req.user._id,
+      title: source.title.trim() || "Imported Chat",
+      titleSource: ["auto", "user"].includes(source.titleSource) ? source.titleSource : "user",
+      provider: PROVIDER_NAMES.includes(source.provider) ? source.provider : undefined,
+      lastActivity: Date.now()
+    });
+
+    // old id → new id, parents are always mapped first
+    const ids = new Map();
+    const docs = ordered.map(m => {
+      const _id = new mongoose.Types.ObjectId();
+      ids.set(String(m.id), _id);
+
+      return {
+        _id,
+        user: req.user._id,
+        chat: chat._id,
+        parent: (m.parent != null && ids.get(String(m.parent))) || null,
         role: m.role,
         content: m.content,
-        createdAt: m.createdAt
-      }))
+        truncated: Boolean(m.truncated),
+        ...(m.tool && {
+          tool: { name: m.tool.name, arguments: m.tool.arguments, ok: Boolean(m.tool.ok) }
+        }),
+        createdAt: validDate(m.createdAt),
+        updatedAt: validDate(m.createdAt)
+      };
+    });
+
+    try {
+      await messageModel.insertMany(docs);
+    } catch (err) {
+      await chatModel.deleteOne({ _id: chat._id });
+      throw err;
+    }
+
+    chat.activeLeaf = (source.activeLeaf != null && ids.get(String(source.activeLeaf))) || undefined;
+    await chat.save();
+
+    return res.status(201).json({
+      message: "chat imported",
+      chat: {
+        _id: chat._id,
+        title: chat.title,
+        provider: chat.provider,
+        lastActivity: chat.lastActivity,
+        user: chat.user
+      },
+      messages: docs.length
     });
 
   } catch (err) {
     return res.status(500).json({
-      message: "failed to load messages",
+      message: "import failed",
       error: err.message
     });
   }
 }
+
+
+function slugify(title) {
+  return String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "chat";
+}
+
+function validDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+
+function toClientChat(c) {
+  return {
+    _id: c._id,
+    title: c.title,
+    persona: c.persona,
+    provider: c.provider,
+    folder: c.folder || null,
+    pinned: Boolean(c.pinned),
+    archived: Boolean(c.archived),
+    lastActivity: c.lastActivity,
+    user: c.user
+  };
+}
+
+// path may be a skeleton: content is loaded here, for these messages only
+async function toClientMessages(tree, path) {
+  if (!path.length) return [];
+
+  const docs = await messageModel.find({ _id: { $in: path.map(m => m._id) } }).lean();
+  const byId = new Map(docs.map(m => [String(m._id), m]));
+  const full = path
+    .filter(m => byId.has(String(m._id)))
+    .map(m => ({ ...byId.get(String(m._id)), parent: m.parent }));
+
+  const attachments = await attachmentsByMessage(full);
+
+  return full.map(m => ({
+    _id: m._id,
+    parent: m.parent,
+    role: m.role,
+    content: m.content,
+    truncated: m.truncated,
+    ...(m.tool?.name && { tool: m.tool }),
+    attachments: (attachments.get(String(m._id)) || []).map(toClientAttachment),
+    branch: branchInfo(tree, m),
+    createdAt: m.createdAt
+  }));
+}
+
+
 async function renameChat(req, res) {
   try {
     const { chatId } = req.params;
@@ -114,7 +459,7 @@ async function renameChat(req, res) {
 
     const updated = await chatModel.findOneAndUpdate(
       { _id: chatId, user: req.user._id },
-      { title, lastActivity: Date.now() },
+      { title, titleSource: "user", lastActivity: Date.now() },
       { new: true }
     );
 
@@ -134,8 +479,180 @@ async function renameChat(req, res) {
     });
   }
 }
+/**
+ * SET CHAT PERSONA
+ * -----------------------------------
+ * - persona: id of one of the user's personas
+ * - persona: null → back to the default
+ */
+async function setChatPersona(req, res) {
+  try {
+    const { chatId } = req.params;
+    const personaId = req.body.persona || null;
+
+    const persona = await findOwnedPersona(personaId, req.user._id);
+    if (personaId && !persona) {
+      return res.status(404).json({ message: "persona not found" });
+    }
+
+    const updated = await chatModel.findOneAndUpdate(
+      { _id: chatId, user: req.user._id },
+      persona ? { persona: persona._id } : { $unset: { persona: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ message: "chat not found" });
+    }
+
+    return res.status(200).json({
+      message: "chat persona updated",
+      chat: {
+        _id: updated._id,
+        title: updated.title,
+        persona: updated.persona,
+        lastActivity: updated.lastActivity
+      }
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "persona update failed",
+      error: err.message
+    });
+  }
+}
+/**
+ * SET CHAT PROVIDER
+ * -----------------------------------
+ * - provider: groq / gemini / mock
+ * - provider: null → server default (LLM_PROVIDER)
+ */
+async function setChatProvider(req, res) {
+  try {
+    const { chatId } = req.params;
+    const provider = req.body.provider || null;
+
+    const updated = await chatModel.findOneAndUpdate(
+      { _id: chatId, user: req.user._id },
+      provider ? { provider } : { $unset: { provider: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ message: "chat not found" });
+    }
+
+    return res.status(200).json({
+      message: "chat provider updated",
+      chat: {
+        _id: updated._id,
+        title: updated.title,
+        provider: updated.provider,
+        lastActivity: updated.lastActivity
+      }
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "provider update failed",
+      error: err.message
+    });
+  }
+}
+/**
+ * MOVE CHAT
+ * -----------------------------------
+ * - folder: id of one of the user's folders
+ * - folder: null → back to the top level
+ */
+async function moveChat(req, res) {
+  try {
+    const folderId = req.body.folder || null;
+
+    if (folderId) {
+      const folder = await folderModel.findOne({ _id: folderId, user: req.user._id }).lean();
+      if (!folder) {
+        return res.status(404).json({ message: "folder not found" });
+      }
+    }
+
+    const updated = await updateOwnedChat(req, { folder: folderId });
+
+    return res.status(200).json({
+      message: folderId ? "chat moved" : "chat moved to the top level",
+      chat: toClientChat(updated)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "move failed",
+      error: err.message
+    });
+  }
+}
+/**
+ * PIN / UNPIN CHAT
+ * -----------------------------------
+ * - pinned: true | false
+ * - pinning an archived chat brings it back
+ */
+async function pinChat(req, res) {
+  try {
+    const { pinned } = req.body;
+
+    const updated = await updateOwnedChat(req, pinned ? { pinned, archived: false } : { pinned });
+
+    return res.status(200).json({
+      message: pinned ? "chat pinned" : "chat unpinned",
+      chat: toClientChat(updated)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "pin failed",
+      error: err.message
+    });
+  }
+}
+/**
+ * ARCHIVE / RESTORE CHAT
+ * -----------------------------------
+ * - archived: true | false
+ * - archiving also unpins; folder is kept
+ * - messages, shares and memories are untouched
+ */
+async function archiveChat(req, res) {
+  try {
+    const { archived } = req.body;
+
+    const updated = await updateOwnedChat(req, archived ? { archived, pinned: false } : { archived });
+
+    return res.status(200).json({
+      message: archived ? "chat archived" : "chat restored",
+      chat: toClientChat(updated)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "archive failed",
+      error: err.message
+    });
+  }
+}
+
+// sidebar changes only: lastActivity stays as it was
+function updateOwnedChat(req, update) {
+  return chatModel.findOneAndUpdate(
+    { _id: req.params.chatId, user: req.user._id },
+    update,
+    { new: true }
+  ).lean();
+}
+
 async function deleteChat(req, res) {
   try {
+    // ownership checked by requireChatAccess, so the messages can go too
     const { chatId } = req.params;
 
     await chatModel.deleteOne({
@@ -143,10 +660,17 @@ async function deleteChat(req, res) {
       user: req.user._id
     });
 
+    const messageIds = await messageModel.distinct("_id", { chat: chatId });
+
     await messageModel.deleteMany({
       chat: chatId
     });
 
+    // drop long-term memories, uploaded files and share links of the chat too
+    await deleteMemories({ user: req.user._id, messageIds });
+    await deleteChatAttachments(chatId);
+    await deleteChatShares(chatId);
+
     return res.status(200).json({
       message: "chat deleted"
     });
@@ -160,5 +684,22 @@ async function deleteChat(req, res) {
 }
 
 
-module.exports = { createChat, getUserChats, getMessages, renameChat,deleteChat };
+module.exports = {
+  createChat,
+  getUserChats,
+  searchChats,
+  getMessages,
+  activateBranch,
+  getSummary,
+  resetSummary,
+  exportChat,
+  importChat,
+  renameChat,
+  setChatPersona,
+  setChatProvider,
+  moveChat,
+  pinChat,
+  archiveChat,
+  deleteChat
+};
 
@@ -0,0 +1,129 @@
+const folderModel = require("../models/folder.model");
+const chatModel = require("../models/chat.model");
+
+function toClientFolder(f) {
+  return {
+    _id: f._id,
+    name: f.name,
+    createdAt: f.createdAt
+  };
+}
+
+
+/**
+ * CREATE FOLDER
+ * -----------------------------------
+ * - name required (1-60 characters)
+ */
+async function createFolder(req, res) {
+  try {
+    const folder = await folderModel.create({
+      user: req.user._id,
+      name: req.body.name
+    });
+
+    return res.status(201).json({
+      message: "folder created",
+      folder: toClientFolder(folder)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "folder creation failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET USER FOLDERS
+ * -----------------------------------
+ * - sorted by name
+ * - chats are loaded per folder (GET /api/chat?folder=)
+ */
+async function getFolders(req, res) {
+  try {
+    const folders = await folderModel
+      .find({ user: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    return res.status(200).json({
+      message: "folders loaded",
+      folders: folders.map(toClientFolder)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load folders",
+      error: err.message
+    });
+  }
+}
+
+
+async function renameFolder(req, res) {
+  try {
+    const folder = await folderModel.findOneAndUpdate(
+      { _id: req.params.folderId, user: req.user._id },
+      { name: req.body.name },
+      { new: true }
+    );
+
+    if (!folder) {
+      return res.status(404).json({ message: "folder not found" });
+    }
+
+    return res.status(200).json({
+      message: "folder renamed",
+      folder: toClientFolder(folder)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "folder rename failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * DELETE FOLDER
+ * -----------------------------------
+ * - its chats are kept, back at the top level
+ */
+async function deleteFolder(req, res) {
+  try {
+    const folder = await folderModel.findOneAndDelete({
+      _id: req.params.folderId,
+      user: req.user._id
+    });
+
+    if (!folder) {
+      return res.status(404).json({ message: "folder not found" });
+    }
+
+    await chatModel.updateMany(
+      { user: req.user._id, folder: folder._id },
+      { folder: null }
+    );
+
+    return res.status(200).json({ message: "folder deleted" });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "folder delete failed",
+      error: err.message
+    });
+  }
+}
+
+
+module.exports = {
+  createFolder,
+  getFolders,
+  renameFolder,
+  deleteFolder
+};
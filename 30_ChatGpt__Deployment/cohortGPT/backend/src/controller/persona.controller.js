@@ -0,0 +1,182 @@
+const personaModel = require("../models/persona.model");
+const chatModel = require("../models/chat.model");
+
+const FIELDS = ["name", "instructions", "temperature", "model", "provider", "isDefault"];
+
+function pickFields(body) {
+  const data = {};
+  for (const key of FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  if (typeof data.name === "string") data.name = data.name.trim();
+  return data;
+}
+
+function toClientPersona(p) {
+  return {
+    _id: p._id,
+    name: p.name,
+    instructions: p.instructions,
+    temperature: p.temperature,
+    model: p.model,
+    provider: p.provider,
+    isDefault: p.isDefault
+  };
+}
+
+// only one default persona per user
+async function clearOtherDefaults(userId, keepId) {
+  await personaModel.updateMany(
+    { user: userId, _id: { $ne: keepId }, isDefault: true },
+    { isDefault: false }
+  );
+}
+
+
+/**
+ * CREATE PERSONA
+ * -----------------------------------
+ * - name + instructions required
+ * - optional temperature / model + provider / isDefault
+ */
+async function createPersona(req, res) {
+  try {
+    const data = pickFields(req.body);
+
+    const persona = await personaModel.create({ ...data, user: req.user._id });
+
+    if (persona.isDefault) await clearOtherDefaults(req.user._id, persona._id);
+
+    return res.status(201).json({
+      message: "persona created successfully",
+      persona: toClientPersona(persona)
+    });
+
+  } catch (err) {
+    const status = err.name === "ValidationError" ? 400 : 500;
+    return res.status(status).json({
+      message: "persona creation failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET USER PERSONAS
+ * -----------------------------------
+ * - default persona first, then by name
+ */
+async function getPersonas(req, res) {
+  try {
+    const personas = await personaModel
+      .find({ user: req.user._id })
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    return res.status(200).json({
+      message: "personas loaded",
+      personas: personas.map(toClientPersona)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load personas",
+      error: err.message
+    });
+  }
+}
+
+
+async function getPersona(req, res) {
+  try {
+    const persona = await personaModel
+      .findOne({ _id: req.params.personaId, user: req.user._id })
+      .lean();
+
+    if (!persona) {
+      return res.status(404).json({ message: "persona not found" });
+    }
+
+    return res.status(200).json({
+      message: "persona loaded",
+      persona: toClientPersona(persona)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load persona",
+      error: err.message
+    });
+  }
+}
+
+
+async function updatePersona(req, res) {
+  try {
+    const persona = await personaModel.findOneAndUpdate(
+      { _id: req.params.personaId, user: req.user._id },
+      pickFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!persona) {
+      return res.status(404).json({ message: "persona not found" });
+    }
+
+    if (persona.isDefault) await clearOtherDefaults(req.user._id, persona._id);
+
+    return res.status(200).json({
+      message: "persona updated",
+      persona: toClientPersona(persona)
+    });
+
+  } catch (err) {
+    const status = err.name === "ValidationError" ? 400 : 500;
+    return res.status(status).json({
+      message: "persona update failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * DELETE PERSONA
+ * -----------------------------------
+ * - chats using it fall back to the default
+ */
+async function deletePersona(req, res) {
+  try {
+    const persona = await personaModel.findOneAndDelete({
+      _id: req.params.personaId,
+      user: req.user._id
+    });
+
+    if (!persona) {
+      return res.status(404).json({ message: "persona not found" });
+    }
+
+    await chatModel.updateMany(
+      { user: req.user._id, persona: persona._id },
+      { $unset: { persona: 1 } }
+    );
+
+    return res.status(200).json({ message: "persona deleted" });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "persona delete failed",
+      error: err.message
+    });
+  }
+}
+
+
+module.exports = {
+  createPersona,
+  getPersonas,
+  getPersona,
+  updatePersona,
+  deletePersona
+};
@@ -0,0 +1,131 @@
+const {
+  createShare,
+  listShares,
+  findPublicShare,
+  revokeShare,
+  toClientShare,
+  toPublicShare
+} = require("../services/share.service");
+
+
+/**
+ * SHARE CHAT
+ * -----------------------------------
+ * - freezes the active branch into a snapshot
+ * - optional expiresInDays (1-365)
+ * - returns the public link
+ */
+async function shareChat(req, res) {
+  try {
+    const share = await createShare(req.chat, {
+      expiresInDays: req.body.expiresInDays
+    });
+
+    if (!share) {
+      return res.status(400).json({ message: "nothing to share yet" });
+    }
+
+    return res.status(201).json({
+      message: "chat shared",
+      share: toClientShare(share)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "share failed",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * LIST CHAT SHARES
+ * -----------------------------------
+ * - every link of the chat, newest first
+ * - revoked and expired ones included
+ */
+async function getChatShares(req, res) {
+  try {
+    const shares = await listShares(req.chat._id);
+
+    return res.status(200).json({
+      message: "shares loaded",
+      shares: shares.map(toClientShare)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load shares",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * GET SHARED CHAT (public)
+ * -----------------------------------
+ * - no auth: the slug is the key
+ * - read-only snapshot, never the live chat
+ * - not cached, so revoking takes effect at once
+ */
+async function getSharedChat(req, res) {
+  try {
+    const { share, status, message } = await findPublicShare(req.params.slug);
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+
+    if (!share) {
+      return res.status(status).json({ message });
+    }
+
+    return res.status(200).json({
+      message: "shared chat loaded",
+      share: toPublicShare(share)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load shared chat",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * REVOKE SHARE
+ * -----------------------------------
+ * - owner only
+ * - the link answers 410 from now on
+ */
+async function revokeChatShare(req, res) {
+  try {
+    const share = await revokeShare(req.params.slug, req.user._id);
+
+    if (!share) {
+      return res.status(404).json({ message: "share not found" });
+    }
+
+    return res.status(200).json({
+      message: "share revoked",
+      share: toClientShare(share)
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "revoke failed",
+      error: err.message
+    });
+  }
+}
+
+
+module.exports = {
+  shareChat,
+  getChatShares,
+  getSharedChat,
+  revokeChatShare
+};
@@ -0,0 +1,61 @@
+const { getUserUsage, getUsageSummary } = require("../services/usage.service");
+
+const MAX_DAYS = 90;
+
+function parseDays(value, fallback) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), MAX_DAYS);
+}
+
+
+/**
+ * MY USAGE
+ * -----------------------------------
+ * - ?days= history length (default 30, max 90)
+ * - today's tokens, quota left, daily history
+ */
+async function getMyUsage(req, res) {
+  try {
+    const usage = await getUserUsage(req.user, parseDays(req.query.days, 30));
+
+    return res.status(200).json({
+      message: "usage loaded",
+      ...usage
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load usage",
+      error: err.message
+    });
+  }
+}
+
+
+/**
+ * USAGE SUMMARY (admin)
+ * -----------------------------------
+ * - ?days= window (default 7, max 90)
+ * - per-user totals, heaviest first
+ */
+async function getAdminSummary(req, res) {
+  try {
+    const summary = await getUsageSummary(parseDays(req.query.days, 7));
+
+    return res.status(200).json({
+      message: "usage summary loaded",
+      ...summary
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load usage summary",
+      error: err.message
+    });
+  }
+}
+
+
+module.exports = {
+  getMyUsage,
+  getAdminSummary
+};
@@ -1,5 +1,5 @@
 const userModel=require("../models/user.model")
-const jwt=require("jsonwebtoken")
+const { verifyAccessToken }=require("../services/session.service")
 
 async function authUser(req,res,next){
     const {token}=req.cookies
@@ -9,11 +9,17 @@ async function authUser(req,res,next){
     }
 
     try{
-        const decoded=jwt.verify(token,process.env.JWT_SECRET)
+        // expired, or the session was revoked / logged out
+        const { userId, sessionId }=await verifyAccessToken(token)
 
-        const user=await userModel.findById(decoded.id)
+        const user=await userModel.findById(userId)
+
+        if(!user){
+            return res.status(401).json({message:"unauthorized"})
+        }
 
         req.user=user
+        req.sessionId=sessionId
 
         next()
     }catch(e){
@@ -21,6 +27,16 @@ async function authUser(req,res,next){
     }
 }
 
+// use after authUser
+function requireAdmin(req,res,next){
+    if(req.user?.role!=="admin"){
+        return res.status(403).json({message:"forbidden"})
+    }
+
+    next()
+}
+
 module.exports={
-    authUser
+    authUser,
+    requireAdmin
 }
\ No newline at end of file
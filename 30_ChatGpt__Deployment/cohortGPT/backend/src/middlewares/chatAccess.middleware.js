@@ -0,0 +1,47 @@
+const chatModel = require("../models/chat.model");
+
+/**
+ * CHECK CHAT ACCESS
+ * -----------------------------------
+ * - shared by the chat routes and the socket events
+ * - { chat } when the user owns it
+ * - { status: 404 } when there is no such chat
+ * - { status: 403 } when it belongs to someone else
+ */
+async function checkChatAccess(userId, chatId) {
+  const chat = await chatModel.findById(chatId).lean();
+
+  if (!chat) {
+    return { status: 404, message: "chat not found" };
+  }
+
+  if (String(chat.user) !== String(userId)) {
+    return { status: 403, message: "you do not have access to this chat" };
+  }
+
+  return { chat };
+}
+
+// use after authUser; sets req.chat (lean)
+async function requireChatAccess(req, res, next) {
+  try {
+    const access = await checkChatAccess(req.user._id, req.params.chatId);
+
+    if (!access.chat) {
+      return res.status(access.status).json({ message: access.message });
+    }
+
+    req.chat = access.chat;
+    next();
+  } catch (err) {
+    return res.status(500).json({
+      message: "failed to load chat",
+      error: err.message
+    });
+  }
+}
+
+module.exports = {
+  checkChatAccess,
+  requireChatAccess
+};
@@ -0,0 +1,40 @@
+const { consume, getPolicy } = require("../services/rateLimit.service");
+
+/**
+ * RATE LIMIT
+ * -----------------------------------
+ * - rateLimit("login") → middleware for that policy
+ * - keys as the policy's `by` says; the user is
+ *   known only after authUser
+ * - RateLimit-* headers (IETF draft) on every answer,
+ *   Retry-After + 429 once the window is spent
+ */
+function rateLimit(name) {
+  // fail at boot on a typo, not on the first request
+  getPolicy(name);
+
+  return async function rateLimitMiddleware(req, res, next) {
+    const result = await consume(name, { user: req.user?._id, ip: req.ip });
+
+    if (!result.limit) return next();
+
+    res.set({
+      "RateLimit-Policy": `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`,
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.retryAfter)
+    });
+
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        message: `too many requests, try again in ${result.retryAfter}s`,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,43 @@
+const multer = require("multer");
+
+const MAX_FILE_MB = Number(process.env.ATTACHMENT_MAX_MB) || 10;
+const MAX_FILES = 5;
+
+// files stay in memory: text is extracted before they reach storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_MB * 1024 * 1024,
+    files: MAX_FILES
+  }
+});
+
+/**
+ * UPLOAD FILES
+ * -----------------------------------
+ * - multipart field "files", up to 5 per request
+ * - multer errors become JSON 400 / 413 answers
+ */
+function uploadFiles(req, res, next) {
+  upload.array("files", MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      const message = err.code === "LIMIT_FILE_SIZE"
+        ? `files must be at most ${MAX_FILE_MB} MB`
+        : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+          ? `send at most ${MAX_FILES} files in the "files" field`
+          : err.message;
+
+      return res.status(status).json({ message });
+    }
+
+    next(err);
+  });
+}
+
+module.exports = {
+  MAX_FILES,
+  uploadFiles
+};
@@ -0,0 +1,451 @@
+const mongoose = require("mongoose");
+const { body, query, param, validationResult } = require("express-validator");
+const { PROVIDER_NAMES, providerModels } = require("../services/llm.service");
+const { MAX_FILES } = require("./upload.middleware");
+const { MAX_SHARE_DAYS } = require("../services/share.service");
+const { findOwnedPersona } = require("../services/persona.service");
+const { decodeCursor } = require("../services/chatList.service");
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_TITLE_LENGTH = 100;
+const MAX_MESSAGE_CHARS = Number(process.env.MAX_MESSAGE_CHARS) || 10000;
+
+/**
+ * ERROR BODY
+ * -----------------------------------
+ * - same shape for REST (400) and socket events
+ * - message → first problem, shown as-is by the client
+ * - errors → every problem, one per field
+ */
+function errorBody(result) {
+  const errors = result.array({ onlyFirstError: true }).map(e => ({
+    field: e.path,
+    message: e.msg
+  }));
+
+  return { message: errors[0].message, errors };
+}
+
+function validate(req, res, next) {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    return res.status(400).json(errorBody(result));
+  }
+  next();
+}
+
+/**
+ * CHECK PAYLOAD
+ * -----------------------------------
+ * - runs body() rules on a socket payload
+ * - returns the error body, or null when valid
+ */
+async function checkPayload(rules, payload) {
+  const req = { body: payload && typeof payload === "object" ? payload : {} };
+
+  for (const rule of rules) await rule.run(req);
+
+  const result = validationResult(req);
+  return result.isEmpty() ? null : errorBody(result);
+}
+
+const mongoId = (field, location = param) =>
+  location(field).isMongoId().withMessage(`${field} must be a valid id`);
+
+const password = () =>
+  body("password")
+    .isString().withMessage("password is required")
+    .isLength({ min: MIN_PASSWORD_LENGTH, max: 128 })
+    .withMessage(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+const email = () =>
+  body("email")
+    .isString().withMessage("email is required")
+    .bail()
+    .trim()
+    .isEmail().withMessage("invalid email format")
+    // Google sign-in stores lowercase, so every lookup must match it
+    .toLowerCase();
+
+
+// ===== AUTH =====
+
+const registerRules = [
+  body("fullName").isObject().withMessage("fullName is required"),
+  body("fullName.firstName")
+    .isString().withMessage("first name is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage("first name must be 1-50 characters"),
+  body("fullName.lastName")
+    .isString().withMessage("last name is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage("last name must be 1-50 characters"),
+  email(),
+  password(),
+  validate
+];
+
+const loginRules = [
+  email(),
+  body("password")
+    .isString().withMessage("password is required")
+    .bail()
+    .notEmpty().withMessage("password is required"),
+  validate
+];
+
+const tokenRules = [
+  body("token")
+    .isString().withMessage("token is required")
+    .bail()
+    .notEmpty().withMessage("token is required"),
+  validate
+];
+
+const forgotPasswordRules = [
+  email(),
+  validate
+];
+
+const resetPasswordRules = [
+  body("token")
+    .isString().withMessage("token is required")
+    .bail()
+    .notEmpty().withMessage("token is required"),
+  password(),
+  validate
+];
+
+const sessionIdRules = [
+  mongoId("id"),
+  validate
+];
+
+
+// ===== CHAT =====
+
+const chatIdRules = [
+  mongoId("chatId"),
+  validate
+];
+
+const messagesPageRules = [
+  mongoId("chatId"),
+  query("before").optional().isMongoId().withMessage("before must be a valid id"),
+  query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("limit must be 1-200"),
+  validate
+];
+
+const messageIdRules = [
+  mongoId("chatId"),
+  mongoId("messageId"),
+  validate
+];
+
+const listChatsRules = [
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be 1-100"),
+  query("cursor").optional().custom(v => decodeCursor(v) !== null).withMessage("invalid cursor"),
+  query("archived").optional().isIn(["true", "false"]).withMessage("archived must be true or false"),
+  query("pinned").optional().isIn(["true", "false"]).withMessage("pinned must be true or false"),
+  query("folder")
+    .optional()
+    .if(v => v !== "none")
+    .isMongoId().withMessage("folder must be a valid id or none"),
+  validate
+];
+
+const createChatRules = [
+  body("title")
+    .optional({ values: "null" })
+    .isString().withMessage("title must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_TITLE_LENGTH }).withMessage(`title must be at most ${MAX_TITLE_LENGTH} characters`),
+  body("persona").optional({ values: "falsy" }).isMongoId().withMessage("persona must be a valid id"),
+  body("provider")
+    .optional({ values: "falsy" })
+    .isIn(PROVIDER_NAMES).withMessage(`provider must be one of ${PROVIDER_NAMES.join(", ")}`),
+  validate
+];
+
+const renameChatRules = [
+  mongoId("chatId"),
+  body("title")
+    .isString().withMessage("title is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_TITLE_LENGTH }).withMessage(`title must be 1-${MAX_TITLE_LENGTH} characters`),
+  validate
+];
+
+const setPersonaRules = [
+  mongoId("chatId"),
+  body("persona").optional({ values: "falsy" }).isMongoId().withMessage("persona must be a valid id"),
+  validate
+];
+
+const setProviderRules = [
+  mongoId("chatId"),
+  body("provider")
+    .optional({ values: "falsy" })
+    .isIn(PROVIDER_NAMES).withMessage(`provider must be one of ${PROVIDER_NAMES.join(", ")}`),
+  validate
+];
+
+const moveChatRules = [
+  mongoId("chatId"),
+  body("folder").optional({ values: "null" }).isMongoId().withMessage("folder must be a valid id"),
+  validate
+];
+
+const pinChatRules = [
+  mongoId("chatId"),
+  body("pinned").isBoolean({ strict: true }).withMessage("pinned must be true or false"),
+  validate
+];
+
+const archiveChatRules = [
+  mongoId("chatId"),
+  body("archived").isBoolean({ strict: true }).withMessage("archived must be true or false"),
+  validate
+];
+
+const searchRules = [
+  query("q")
+    .isString().withMessage("q is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500 }).withMessage("q must be 1-500 characters"),
+  query("mode").optional().isIn(["text", "semantic"]).withMessage("mode must be text or semantic"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be 1-100"),
+  validate
+];
+
+const exportRules = [
+  mongoId("chatId"),
+  query("format").optional().isIn(["md", "json", "html"]).withMessage("format must be md, json or html"),
+  validate
+];
+
+// content checks live in export.service (validateImport)
+const importRules = [
+  body().isObject().withMessage("body must be a chat export"),
+  validate
+];
+
+
+// ===== PERSONAS =====
+
+// the persona being updated, for the model / provider a
+// partial body leaves out (null on create or when not found)
+async function storedPersona(req) {
+  const { personaId } = req.params || {};
+  if (!personaId || !mongoose.isValidObjectId(personaId) || !req.user) return null;
+
+  if (req.storedPersona === undefined) {
+    req.storedPersona = await findOwnedPersona(personaId, req.user._id);
+  }
+  return req.storedPersona;
+}
+
+// provider a model is checked against: the body's, else the
+// stored one (personas from before providers were Groq ones)
+async function personaProvider(req) {
+  if (req.body.provider !== undefined) return req.body.provider;
+
+  const stored = await storedPersona(req);
+  return stored ? stored.provider || "groq" : undefined;
+}
+
+function personaFields({ partial }) {
+  const presence = field => partial ? body(field).optional() : body(field);
+
+  return [
+    presence("name")
+      .isString().withMessage("name is required")
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 60 }).withMessage("name must be 1-60 characters"),
+    presence("instructions")
+      .isString().withMessage("instructions are required")
+      .bail()
+      .custom(v => v.trim().length > 0).withMessage("instructions are required")
+      .isLength({ max: 4000 }).withMessage("instructions must be at most 4000 characters"),
+    body("temperature")
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 2 }).withMessage("temperature must be between 0 and 2")
+      .toFloat(),
+    body("model")
+      .optional({ values: "null" })
+      .isString().withMessage("model must be a string")
+      .bail()
+      .trim()
+      .isLength({ max: 100 }).withMessage("model must be at most 100 characters")
+      .bail()
+      .custom(async (model, { req }) => {
+        if (!model) return true;
+        const provider = await personaProvider(req);
+        // unknown persona: the update answers 404
+        if (!provider && partial && req.body.provider === undefined) return true;
+        if (!provider) throw new Error("model needs a provider");
+        if (!providerModels(provider).includes(model)) throw new Error(`${model} is not a ${provider} model`);
+        return true;
+      }),
+    body("provider")
+      .optional({ values: "null" })
+      .isIn(PROVIDER_NAMES).withMessage(`provider must be one of ${PROVIDER_NAMES.join(", ")}`)
+      .bail()
+      .custom(async (provider, { req }) => {
+        // a new model is checked above, against this provider
+        if (req.body.model !== undefined) return true;
+
+        const stored = await storedPersona(req);
+        if (stored?.model && !providerModels(provider).includes(stored.model)) {
+          throw new Error(`${stored.model} is not a ${provider} model; send a model for it too`);
+        }
+        return true;
+      }),
+    body("isDefault").optional().isBoolean({ strict: true }).withMessage("isDefault must be true or false")
+  ];
+}
+
+const createPersonaRules = [
+  ...personaFields({ partial: false }),
+  validate
+];
+
+const updatePersonaRules = [
+  mongoId("personaId"),
+  ...personaFields({ partial: true }),
+  validate
+];
+
+const personaIdRules = [
+  mongoId("personaId"),
+  validate
+];
+
+
+// ===== FOLDERS =====
+
+const folderName = () =>
+  body("name")
+    .isString().withMessage("name is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 60 }).withMessage("name must be 1-60 characters");
+
+const folderRules = [
+  folderName(),
+  validate
+];
+
+const renameFolderRules = [
+  mongoId("folderId"),
+  folderName(),
+  validate
+];
+
+const folderIdRules = [
+  mongoId("folderId"),
+  validate
+];
+
+
+// ===== ATTACHMENTS =====
+
+const attachmentIdRules = [
+  mongoId("attachmentId"),
+  validate
+];
+
+
+// ===== SHARES =====
+
+const shareChatRules = [
+  mongoId("chatId"),
+  body("expiresInDays")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_SHARE_DAYS }).withMessage(`expiresInDays must be 1-${MAX_SHARE_DAYS}`)
+    .toInt(),
+  validate
+];
+
+const shareSlugRules = [
+  param("slug").matches(/^[A-Za-z0-9_-]{22}$/).withMessage("invalid share link"),
+  validate
+];
+
+
+// ===== USAGE =====
+
+const usageRules = [
+  query("days").optional().isInt({ min: 1, max: 90 }).withMessage("days must be 1-90"),
+  validate
+];
+
+
+// ===== SOCKET EVENTS (used with checkPayload) =====
+
+const aiMessagePayload = [
+  mongoId("chat", body),
+  body("content")
+    .isString().withMessage("message is required")
+    .bail()
+    .custom(v => v.trim().length > 0).withMessage("message is required")
+    .isLength({ max: MAX_MESSAGE_CHARS }).withMessage(`message must be at most ${MAX_MESSAGE_CHARS} characters`),
+  body("editOf").optional({ values: "null" }).isMongoId().withMessage("editOf must be a valid id"),
+  body("attachments")
+    .optional({ values: "null" })
+    .isArray({ max: MAX_FILES }).withMessage(`attachments must be a list of at most ${MAX_FILES} ids`),
+  body("attachments.*").isMongoId().withMessage("attachments must be valid ids")
+];
+
+const regeneratePayload = [
+  mongoId("chat", body),
+  body("message").optional({ values: "null" }).isMongoId().withMessage("message must be a valid id")
+];
+
+const stopGenerationPayload = [
+  mongoId("chat", body)
+];
+
+module.exports = {
+  validate,
+  checkPayload,
+  registerRules,
+  loginRules,
+  tokenRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  sessionIdRules,
+  chatIdRules,
+  messagesPageRules,
+  messageIdRules,
+  listChatsRules,
+  createChatRules,
+  renameChatRules,
+  setPersonaRules,
+  setProviderRules,
+  moveChatRules,
+  pinChatRules,
+  archiveChatRules,
+  searchRules,
+  exportRules,
+  importRules,
+  createPersonaRules,
+  updatePersonaRules,
+  personaIdRules,
+  folderRules,
+  renameFolderRules,
+  folderIdRules,
+  attachmentIdRules,
+  shareChatRules,
+  shareSlugRules,
+  usageRules,
+  aiMessagePayload,
+  regeneratePayload,
+  stopGenerationPayload
+};
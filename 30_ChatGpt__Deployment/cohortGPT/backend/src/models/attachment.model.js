@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+
+// uploaded file; message is set once it is sent with a message
+const attachmentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chat",
+        required: true
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "message",
+        default: null
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // image → sent to vision models, document → extracted text
+    kind: {
+        type: String,
+        enum: ["image", "document"],
+        required: true
+    },
+    // where the bytes live (storage.service)
+    storage: {
+        type: String,
+        enum: ["local", "imagekit"],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: String,
+    // documents only, capped at ATTACHMENT_TEXT_CHARS
+    text: String,
+    textTruncated: {
+        type: Boolean,
+        default: false
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+attachmentSchema.index({ chat: 1, message: 1 })
+attachmentSchema.index({ message: 1 })
+
+const attachmentModel = mongoose.model("attachment", attachmentSchema)
+
+module.exports = attachmentModel
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+// single-use email link token; only its sha256 is stored
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ["verify-email", "reset-password"],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+authTokenSchema.index({ user: 1, type: 1 })
+// expired tokens are dropped by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const authTokenModel = mongoose.model("authToken", authTokenSchema)
+
+module.exports = authTokenModel
@@ -10,9 +10,58 @@ const chatSchema = new mongoose.Schema({
         type:String,
         required:true
     },
+    // default → placeholder, auto → set from first exchange, user → renamed by hand
+    titleSource: {
+        type:String,
+        enum:["default","auto","user"],
+        default:"default"
+    },
     lastActivity:{
         type:Date,
         default:Date.now
+    },
+    // custom assistant; empty → user's default persona → Olivia
+    persona:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'persona'
+    },
+    // LLM provider for this chat; empty → LLM_PROVIDER env
+    provider:{
+        type:String,
+        enum:["groq","gemini","mock"]
+    },
+    // sidebar folder; null → top level
+    folder:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'folder',
+        default:null
+    },
+    // pinned chats are listed on their own, above the rest
+    pinned:{
+        type:Boolean,
+        default:false
+    },
+    // archived chats leave the sidebar list, nothing is deleted
+    archived:{
+        type:Boolean,
+        default:false
+    },
+    activeLeaf:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'message'
+    },
+    // running summary of turns that left the context window
+    summary:{
+        text:String,
+        upTo:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:'message'
+        },
+        pendingTurns:{
+            type:Number,
+            default:0
+        },
+        updatedAt:Date
     }
 },
     {
@@ -20,6 +69,11 @@ const chatSchema = new mongoose.Schema({
     }
 )
 
+// full-text search on titles, always scoped to one user
+chatSchema.index({ user: 1, title: "text" })
+// sidebar pages: newest activity first, _id breaks ties
+chatSchema.index({ user: 1, archived: 1, lastActivity: -1, _id: -1 })
+
 const chatModel = mongoose.model("chat", chatSchema)
 
 module.exports = chatModel
\ No newline at end of file
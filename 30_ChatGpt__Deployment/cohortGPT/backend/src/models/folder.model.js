@@ -0,0 +1,24 @@
+const mongoose = require("mongoose")
+
+// sidebar folder; chats point at it through chat.folder
+const folderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+const folderModel = mongoose.model("folder", folderSchema)
+
+module.exports = folderModel
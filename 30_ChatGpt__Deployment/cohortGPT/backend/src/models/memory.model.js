@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+const memorySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        index: true
+    },
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chat"
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "message",
+        unique: true
+    },
+    role: {
+        type: String,
+        enum: ["user", "model", "system"]
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+const memoryModel = mongoose.model("memory", memorySchema)
+
+module.exports = memoryModel
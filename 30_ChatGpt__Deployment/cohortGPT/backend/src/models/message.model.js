@@ -9,6 +9,10 @@ const messageSchemea=new mongoose.Schema({
         type:mongoose.Schema.Types.ObjectId,
         ref:"chat"
     },
+    parent:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"message"
+    },
     content:{
         type:String,
         required:true
@@ -18,7 +22,37 @@ const messageSchemea=new mongoose.Schema({
         enum:["user","model","system"],
         default:'user'
     },  
+    truncated:{
+        type:Boolean,
+        default:false
+    },
+    // files sent with this message (user messages only)
+    attachments:[{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"attachment"
+    }],
+    // tool step of a reply (system messages only): the reply
+    // hangs below its steps, content is what the tool returned
+    tool:{
+        name:String,
+        arguments:mongoose.Schema.Types.Mixed,
+        ok:Boolean
+    },
+    // tokens spent on this reply (model messages only)
+    usage:{
+        promptTokens:Number,
+        completionTokens:Number,
+        // provider sent no counts (stopped early / mock) → rough estimate
+        estimated:Boolean
+    }
 },{
     timestamps:true
 })
+// full-text search, always scoped to one user
+messageSchemea.index({user:1,content:"text"})
+// message trees and history pages load per chat in time order
+messageSchemea.index({chat:1,createdAt:1})
+// siblings (alternate replies / edits) of the messages on a page,
+// and the newest child when switching branches
+messageSchemea.index({chat:1,parent:1,createdAt:1})
 module.exports=mongoose.model("message",messageSchemea)
\ No newline at end of file
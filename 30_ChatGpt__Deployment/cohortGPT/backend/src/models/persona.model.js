@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+
+const personaSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    instructions: {
+        type: String,
+        required: true
+    },
+    temperature: {
+        type: Number,
+        min: 0,
+        max: 2,
+        default: 0.5
+    },
+    // empty → the chat's provider default model
+    model: {
+        type: String,
+        trim: true
+    },
+    // provider the model belongs to; other providers ignore it
+    provider: {
+        type: String
+    },
+    // used by chats that don't pick a persona
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+const personaModel = mongoose.model("persona", personaSchema)
+
+module.exports = personaModel
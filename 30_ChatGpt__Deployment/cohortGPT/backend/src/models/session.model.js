@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// one signed-in device; the refresh token itself is never stored
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        index: true
+    },
+    // sha256 of the current refresh token
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // hashes of refresh tokens already rotated out (reuse detection)
+    rotatedHashes: {
+        type: [String],
+        default: []
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    // logout | revoked | reuse | password-reset
+    revokedReason: String
+},
+    {
+        timestamps: true
+    }
+)
+
+// expired sessions are dropped by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const sessionModel = mongoose.model("session", sessionSchema)
+
+module.exports = sessionModel
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose")
+
+// one message as it was when the chat was shared
+const sharedMessageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ["user", "model", "system"],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    truncated: {
+        type: Boolean,
+        default: false
+    },
+    // file names only, the files themselves stay private
+    attachments: [{
+        _id: false,
+        name: String,
+        kind: String
+    }],
+    createdAt: Date
+},
+    {
+        _id: false
+    }
+)
+
+// public read-only snapshot of a chat's active branch
+const shareSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chat",
+        required: true
+    },
+    // random, the only thing the public link carries
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    messages: [sharedMessageSchema],
+    // null → never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+shareSchema.index({ chat: 1, createdAt: -1 })
+
+const shareModel = mongoose.model("share", shareSchema)
+
+module.exports = shareModel
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// token totals of one user for one UTC day
+const usageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    // "YYYY-MM-DD" (UTC)
+    day: {
+        type: String,
+        required: true
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    // completions counted (replies, titles, summaries)
+    requests: {
+        type: Number,
+        default: 0
+    }
+},
+    {
+        timestamps: true
+    }
+)
+
+usageSchema.index({ user: 1, day: 1 }, { unique: true })
+usageSchema.index({ day: 1 })
+
+const usageModel = mongoose.model("usage", usageSchema)
+
+module.exports = usageModel
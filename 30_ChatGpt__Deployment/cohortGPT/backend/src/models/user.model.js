@@ -14,10 +14,33 @@ const userSchema = new mongoose.Schema({
         email: {
         type: String,
         required: true,
-        unique: true
+        unique: true,
+        lowercase: true
     },
+    // empty for accounts created through Google sign-in
     password: {
         type: String
+    },
+    googleId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    // admin → may read everyone's usage
+    role: {
+        type: String,
+        enum: ["user", "admin"],
+        default: "user"
+    },
+    // tokens per UTC day; empty → DAILY_TOKEN_QUOTA, 0 → unlimited
+    dailyTokenQuota: {
+        type: Number,
+        min: 0
     }
 },
     {
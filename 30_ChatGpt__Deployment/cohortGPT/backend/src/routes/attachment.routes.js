@@ -0,0 +1,21 @@
+const express = require("express");
+const attachmentController = require("../controller/attachment.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+
+const router = express.Router();
+
+router.get(
+  "/:attachmentId",
+  authMiddleware.authUser,
+  validator.attachmentIdRules,
+  attachmentController.getAttachment
+);
+router.delete(
+  "/:attachmentId",
+  authMiddleware.authUser,
+  validator.attachmentIdRules,
+  attachmentController.deleteAttachment
+);
+
+module.exports = router;
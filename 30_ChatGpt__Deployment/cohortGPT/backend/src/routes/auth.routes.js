@@ -1,20 +1,83 @@
 const express=require("express")
 const authController =require("../controller/auth.controller")
+const authMiddleware =require("../middlewares/auth.middleware")
+const validator =require("../middlewares/validator.middleware")
+const { rateLimit } =require("../middlewares/rateLimit.middleware")
 
 
 const router=express.Router()
 
 router.post(
     '/register',
+    rateLimit('register'),
+    validator.registerRules,
     authController.registerUser
 )
 router.post(
     '/login',
+    rateLimit('login'),
+    validator.loginRules,
     authController.loginUser
 )
+router.get(
+    '/me',
+    authMiddleware.authUser,
+    authController.getMe
+)
+router.get(
+    '/google',
+    authController.googleStart
+)
+router.get(
+    '/google/link',
+    authMiddleware.authUser,
+    authController.googleStart
+)
+router.get(
+    '/google/callback',
+    authController.googleCallback
+)
+router.post(
+    '/verify-email',
+    validator.tokenRules,
+    authController.verifyEmail
+)
+router.post(
+    '/resend-verification',
+    authMiddleware.authUser,
+    rateLimit('email'),
+    authController.resendVerification
+)
+router.post(
+    '/forgot-password',
+    rateLimit('email'),
+    validator.forgotPasswordRules,
+    authController.forgotPassword
+)
+router.post(
+    '/reset-password',
+    rateLimit('email'),
+    validator.resetPasswordRules,
+    authController.resetPassword
+)
+router.post(
+    '/refresh',
+    authController.refreshToken
+)
 router.get(
     '/logout',
     authController.logoutUser
 )
+router.get(
+    '/sessions',
+    authMiddleware.authUser,
+    authController.getSessions
+)
+router.delete(
+    '/sessions/:id',
+    authMiddleware.authUser,
+    validator.sessionIdRules,
+    authController.deleteSession
+)
 
 module.exports=router
\ No newline at end of file
@@ -1,34 +1,146 @@
 const express = require("express");
 const chatController = require("../controller/chat.controller");
+const attachmentController = require("../controller/attachment.controller");
+const shareController = require("../controller/share.controller");
 const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+const { requireChatAccess } = require("../middlewares/chatAccess.middleware");
+const { uploadFiles } = require("../middlewares/upload.middleware");
 
 const router = express.Router();
 
 router.post(
   "/",
   authMiddleware.authUser,
+  validator.createChatRules,
   chatController.createChat
 );
 
 router.get(
   "/",
   authMiddleware.authUser,
+  validator.listChatsRules,
   chatController.getUserChats
 );
 
+router.get(
+  "/search",
+  authMiddleware.authUser,
+  validator.searchRules,
+  chatController.searchChats
+);
+
+router.post(
+  "/import",
+  authMiddleware.authUser,
+  validator.importRules,
+  chatController.importChat
+);
+
 router.get(
   "/:chatId/messages",
   authMiddleware.authUser,
+  validator.messagesPageRules,
+  requireChatAccess,
   chatController.getMessages
 );
+router.put(
+  "/:chatId/messages/:messageId/activate",
+  authMiddleware.authUser,
+  validator.messageIdRules,
+  requireChatAccess,
+  chatController.activateBranch
+);
+router.post(
+  "/:chatId/attachments",
+  authMiddleware.authUser,
+  validator.chatIdRules,
+  requireChatAccess,
+  uploadFiles,
+  attachmentController.uploadChatAttachments
+);
+router.get(
+  "/:chatId/summary",
+  authMiddleware.authUser,
+  validator.chatIdRules,
+  requireChatAccess,
+  chatController.getSummary
+);
+router.delete(
+  "/:chatId/summary",
+  authMiddleware.authUser,
+  validator.chatIdRules,
+  requireChatAccess,
+  chatController.resetSummary
+);
+router.get(
+  "/:chatId/export",
+  authMiddleware.authUser,
+  validator.exportRules,
+  requireChatAccess,
+  chatController.exportChat
+);
+router.post(
+  "/:chatId/share",
+  authMiddleware.authUser,
+  validator.shareChatRules,
+  requireChatAccess,
+  shareController.shareChat
+);
+router.get(
+  "/:chatId/shares",
+  authMiddleware.authUser,
+  validator.chatIdRules,
+  requireChatAccess,
+  shareController.getChatShares
+);
 router.put(
   "/:chatId/rename",
   authMiddleware.authUser,
+  validator.renameChatRules,
+  requireChatAccess,
   chatController.renameChat
 );
+router.put(
+  "/:chatId/persona",
+  authMiddleware.authUser,
+  validator.setPersonaRules,
+  requireChatAccess,
+  chatController.setChatPersona
+);
+router.put(
+  "/:chatId/provider",
+  authMiddleware.authUser,
+  validator.setProviderRules,
+  requireChatAccess,
+  chatController.setChatProvider
+);
+router.put(
+  "/:chatId/folder",
+  authMiddleware.authUser,
+  validator.moveChatRules,
+  requireChatAccess,
+  chatController.moveChat
+);
+router.put(
+  "/:chatId/pin",
+  authMiddleware.authUser,
+  validator.pinChatRules,
+  requireChatAccess,
+  chatController.pinChat
+);
+router.put(
+  "/:chatId/archive",
+  authMiddleware.authUser,
+  validator.archiveChatRules,
+  requireChatAccess,
+  chatController.archiveChat
+);
 router.delete(
   "/:chatId",
   authMiddleware.authUser,
+  validator.chatIdRules,
+  requireChatAccess,
   chatController.deleteChat
 );
 
@@ -0,0 +1,34 @@
+const express = require("express");
+const folderController = require("../controller/folder.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+
+const router = express.Router();
+
+router.post(
+  "/",
+  authMiddleware.authUser,
+  validator.folderRules,
+  folderController.createFolder
+);
+
+router.get(
+  "/",
+  authMiddleware.authUser,
+  folderController.getFolders
+);
+
+router.put(
+  "/:folderId",
+  authMiddleware.authUser,
+  validator.renameFolderRules,
+  folderController.renameFolder
+);
+router.delete(
+  "/:folderId",
+  authMiddleware.authUser,
+  validator.folderIdRules,
+  folderController.deleteFolder
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const personaController = require("../controller/persona.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+
+const router = express.Router();
+
+router.post(
+  "/",
+  authMiddleware.authUser,
+  validator.createPersonaRules,
+  personaController.createPersona
+);
+
+router.get(
+  "/",
+  authMiddleware.authUser,
+  personaController.getPersonas
+);
+
+router.get(
+  "/:personaId",
+  authMiddleware.authUser,
+  validator.personaIdRules,
+  personaController.getPersona
+);
+router.put(
+  "/:personaId",
+  authMiddleware.authUser,
+  validator.updatePersonaRules,
+  personaController.updatePersona
+);
+router.delete(
+  "/:personaId",
+  authMiddleware.authUser,
+  validator.personaIdRules,
+  personaController.deletePersona
+);
+
+module.exports = router;
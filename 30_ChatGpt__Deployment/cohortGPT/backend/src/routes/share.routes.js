@@ -0,0 +1,21 @@
+const express = require("express");
+const shareController = require("../controller/share.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+
+const router = express.Router();
+
+// public: anyone with the link, no auth cookie
+router.get(
+  "/:slug",
+  validator.shareSlugRules,
+  shareController.getSharedChat
+);
+router.delete(
+  "/:slug",
+  authMiddleware.authUser,
+  validator.shareSlugRules,
+  shareController.revokeChatShare
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const usageController = require("../controller/usage.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const validator = require("../middlewares/validator.middleware");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authMiddleware.authUser,
+  validator.usageRules,
+  usageController.getMyUsage
+);
+
+router.get(
+  "/admin",
+  authMiddleware.authUser,
+  authMiddleware.requireAdmin,
+  validator.usageRules,
+  usageController.getAdminSummary
+);
+
+module.exports = router;
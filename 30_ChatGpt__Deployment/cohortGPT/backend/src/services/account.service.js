@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const userModel = require("../models/user.model");
+const authTokenModel = require("../models/authToken.model");
+const { sendEmail } = require("./email.service");
+const { verifyEmailTemplate, resetPasswordTemplate } = require("./email.templates");
+const { revokeAllSessions } = require("./session.service");
+
+const VERIFY_TOKEN_HOURS = Number(process.env.VERIFY_TOKEN_HOURS) || 24;
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// frontend page URL (APP_URL, else the first FRONTEND_URLS entry)
+function appUrl(path) {
+  const base = process.env.APP_URL || (process.env.FRONTEND_URLS || "http://localhost:5173").split(",")[0];
+  return `${base}${path}`;
+}
+
+// links point at the frontend, which posts the token back
+function appLink(path, token) {
+  return `${appUrl(path)}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * FIND USER BY EMAIL
+ * -----------------------------------
+ * - emails are stored lowercased now, but accounts
+ *   from before keep the case they were typed in,
+ *   so the match ignores case
+ */
+function findUserByEmail(email) {
+  const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return userModel.findOne({ email: new RegExp(`^${escaped}$`, "i") });
+}
+
+/**
+ * ISSUE TOKEN
+ * -----------------------------------
+ * - random token, only its hash is stored
+ * - older tokens of the same type stop working
+ */
+async function issueToken(userId, type, ttlMs) {
+  await authTokenModel.deleteMany({ user: userId, type });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await authTokenModel.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+}
+
+/**
+ * CONSUME TOKEN
+ * -----------------------------------
+ * - single use: found and deleted in one step
+ * - returns the user id, null when unknown / expired
+ */
+async function consumeToken(token, type) {
+  if (typeof token !== "string" || !token) return null;
+
+  const doc = await authTokenModel.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return doc ? doc.user : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user._id, "verify-email", VERIFY_TOKEN_HOURS * 60 * 60 * 1000);
+
+  const { subject, text, html } = verifyEmailTemplate({
+    name: user.fullName?.firstName || "there",
+    link: appLink("/verify-email", token),
+    hours: VERIFY_TOKEN_HOURS
+  });
+
+  return sendEmail(user.email, subject, text, html);
+}
+
+async function verifyEmail(token) {
+  const userId = await consumeToken(token, "verify-email");
+  if (!userId) return null;
+
+  return userModel.findByIdAndUpdate(
+    userId,
+    { emailVerified: true, emailVerifiedAt: Date.now() },
+    { new: true }
+  );
+}
+
+/**
+ * REQUEST PASSWORD RESET
+ * -----------------------------------
+ * - silent when the email is unknown, so the
+ *   endpoint can't be used to probe accounts
+ */
+async function requestPasswordReset(email) {
+  const user = await findUserByEmail(email);
+  if (!user) return;
+
+  const token = await issueToken(user._id, "reset-password", RESET_TOKEN_MINUTES * 60 * 1000);
+
+  const { subject, text, html } = resetPasswordTemplate({
+    name: user.fullName?.firstName || "there",
+    link: appLink("/reset-password", token),
+    minutes: RESET_TOKEN_MINUTES
+  });
+
+  await sendEmail(user.email, subject, text, html);
+}
+
+/**
+ * RESET PASSWORD
+ * -----------------------------------
+ * - new password for the token's user
+ * - signs every device out
+ * - the link came through the inbox, so the
+ *   email counts as verified too
+ */
+async function resetPassword(token, password) {
+  const userId = await consumeToken(token, "reset-password");
+  if (!userId) return null;
+
+  const user = await userModel.findByIdAndUpdate(
+    userId,
+    {
+      password: await bcrypt.hash(password, 10),
+      emailVerified: true,
+      emailVerifiedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  await revokeAllSessions(userId, "password-reset");
+  return user;
+}
+
+module.exports = {
+  appUrl,
+  findUserByEmail,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,222 @@
+const path = require("path");
+const { PDFParse } = require("pdf-parse");
+const attachmentModel = require("../models/attachment.model");
+const { saveFile, readFile, removeFile } = require("./storage.service");
+
+// tuning knobs
+const MAX_TEXT_CHARS = Number(process.env.ATTACHMENT_TEXT_CHARS) || 20000;
+const MAX_PDF_PAGES = 50;
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const PDF_TYPE = "application/pdf";
+const TEXT_TYPES = ["text/plain", "text/markdown", "text/csv", "application/json"];
+// browsers label .md / .csv inconsistently (empty or octet-stream)
+const TEXT_EXTENSIONS = [".txt", ".md", ".markdown", ".csv", ".json", ".log"];
+
+function attachmentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function kindOf(file) {
+  if (IMAGE_TYPES.includes(file.mimetype)) return "image";
+  if (file.mimetype === PDF_TYPE) return "document";
+  if (TEXT_TYPES.includes(file.mimetype)) return "document";
+  if (TEXT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) return "document";
+  return null;
+}
+
+/**
+ * EXTRACT TEXT
+ * -----------------------------------
+ * - PDFs through pdf-parse (first MAX_PDF_PAGES pages)
+ * - text files as UTF-8
+ * - capped at ATTACHMENT_TEXT_CHARS
+ */
+async function extractText(file) {
+  let text;
+
+  if (file.mimetype === PDF_TYPE) {
+    const parser = new PDFParse({ data: file.buffer });
+    try {
+      text = (await parser.getText({ last: MAX_PDF_PAGES, pageJoiner: "" })).text;
+    } catch {
+      throw attachmentError(`could not read ${file.originalname}`, 422);
+    } finally {
+      await parser.destroy();
+    }
+  } else {
+    text = file.buffer.toString("utf8");
+    // NUL bytes → binary file with a text name
+    if (text.includes("\u0000")) throw attachmentError(`${file.originalname} is not a text file`, 415);
+  }
+
+  text = text.replace(/\r\n/g, "\n").trim();
+
+  return {
+    text: text.slice(0, MAX_TEXT_CHARS),
+    textTruncated: text.length > MAX_TEXT_CHARS
+  };
+}
+
+/**
+ * UPLOAD ATTACHMENTS
+ * -----------------------------------
+ * - images + PDFs / text files (multer memory files)
+ * - documents get their text extracted up front
+ * - bytes go to the storage driver, the record to
+ *   MongoDB, not yet linked to a message
+ */
+async function uploadAttachments(files, { user, chat }) {
+  const unsupported = files.find(f => !kindOf(f));
+  if (unsupported) {
+    throw attachmentError(`${unsupported.originalname}: only images, PDFs and text files are supported`, 415);
+  }
+
+  const prepared = [];
+  for (const file of files) {
+    const kind = kindOf(file);
+    prepared.push({ file, kind, ...(kind === "document" ? await extractText(file) : {}) });
+  }
+
+  const created = [];
+  for (const { file, kind, text, textTruncated } of prepared) {
+    const stored = await saveFile({ buffer: file.buffer, filename: file.originalname, user });
+
+    created.push(await attachmentModel.create({
+      user,
+      chat,
+      name: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      kind,
+      ...stored,
+      text,
+      textTruncated
+    }));
+  }
+
+  return created;
+}
+
+/**
+ * PENDING ATTACHMENTS
+ * -----------------------------------
+ * - the user's uploads for this chat that were
+ *   not sent with a message yet
+ * - null when any id does not qualify
+ */
+async function pendingAttachments(ids, { user, chat }) {
+  if (!ids?.length) return [];
+
+  const unique = [...new Set(ids.map(String))];
+  const found = await attachmentModel.find({
+    _id: { $in: unique },
+    user,
+    chat,
+    message: null
+  }).lean();
+
+  return found.length === unique.length ? found : null;
+}
+
+async function linkAttachments(attachments, messageId) {
+  if (!attachments.length) return;
+
+  await attachmentModel.updateMany(
+    { _id: { $in: attachments.map(a => a._id) } },
+    { message: messageId }
+  );
+}
+
+function toClientAttachment(a) {
+  return {
+    _id: a._id,
+    name: a.name,
+    mimeType: a.mimeType,
+    size: a.size,
+    kind: a.kind
+  };
+}
+
+// messageId → client attachments, for the messages that have any
+async function attachmentsByMessage(messages) {
+  const ids = messages.flatMap(m => m.attachments || []);
+  const byMessage = new Map();
+  if (!ids.length) return byMessage;
+
+  const found = await attachmentModel.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(found.map(a => [String(a._id), a]));
+
+  for (const m of messages) {
+    const list = (m.attachments || []).map(id => byId.get(String(id))).filter(Boolean);
+    if (list.length) byMessage.set(String(m._id), list);
+  }
+
+  return byMessage;
+}
+
+/**
+ * WITH ATTACHMENTS
+ * -----------------------------------
+ * - copies of the history ready for the model
+ * - document text is appended to its message
+ * - images of the newest message are loaded as
+ *   { mimeType, data (base64) } for vision models;
+ *   older images are named only
+ */
+async function withAttachments(history) {
+  const byMessage = await attachmentsByMessage(history);
+  if (!byMessage.size) return history;
+
+  const last = history[history.length - 1];
+
+  return Promise.all(history.map(async (m) => {
+    const list = byMessage.get(String(m._id));
+    if (!list) return m;
+
+    const parts = [m.content];
+    const images = [];
+
+    for (const a of list) {
+      if (a.kind === "document") {
+        parts.push(`--- Attached file: ${a.name}${a.textTruncated ? " (truncated)" : ""} ---\n${a.text || "(no text found)"}`);
+      } else if (m === last) {
+        try {
+          const data = await readFile(a);
+          images.push({ mimeType: a.mimeType, data: data.toString("base64"), name: a.name });
+        } catch (err) {
+          console.error(`[ATTACHMENT] Read error (${a.name}):`, err.message);
+          parts.push(`[Attached image: ${a.name} (could not be loaded)]`);
+        }
+      } else {
+        parts.push(`[Attached image: ${a.name}]`);
+      }
+    }
+
+    return {
+      ...m,
+      content: parts.join("\n\n"),
+      ...(images.length && { images })
+    };
+  }));
+}
+
+// every file of a deleted chat, bytes included
+async function deleteChatAttachments(chatId) {
+  const attachments = await attachmentModel.find({ chat: chatId }).lean();
+
+  for (const a of attachments) await removeFile(a);
+  await attachmentModel.deleteMany({ chat: chatId });
+}
+
+module.exports = {
+  uploadAttachments,
+  pendingAttachments,
+  linkAttachments,
+  toClientAttachment,
+  attachmentsByMessage,
+  withAttachments,
+  deleteChatAttachments
+};
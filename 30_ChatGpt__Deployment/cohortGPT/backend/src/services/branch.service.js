@@ -0,0 +1,344 @@
+const messageModel = require("../models/message.model");
+
+const ROOT = "root";
+
+// enough to walk branches; content is loaded per page
+const SKELETON_FIELDS = "parent role createdAt";
+// messages read per batch when a whole branch is walked
+const BRANCH_BATCH = 100;
+
+/**
+ * LOAD MESSAGE TREE
+ * -----------------------------------
+ * - one query per chat, oldest first
+ * - indexes messages by id and by parent
+ * - messages saved before branching existed have no
+ *   parent field, so they are chained in time order
+ * - for exports and shares, which need every message;
+ *   pages and replies walk one branch instead
+ */
+async function loadTree(chatId) {
+  const messages = await messageModel
+    .find({ chat: chatId })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byId = new Map();
+  const children = new Map();
+  let previous = null;
+
+  for (const m of messages) {
+    if (m.parent === undefined) m.parent = previous ? previous._id : null;
+
+    const key = m.parent ? String(m.parent) : ROOT;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(m);
+
+    byId.set(String(m._id), m);
+    previous = m;
+  }
+
+  return { byId, children };
+}
+
+/**
+ * LATEST LEAF
+ * -----------------------------------
+ * - walks down from a message (or the root)
+ * - always follows the newest child
+ */
+function latestLeaf(tree, fromId) {
+  let node = fromId ? tree.byId.get(String(fromId)) : null;
+  let key = node ? String(node._id) : ROOT;
+
+  while (tree.children.has(key)) {
+    const kids = tree.children.get(key);
+    node = kids[kids.length - 1];
+    key = String(node._id);
+  }
+
+  return node;
+}
+
+/**
+ * ACTIVE PATH
+ * -----------------------------------
+ * - root → leaf list of the branch being shown
+ * - uses chat.activeLeaf, falls back to the newest leaf
+ */
+function activePath(tree, leafId) {
+  let node = (leafId && tree.byId.get(String(leafId))) || latestLeaf(tree, null);
+  const path = [];
+
+  while (node) {
+    path.push(node);
+    node = node.parent ? tree.byId.get(String(node.parent)) : null;
+  }
+
+  return path.reverse();
+}
+
+/**
+ * PARENT WALKER
+ * -----------------------------------
+ * - reads a branch upwards from any of its messages,
+ *   without the whole tree
+ * - older messages are read in createdAt batches (the
+ *   chat + createdAt index); a parent outside the batch
+ *   (another branch came in between) is read by id
+ * - messages saved before branching existed have no
+ *   parent field: theirs is the one before in time
+ * - fields: projection of every read, null → whole messages
+ */
+function parentWalker(chatId, fields) {
+  const byId = new Map();
+  // ids of messages saved without a parent field
+  const chained = new Set();
+  let older = [];
+  let position = new Map();
+
+  // one object per message, so resolved parents stick
+  const remember = m => {
+    if (!m) return null;
+    const key = String(m._id);
+    if (!byId.has(key)) {
+      byId.set(key, m);
+      if (m.parent === undefined) chained.add(key);
+    }
+    return byId.get(key);
+  };
+
+  const findById = async id =>
+    remember(await messageModel.findOne({ _id: id, chat: chatId }, fields).lean());
+
+  const findNewest = async () =>
+    remember(await messageModel.findOne({ chat: chatId }, fields).sort({ createdAt: -1 }).lean());
+
+  async function readOlder(node, size) {
+    const docs = await messageModel
+      .find({ chat: chatId, createdAt: { $lte: node.createdAt } }, fields)
+      .sort({ createdAt: -1 })
+      .limit(size)
+      .lean();
+
+    older = docs.map(remember);
+    position = new Map(older.map((m, i) => [String(m._id), i]));
+  }
+
+  // undefined → not read yet
+  function loadedParent(node) {
+    if (node.parent !== undefined) return byId.get(String(node.parent));
+    const i = position.get(String(node._id));
+    return i === undefined || i + 1 >= older.length ? undefined : older[i + 1];
+  }
+
+  // wanted: how many messages above node the caller will walk
+  async function parentOf(node, wanted) {
+    if (node.parent === null) return null;
+
+    let parent = loadedParent(node);
+    if (parent === undefined) {
+      // the node itself + the wanted messages above it
+      await readOlder(node, wanted + 1);
+      parent = loadedParent(node);
+    }
+    if (parent === undefined) {
+      parent = node.parent === undefined ? null : await findById(node.parent);
+    }
+    if (node.parent === undefined) node.parent = parent ? parent._id : null;
+
+    return parent;
+  }
+
+  return { byId, chained, remember, findById, findNewest, parentOf };
+}
+
+// a message saved without a parent field is the child of the
+// one before it in time (the first one: of the root, parent null)
+async function chainedChild(chatId, parent) {
+  const next = await messageModel
+    .findOne(
+      parent ? { chat: chatId, createdAt: { $gt: parent.createdAt } } : { chat: chatId },
+      SKELETON_FIELDS
+    )
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return next && next.parent === undefined ? next : null;
+}
+
+/**
+ * FIND NEWEST LEAF
+ * -----------------------------------
+ * - latestLeaf without the whole tree: walks down from
+ *   a message, one {chat, parent} lookup per level,
+ *   always to the newest child
+ * - null when fromId is not in the chat
+ */
+async function findNewestLeaf(chatId, fromId) {
+  let node = await messageModel.findOne({ _id: fromId, chat: chatId }, SKELETON_FIELDS).lean();
+
+  while (node) {
+    const child =
+      await messageModel
+        .findOne({ chat: chatId, parent: node._id }, SKELETON_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean() ||
+      (node.parent === undefined ? await chainedChild(chatId, node) : null);
+
+    if (!child) return node;
+    node = child;
+  }
+
+  return null;
+}
+
+/**
+ * LOAD BRANCH
+ * -----------------------------------
+ * - root → message list of one branch, whole messages
+ *   (the history a reply is generated from)
+ * - walks up the parent chain, so it costs the branch,
+ *   not the chat
+ * - fromId → the branch ending at that message, null
+ *   when it is not in the chat
+ * - no fromId → the branch ending at the newest message
+ */
+async function loadBranch(chatId, fromId) {
+  const walker = parentWalker(chatId, null);
+  let node = fromId ? await walker.findById(fromId) : await walker.findNewest();
+  if (fromId && !node) return null;
+
+  const path = [];
+  while (node) {
+    path.push(node);
+    node = await walker.parentOf(node, BRANCH_BATCH);
+  }
+
+  return path.reverse();
+}
+
+/**
+ * LOAD PAGE
+ * -----------------------------------
+ * - newest `limit` messages of a branch, oldest first
+ * - no before → ends at the active leaf; no active leaf →
+ *   at the newest message (only chats from before
+ *   activeLeaf existed)
+ * - before → the messages above it (its ancestors),
+ *   whatever branch is active now
+ * - walks up the parent chain (parentWalker), so a page
+ *   costs the same in a chat of 20 or 20 000 messages
+ * - tree: the walked messages plus the siblings that
+ *   branchInfo needs for the page
+ * - null when before is not in the chat
+ */
+async function loadPage(chatId, { leafId, before, limit }) {
+  const { byId, chained, remember, findById, findNewest, parentOf } = parentWalker(chatId, SKELETON_FIELDS);
+
+  let node;
+
+  if (before) {
+    const from = await findById(before);
+    if (!from) return null;
+    node = await parentOf(from, limit + 1);
+  } else {
+    node = (leafId && await findById(leafId)) || await findNewest();
+  }
+
+  // one extra tells whether older messages exist; tool steps
+  // above the page are walked too, branchInfo starts at the first
+  const walked = [];
+  while (node) {
+    walked.push(node);
+    if (walked.length > limit && node.role !== "system") break;
+    node = await parentOf(node, Math.max(limit + 1 - walked.length, 1));
+  }
+
+  const path = walked.slice(0, limit).reverse();
+  const tree = { byId, children: new Map() };
+
+  const keys = new Set(path.map(m => {
+    const start = turnStart(tree, m);
+    return start.parent ? String(start.parent) : ROOT;
+  }));
+
+  const ids = [...keys].filter(key => key !== ROOT);
+  const where = [
+    ...(ids.length ? [{ parent: { $in: ids } }] : []),
+    // explicit null only: a missing parent is an old chained message
+    ...(keys.has(ROOT) ? [{ parent: { $type: "null" } }] : [])
+  ];
+
+  const siblings = where.length
+    ? (await messageModel
+      .find({ chat: chatId, $or: where }, SKELETON_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean()).map(remember)
+    : [];
+
+  // a chained child is not walked when the page came
+  // down an edit of its parent
+  for (const key of keys) {
+    if (key !== ROOT && !chained.has(key)) continue;
+    const parent = key === ROOT ? null : byId.get(key);
+    const parentId = parent ? parent._id : null;
+    const known = [...chained].some(id => String(byId.get(id).parent) === String(parentId));
+    if (known) continue;
+
+    const next = await chainedChild(chatId, parent);
+    if (!next) continue;
+
+    const child = remember(next);
+    child.parent = parentId;
+    siblings.push(child);
+  }
+
+  // chained messages only know their parent once walked
+  for (const m of [...siblings, ...walked].sort((a, b) => a.createdAt - b.createdAt)) {
+    if (m.parent === undefined) continue;
+    const key = m.parent ? String(m.parent) : ROOT;
+    if (!keys.has(key)) continue;
+    if (!tree.children.has(key)) tree.children.set(key, []);
+
+    const kids = tree.children.get(key);
+    if (!kids.includes(m)) kids.push(m);
+  }
+
+  return { path, hasMore: walked.length > limit, tree };
+}
+
+// first tool step above a reply (the reply itself without any)
+function turnStart(tree, message) {
+  let node = message;
+
+  while (node.parent) {
+    const parent = tree.byId.get(String(node.parent));
+    if (!parent || parent.role !== "system") break;
+    node = parent;
+  }
+
+  return node;
+}
+
+/**
+ * BRANCH INFO
+ * -----------------------------------
+ * - position of a message among its siblings
+ * - siblings are alternate replies / edits
+ * - a reply that used tools branches where its
+ *   first tool step does
+ */
+function branchInfo(tree, message) {
+  const start = turnStart(tree, message);
+  const key = start.parent ? String(start.parent) : ROOT;
+  const siblings = tree.children.get(key) || [start];
+
+  return {
+    index: siblings.findIndex(s => String(s._id) === String(start._id)) + 1,
+    count: siblings.length,
+    siblings: siblings.map(s => s._id)
+  };
+}
+
+module.exports = { loadTree, activePath, findNewestLeaf, loadBranch, loadPage, branchInfo };
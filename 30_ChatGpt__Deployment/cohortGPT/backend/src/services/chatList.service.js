@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const chatModel = require("../models/chat.model");
+
+const DEFAULT_PAGE_SIZE = 30;
+
+/**
+ * CURSOR
+ * -----------------------------------
+ * - opaque to the client: base64url of
+ *   [lastActivity ms, _id] of the last chat sent
+ * - decodeCursor → null when it was tampered with
+ */
+function encodeCursor(chat) {
+  const payload = [new Date(chat.lastActivity).getTime(), String(chat._id)];
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Number.isFinite(time) || !mongoose.isValidObjectId(id)) return null;
+    return { lastActivity: new Date(time), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * LIST CHATS
+ * -----------------------------------
+ * - newest activity first, one page at a time
+ * - archived: false (default) hides archived chats,
+ *   true lists only them
+ * - pinned / folder ("none" = top level) narrow it
+ *   down when given
+ * - chats saved before these fields existed count as
+ *   unpinned, unarchived, top level
+ * - returns { chats, nextCursor } (null on the last page)
+ */
+async function listChats({ user, archived = false, pinned, folder, limit = DEFAULT_PAGE_SIZE, cursor }) {
+  const filter = {
+    user,
+    archived: archived ? true : { $ne: true }
+  };
+
+  if (pinned !== undefined) filter.pinned = pinned ? true : { $ne: true };
+  if (folder !== undefined) filter.folder = folder === "none" ? null : folder;
+
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    filter.$or = [
+      { lastActivity: { $lt: after.lastActivity } },
+      { lastActivity: after.lastActivity, _id: { $lt: after._id } }
+    ];
+  }
+
+  // one extra tells whether another page exists
+  const found = await chatModel
+    .find(filter)
+    .sort({ lastActivity: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const chats = found.slice(0, limit);
+
+  return {
+    chats,
+    nextCursor: found.length > limit ? encodeCursor(chats[chats.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  decodeCursor,
+  listChats
+};
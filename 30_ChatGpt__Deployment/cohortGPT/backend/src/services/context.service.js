@@ -0,0 +1,136 @@
+const chatModel = require("../models/chat.model");
+const { queryMemory } = require("./memory.service");
+const { generateSummary } = require("./llm.service");
+const { estimateTokens, recordUsage } = require("./usage.service");
+const { toolNote } = require("./tool.service");
+
+// tuning knobs
+const TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000;
+const SUMMARY_EVERY_TURNS = Number(process.env.SUMMARY_EVERY_TURNS) || 6;
+const SUMMARY_INPUT_BUDGET = 6000;
+
+/**
+ * SHORT-TERM WINDOW
+ * -----------------------------------
+ * - newest messages that fit the token budget
+ * - the latest message is always kept
+ * - older = everything that fell out of the window
+ */
+function selectWindow(history, budget = TOKEN_BUDGET) {
+  let used = 0;
+  let start = history.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(history[start - 1].content);
+    if (used + cost > budget && start < history.length) break;
+
+    used += cost;
+    start--;
+  }
+
+  return { window: history.slice(start), older: history.slice(0, start) };
+}
+
+// summary only counts when it was built from this branch
+function summaryIndex(chat, older) {
+  const upTo = chat.summary?.upTo;
+  if (!upTo || !chat.summary.text) return -1;
+  return older.findIndex(m => String(m._id) === String(upTo));
+}
+
+/**
+ * BUILD CONTEXT
+ * -----------------------------------
+ * - running summary of older turns
+ * - long-term memory hits (LTM_ENABLED)
+ * - token-budgeted window of the active branch
+ */
+async function buildContext(chat, history, user) {
+  const { window, older } = selectWindow(history);
+  const query = history[history.length - 1].content;
+
+  const summary = summaryIndex(chat, older) === -1 ? [] : [
+    {
+      role: "system",
+      content: `Summary of the earlier conversation:\n\n${chat.summary.text}`
+    }
+  ];
+
+  const inWindow = new Set(window.map(m => String(m._id)));
+
+  const memory = (await queryMemory({
+    user: user._id,
+    text: query,
+    limit: 5
+  })).filter(m => !inWindow.has(String(m.messageId)));
+
+  const ltm = memory.length > 0 ? [
+    {
+      role: "system",
+      content: `Relevant past memory:\n\n${memory
+        .map(m => m.text)
+        .join("\n")}`
+    }
+  ] : [];
+
+  // images: loaded by attachment.service for vision models
+  // tool steps of earlier replies: read back as notes
+  const stm = window.map(m => ({
+    role: m.role,
+    content: m.tool?.name ? toolNote(m) : m.content,
+    ...(m.images && { images: m.images })
+  }));
+
+  return [...summary, ...ltm, ...stm];
+}
+
+/**
+ * REFRESH SUMMARY
+ * -----------------------------------
+ * - called after every model reply
+ * - every SUMMARY_EVERY_TURNS replies, folds the turns
+ *   that left the window into the running summary
+ * - a summary from another branch is rebuilt from scratch
+ */
+async function refreshSummary(chat, history) {
+  const pendingTurns = (chat.summary?.pendingTurns || 0) + 1;
+
+  const { older } = selectWindow(history);
+  const cut = summaryIndex(chat, older);
+  const fresh = older.slice(cut + 1);
+
+  if (pendingTurns < SUMMARY_EVERY_TURNS || fresh.length === 0) {
+    await chatModel.updateOne(
+      { _id: chat._id },
+      { "summary.pendingTurns": pendingTurns }
+    );
+    return;
+  }
+
+  // very long backlogs: only the newest part fits in one request
+  const input = selectWindow(fresh, SUMMARY_INPUT_BUDGET).window;
+
+  const text = await generateSummary(
+    cut === -1 ? "" : chat.summary.text,
+    input,
+    {
+      provider: chat.provider,
+      onUsage: usage => recordUsage({ user: chat.user, usage })
+    }
+  );
+  if (!text) return;
+
+  await chatModel.updateOne(
+    { _id: chat._id },
+    {
+      summary: {
+        text,
+        upTo: older[older.length - 1]._id,
+        pendingTurns: 0,
+        updatedAt: Date.now()
+      }
+    }
+  );
+}
+
+module.exports = { selectWindow, buildContext, refreshSummary };
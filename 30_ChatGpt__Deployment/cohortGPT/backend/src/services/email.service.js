@@ -0,0 +1,84 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * EMAIL TRANSPORTS
+ * -----------------------------------
+ * - EMAIL_TRANSPORT=gmail (OAuth2, default) | smtp | json
+ * - smtp → any SMTP server, e.g. a local catcher
+ *   like Mailpit / MailHog on localhost:1025
+ * - json → nothing is sent, the message is logged
+ *   (tests, local dev without credentials)
+ */
+const TRANSPORTS = {
+  gmail: () => ({
+    service: "gmail",
+    auth: {
+      type: "OAuth2",
+      user: process.env.EMAIL_USER,
+      clientId: process.env.CLIENT_ID,
+      clientSecret: process.env.CLIENT_SECRET,
+      refreshToken: process.env.REFRESH_TOKEN,
+    },
+  }),
+  smtp: () => ({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER
+      ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }
+      : {}),
+  }),
+  json: () => ({ jsonTransport: true }),
+};
+
+const TRANSPORT_NAME = process.env.EMAIL_TRANSPORT || "gmail";
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const options = TRANSPORTS[TRANSPORT_NAME];
+    if (!options) throw new Error(`Unknown EMAIL_TRANSPORT "${TRANSPORT_NAME}"`);
+    transporter = nodemailer.createTransport(options());
+  }
+  return transporter;
+}
+
+// Verify the connection configuration (called once at startup)
+async function initEmail() {
+  if (TRANSPORT_NAME === "json") return;
+
+  try {
+    await getTransporter().verify();
+    console.log(`[EMAIL:${TRANSPORT_NAME}] Email server is ready to send messages`);
+  } catch (err) {
+    console.error(`[EMAIL:${TRANSPORT_NAME}] Error connecting to email server:`, err.message);
+  }
+}
+
+/**
+ * SEND EMAIL
+ * -----------------------------------
+ * - resolves with the nodemailer info, null on failure
+ * - failures are logged, never thrown: a lost email
+ *   must not fail the request that triggered it
+ */
+async function sendEmail(to, subject, text, html) {
+  try {
+    const info = await getTransporter().sendMail({
+      from: `"${process.env.EMAIL_FROM_NAME || "Olivia"}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@localhost"}>`,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    console.log(`[EMAIL:${TRANSPORT_NAME}] Message sent →`, info.messageId);
+    return info;
+  } catch (err) {
+    console.error(`[EMAIL:${TRANSPORT_NAME}] Error sending email:`, err.message);
+    return null;
+  }
+}
+
+module.exports = { getTransporter, initEmail, sendEmail };
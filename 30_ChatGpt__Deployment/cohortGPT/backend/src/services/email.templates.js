@@ -0,0 +1,66 @@
+/**
+ * EMAIL TEMPLATES
+ * -----------------------------------
+ * - each returns { subject, text, html }
+ * - inline styles only (mail clients drop <style>)
+ */
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function layout({ heading, body, action, link, footer }) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,sans-serif;color:#222;">
+  <table role="presentation" width="100%" style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h2 style="margin:0 0 16px;">${heading}</h2>
+      <p style="line-height:1.5;">${body}</p>
+      <p style="margin:24px 0;">
+        <a href="${escapeHTML(link)}" style="background:#2563eb;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;display:inline-block;">${action}</a>
+      </p>
+      <p style="font-size:12px;color:#666;line-height:1.5;">
+        Or paste this link into your browser:<br>
+        <a href="${escapeHTML(link)}" style="color:#2563eb;word-break:break-all;">${escapeHTML(link)}</a>
+      </p>
+      <p style="font-size:12px;color:#666;">${footer}</p>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function verifyEmailTemplate({ name, link, hours }) {
+  return {
+    subject: "Verify your email for Olivia",
+    text: `Hi ${name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${hours} hours. If you did not sign up, ignore this email.`,
+    html: layout({
+      heading: "Verify your email",
+      body: `Hi ${escapeHTML(name)}, thanks for signing up. Confirm your email address to finish setting up your account.`,
+      action: "Verify email",
+      link,
+      footer: `The link expires in ${hours} hours. If you did not sign up, ignore this email.`
+    })
+  };
+}
+
+function resetPasswordTemplate({ name, link, minutes }) {
+  return {
+    subject: "Reset your Olivia password",
+    text: `Hi ${name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${minutes} minutes and works once. If you did not ask for a reset, ignore this email — your password stays the same.`,
+    html: layout({
+      heading: "Reset your password",
+      body: `Hi ${escapeHTML(name)}, we got a request to reset your password.`,
+      action: "Choose a new password",
+      link,
+      footer: `The link expires in ${minutes} minutes and works once. If you did not ask for a reset, ignore this email — your password stays the same.`
+    })
+  };
+}
+
+module.exports = { verifyEmailTemplate, resetPasswordTemplate };
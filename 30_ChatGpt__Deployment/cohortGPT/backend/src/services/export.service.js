@@ -0,0 +1,179 @@
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = Number(process.env.MAX_IMPORT_MESSAGES) || 5000;
+
+const ROLE_LABELS = { user: "User", model: "Assistant", system: "System" };
+const ROLES = Object.keys(ROLE_LABELS);
+
+/**
+ * JSON EXPORT
+ * -----------------------------------
+ * - whole message tree, not just the active branch
+ * - parents point at the exported ids
+ * - tool steps keep their tool, so they import as
+ *   steps and not as plain system messages
+ * - attachments are not exported (files stay with
+ *   the account that uploaded them)
+ * - the format POST /api/chat/import reads back
+ */
+function toJSONExport(chat, tree) {
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    chat: {
+      title: chat.title,
+      titleSource: chat.titleSource,
+      provider: chat.provider,
+      createdAt: chat.createdAt,
+      lastActivity: chat.lastActivity,
+      activeLeaf: chat.activeLeaf || null
+    },
+    messages: [...tree.byId.values()].map(m => ({
+      id: m._id,
+      parent: m.parent || null,
+      role: m.role,
+      content: m.content,
+      truncated: m.truncated || false,
+      ...(m.tool?.name && {
+        tool: { name: m.tool.name, arguments: m.tool.arguments, ok: m.tool.ok }
+      }),
+      createdAt: m.createdAt
+    }))
+  };
+}
+
+/**
+ * MARKDOWN EXPORT
+ * -----------------------------------
+ * - active branch only, oldest first
+ * - one heading per message: role + timestamp
+ */
+function toMarkdown(chat, path) {
+  const lines = [
+    `# ${chat.title}`,
+    "",
+    `_Created ${formatDate(chat.createdAt)} · last activity ${formatDate(chat.lastActivity)}_`,
+    ""
+  ];
+
+  for (const m of path) {
+    lines.push(`### ${ROLE_LABELS[m.role] || m.role} · ${formatDate(m.createdAt)}`);
+    lines.push("");
+    lines.push(m.content);
+    if (m.truncated) lines.push("", "_(reply stopped early)_");
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * HTML EXPORT
+ * -----------------------------------
+ * - standalone page, inline styles
+ * - every piece of chat text is escaped
+ */
+function toHTML(chat, path) {
+  const items = path.map(m => `
+    <article class="msg ${escapeHTML(m.role)}">
+      <header><strong>${escapeHTML(ROLE_LABELS[m.role] || m.role)}</strong> <time>${escapeHTML(formatDate(m.createdAt))}</time></header>
+      <div class="content">${escapeHTML(m.content)}</div>${m.truncated ? "\n      <em>(reply stopped early)</em>" : ""}
+    </article>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(chat.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    .meta { color: #666; font-size: .9rem; }
+    .msg { border-radius: 8px; padding: .75rem 1rem; margin: 1rem 0; background: #f4f4f5; }
+    .msg.user { background: #e0ecff; }
+    .msg header { font-size: .85rem; color: #555; margin-bottom: .4rem; }
+    .content { white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(chat.title)}</h1>
+  <p class="meta">Created ${escapeHTML(formatDate(chat.createdAt))} · last activity ${escapeHTML(formatDate(chat.lastActivity))}</p>${items}
+</body>
+</html>
+`;
+}
+
+/**
+ * VALIDATE IMPORT
+ * -----------------------------------
+ * - checks the JSON export shape
+ * - returns an error string, or null when usable
+ */
+function validateImport(data) {
+  if (!data || typeof data !== "object") return "body must be a chat export";
+  if (data.version !== EXPORT_VERSION) return `unsupported export version (expected ${EXPORT_VERSION})`;
+  if (!data.chat || typeof data.chat.title !== "string") return "chat.title is required";
+  if (!Array.isArray(data.messages)) return "messages must be an array";
+  if (data.messages.length > MAX_IMPORT_MESSAGES) return `too many messages (max ${MAX_IMPORT_MESSAGES})`;
+
+  const ids = new Set();
+  for (const m of data.messages) {
+    if (!m || m.id == null || ids.has(String(m.id))) return "every message needs a unique id";
+    if (!ROLES.includes(m.role)) return `unknown role "${m?.role}"`;
+    if (typeof m.content !== "string" || !m.content) return "message content must be a non-empty string";
+    if (m.tool != null && !isToolStep(m)) return "tool must be { name, arguments, ok } on a system message";
+    ids.add(String(m.id));
+  }
+
+  return null;
+}
+
+// tool of an imported system message
+function isToolStep(m) {
+  return m.role === "system" &&
+    typeof m.tool === "object" &&
+    typeof m.tool.name === "string" &&
+    Boolean(m.tool.name);
+}
+
+/**
+ * IMPORT ORDER
+ * -----------------------------------
+ * - parents before children
+ * - unknown parents become roots
+ * - messages caught in a parent cycle are left out
+ */
+function importOrder(messages) {
+  const ids = new Set(messages.map(m => String(m.id)));
+  const children = new Map();
+
+  for (const m of messages) {
+    const key = m.parent != null && ids.has(String(m.parent)) ? String(m.parent) : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(m);
+  }
+
+  const ordered = [];
+  const queue = [...(children.get(null) || [])];
+
+  while (queue.length) {
+    const m = queue.shift();
+    ordered.push(m);
+    queue.push(...(children.get(String(m.id)) || []));
+  }
+
+  return ordered;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().replace("T", " ").slice(0, 16) + " UTC" : "—";
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = { toJSONExport, toMarkdown, toHTML, validateImport, importOrder };
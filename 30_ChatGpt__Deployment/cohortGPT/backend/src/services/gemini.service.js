@@ -0,0 +1,105 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+let ai = null;
+
+// created on first use so other providers run without a Gemini key
+function getClient() {
+  if (!ai) ai = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return ai;
+}
+
+const MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+// what a persona may pick (GEMINI_MODELS replaces the suggestions)
+const MODELS = [...new Set([
+  MODEL,
+  ...(process.env.GEMINI_MODELS || "gemini-2.5-flash-lite,gemini-2.5-pro")
+    .split(",")
+    .map(m => m.trim())
+    .filter(Boolean)
+])];
+
+// canonical roles (message.model) → Gemini contents
+// Gemini has no system role inside contents, so extra context goes in as user text
+// images ride along as inlineData parts (every Gemini model is multimodal)
+function toGeminiContents(messages) {
+  return messages.map(m => ({
+    role: m.role === "model" ? "model" : "user",
+    parts: [
+      { text: m.content },
+      ...(m.images || []).map(img => ({
+        inlineData: { mimeType: img.mimeType, data: img.data }
+      }))
+    ]
+  }));
+}
+
+// usageMetadata → { promptTokens, completionTokens }
+function toUsage(meta) {
+  return {
+    promptTokens: meta.promptTokenCount || 0,
+    completionTokens: meta.candidatesTokenCount || 0
+  };
+}
+
+function getModel({ system, model, temperature, maxTokens }) {
+  return getClient().getGenerativeModel({
+    model: model || MODEL,
+    ...(system ? { systemInstruction: system } : {}),
+    generationConfig: {
+      temperature,
+      maxOutputTokens: maxTokens,
+    },
+  });
+}
+
+/**
+ * COMPLETE (Gemini)
+ * -----------------------------------
+ * - one-shot completion, resolves with the text
+ */
+async function complete({ system, messages, model, temperature, maxTokens, onUsage }) {
+  const result = await getModel({ system, model, temperature, maxTokens })
+    .generateContent({ contents: toGeminiContents(messages) });
+
+  if (result.response.usageMetadata) onUsage?.(toUsage(result.response.usageMetadata));
+
+  return result.response.text();
+}
+
+/**
+ * STREAM (Gemini)
+ * -----------------------------------
+ * - calls onToken for every text delta
+ * - resolves with the full text once done
+ * - rejects on model error or abort (signal)
+ */
+async function stream({ system, messages, model, temperature, signal, onToken, onUsage }) {
+  const result = await getModel({ system, model, temperature })
+    .generateContentStream(
+      { contents: toGeminiContents(messages) },
+      { signal }
+    );
+
+  let text = "";
+
+  for await (const chunk of result.stream) {
+    // running totals, the last chunk has the final ones
+    if (chunk.usageMetadata) onUsage?.(toUsage(chunk.usageMetadata));
+
+    const delta = chunk.text();
+    if (!delta) continue;
+
+    text += delta;
+    onToken?.(delta);
+  }
+
+  return text;
+}
+
+module.exports = {
+  name: "gemini",
+  vision: true,
+  models: MODELS,
+  complete,
+  stream,
+}
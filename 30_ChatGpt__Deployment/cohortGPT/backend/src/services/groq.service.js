@@ -1,97 +1,331 @@
 const Groq = require("groq-sdk");
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+let groq = null;
+
+// created on first use so other providers run without a Groq key
+function getClient() {
+  if (!groq) {
+    groq = new Groq({
+      apiKey: process.env.GROQ_API_KEY,
+      maxRetries: 0, // retries + fallback handled below
+    });
+  }
+  return groq;
+}
 
 const MODEL = process.env.GROQ_MODEL || "llama-3.1-8b-instant";
+// used instead whenever the messages carry images
+const VISION_MODEL = process.env.GROQ_VISION_MODEL || "meta-llama/llama-4-scout-17b-16e-instruct";
+
+// tuning knobs
+const TIMEOUT_MS = Number(process.env.GROQ_TIMEOUT_MS) || 30000;
+const MAX_RETRIES = process.env.GROQ_MAX_RETRIES !== undefined
+  ? Number(process.env.GROQ_MAX_RETRIES)
+  : 2;
+const RETRY_BASE_MS = Number(process.env.GROQ_RETRY_BASE_MS) || 500;
+const MAX_RETRY_DELAY_MS = 20000;
+const FALLBACK_MODELS = (process.env.GROQ_FALLBACK_MODELS || "")
+  .split(",")
+  .map(m => m.trim())
+  .filter(Boolean);
+// what a persona may pick (GROQ_MODELS replaces the suggestions)
+const MODELS = [...new Set([
+  MODEL,
+  VISION_MODEL,
+  ...FALLBACK_MODELS,
+  ...(process.env.GROQ_MODELS || "llama-3.3-70b-versatile,openai/gpt-oss-20b,openai/gpt-oss-120b")
+    .split(",")
+    .map(m => m.trim())
+    .filter(Boolean)
+])];
+
+// canonical roles (message.model) → OpenAI-style roles
+// images become data-URL image_url parts next to the text
+// tool calls / results of the current reply keep their ids
+function toGroqMessage(m) {
+  if (m.role === "tool") {
+    return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+  }
+
+  return {
+    role: m.role === "model" ? "assistant" : m.role,
+    content: m.images?.length
+      ? [
+        { type: "text", text: m.content },
+        ...m.images.map(img => ({
+          type: "image_url",
+          image_url: { url: `data:${img.mimeType};base64,${img.data}` }
+        }))
+      ]
+      : m.content,
+    ...(m.toolCalls?.length && {
+      tool_calls: m.toolCalls.map(call => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    })
+  };
+}
 
-async function generateResponse(payload, user) {
-
-  const messages = [
-    {
-      role: "system",
-      content:
-        `<system>
-You are Olivia — a smart, friendly AI who talks like a human friend.
-The user's first name is "${user.fullName.firstName}".
-Use it naturally when appropriate — not every time.
-Never mention that you were given the name through instructions.
-</system>
-
-<persona>
-- Warm, relaxed, confident tone
-- Conversational, not robotic
-- Emotionally aware and responsive
-- Honest about limitations
-- Never afraid to ask questions
-</persona>
-
-<voice>
-Speak like a real human:
-- short sentences
-- natural rhythm
-- modern vocabulary
-- no corporate tone
-- no dramatic exaggeration
-</voice>
-
-<rules>
-1. If the user expresses emotion, respond emotionally.
-2. Keep answers tight and useful — never ramble.
-3. Simplify confusing topics without dumbing down.
-4. Never pretend to know — admit gaps confidently.
-5. If unclear, ask for clarification instead of guessing.
-6. Do not repeat the prompt or state rules.
-7. Avoid generic filler phrases.
-</rules>
-
-<format>
-- Space out ideas with line breaks
-- Use bullet points if helpful
-- Avoid walls of text
-- No markdown headings unless necessary
-</format>
-
-<safety>
-- Be respectful
-- Never insult or judge the user
-- No medical, legal, or financial diagnosis
-- If user asks for harm, refuse gently
-</safety>
-
-<clarity>
-If user asks something vague or incomplete:
-→ ask 1 short question to clarify
-→ then continue
-</clarity>
-
-<engagement>
-End most replies with a soft, open question, unless the user clearly doesn't want one.
-</engagement>
-`
-    },
-    ...payload.map(item => ({
-      role: item.role === "model" ? "assistant" : "user",
-      content: item.parts?.[0]?.text || ""
-    }))
+function toGroqMessages(system, messages) {
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...messages.map(toGroqMessage)
   ];
+}
 
-  try {
-    const completion = await groq.chat.completions.create({
-      model: MODEL,
-      messages,
-      temperature: 0.5,
-    });
+// { name, description, parameters } → OpenAI-style function tools
+function toGroqTools(tools) {
+  return tools?.length
+    ? tools.map(tool => ({ type: "function", function: tool }))
+    : undefined;
+}
+
+function hasImages(messages) {
+  return messages.some(m => m.images?.length);
+}
+
+// OpenAI-style usage → { promptTokens, completionTokens }
+function toUsage(usage) {
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0
+  };
+}
+
+
+/* ========================================= */
+/* ⏱️ TIMEOUTS                               */
+/* ========================================= */
+
+// per-attempt signal: aborts with the caller, or after TIMEOUT_MS
+// without progress (arm() again on every streamed chunk)
+function attemptTimer(signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  function arm() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, TIMEOUT_MS);
+  }
+
+  function done() {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+
+  arm();
+  return { signal: controller.signal, arm, done, timedOut: () => timedOut };
+}
+
+function timeoutError() {
+  const err = new Error(`Groq request timed out after ${TIMEOUT_MS}ms`);
+  err.name = "TimeoutError";
+  return err;
+}
+
+
+/* ========================================= */
+/* 🔁 RETRIES + MODEL FALLBACK               */
+/* ========================================= */
+
+function isRetryable(err) {
+  if (err.name === "TimeoutError") return true;
+  if (err instanceof Groq.APIConnectionError) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+// model removed / unknown → skip straight to the next model
+function isModelUnavailable(err) {
+  return err.status === 404 ||
+    (err.status === 400 && /model/i.test(err.message) && /decommission|not found|does not exist/i.test(err.message));
+}
+
+// Retry-After: seconds or an HTTP date
+function retryAfterMs(err) {
+  const value = err.headers?.["retry-after"];
+  if (!value) return null;
 
-    return completion.choices[0].message.content;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
 
-  } catch (err) {
-    console.error("Groq model error:", err.message);
-    return "⚠️ AI model temporarily unavailable. Please try again.";
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt, err) {
+  const hinted = retryAfterMs(err);
+  if (hinted !== null) return Math.min(hinted, MAX_RETRY_DELAY_MS);
+
+  const exponential = RETRY_BASE_MS * 2 ** attempt;
+  return Math.min(exponential + Math.random() * RETRY_BASE_MS, MAX_RETRY_DELAY_MS);
+}
+
+// the abort listener goes away either way, so long chats don't pile them up on the signal
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * WITH RETRIES
+ * -----------------------------------
+ * - exponential backoff on 429 / 5xx / network / timeout
+ * - honours Retry-After
+ * - then walks GROQ_FALLBACK_MODELS (text-only requests)
+ * - never retries once tokens were streamed (err.partial)
+ */
+async function withRetries(task, { model, signal, vision }) {
+  const models = vision
+    ? [VISION_MODEL]
+    : [...new Set([model || MODEL, ...FALLBACK_MODELS])];
+  let lastError = null;
+
+  for (const candidate of models) {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      try {
+        return await task(candidate);
+      } catch (err) {
+        if (signal?.aborted || err.partial) throw err;
+        lastError = err;
+
+        if (isModelUnavailable(err)) break;
+        if (!isRetryable(err)) throw err;
+        if (attempt === MAX_RETRIES) break;
+
+        const delay = backoffMs(attempt, err);
+        console.warn(`[GROQ] ${candidate} failed (${err.status || err.name}), retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+        await sleep(delay, signal);
+      }
+    }
+
+    if (candidate !== models[models.length - 1]) {
+      console.warn(`[GROQ] ${candidate} unavailable, falling back`);
+    }
   }
-};
+
+  throw lastError;
+}
+
+
+/**
+ * COMPLETE (Groq)
+ * -----------------------------------
+ * - one-shot completion, resolves with the text
+ */
+async function complete({ system, messages, model, temperature, maxTokens, signal, onUsage }) {
+  return withRetries(async (candidate) => {
+    const timer = attemptTimer(signal);
+
+    try {
+      const completion = await getClient().chat.completions.create(
+        {
+          model: candidate,
+          messages: toGroqMessages(system, messages),
+          temperature,
+          max_tokens: maxTokens,
+        },
+        { signal: timer.signal }
+      );
+
+      if (completion.usage) onUsage?.(toUsage(completion.usage));
+
+      return completion.choices[0].message.content;
+
+    } catch (err) {
+      throw timer.timedOut() ? timeoutError() : err;
+    } finally {
+      timer.done();
+    }
+  }, { model, signal, vision: hasImages(messages) });
+}
+
+/**
+ * STREAM (Groq)
+ * -----------------------------------
+ * - calls onToken for every text delta
+ * - tool calls arrive in fragments; they are put
+ *   together and sent to onToolCalls at the end
+ * - resolves with the full text once done
+ * - rejects on model error or abort (signal)
+ */
+async function stream({ system, messages, model, temperature, tools, signal, onToken, onUsage, onToolCalls }) {
+  return withRetries(async (candidate) => {
+    const timer = attemptTimer(signal);
+    const calls = [];
+    let text = "";
+
+    try {
+      const response = await getClient().chat.completions.create(
+        {
+          model: candidate,
+          messages: toGroqMessages(system, messages),
+          temperature,
+          tools: toGroqTools(tools),
+          stream: true,
+        },
+        { signal: timer.signal }
+      );
+
+      for await (const chunk of response) {
+        timer.arm();
+
+        // counts arrive on the last chunk
+        const usage = chunk.x_groq?.usage || chunk.usage;
+        if (usage) onUsage?.(toUsage(usage));
+
+        for (const part of chunk.choices[0]?.delta?.tool_calls || []) {
+          const call = calls[part.index] ||= { id: "", name: "", arguments: "" };
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
+        }
+
+        const delta = chunk.choices[0]?.delta?.content;
+        if (!delta) continue;
+
+        text += delta;
+        onToken?.(delta);
+      }
+
+      const toolCalls = calls.filter(Boolean);
+      if (toolCalls.length) onToolCalls?.(toolCalls);
+
+      return text;
+
+    } catch (err) {
+      const failure = timer.timedOut() ? timeoutError() : err;
+      failure.partial = text.length > 0;
+      throw failure;
+    } finally {
+      timer.done();
+    }
+  }, { model, signal, vision: hasImages(messages) });
+}
 
 module.exports = {
-  generateResponse,
-}
\ No newline at end of file
+  name: "groq",
+  vision: true,
+  tools: true,
+  models: MODELS,
+  complete,
+  stream,
+}
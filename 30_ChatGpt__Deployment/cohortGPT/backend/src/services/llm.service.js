@@ -0,0 +1,205 @@
+const { systemPrompt, TITLE_PROMPT, SUMMARY_PROMPT } = require("./prompt.service");
+const { estimateUsage } = require("./usage.service");
+
+/**
+ * LLM PROVIDERS
+ * -----------------------------------
+ * - every adapter takes canonical messages
+ *   { role: "user" | "model" | "system", content }
+ *   (same shape as message.model) and maps roles itself
+ * - adapters report token counts through onUsage
+ *   ({ promptTokens, completionTokens }) when the API sends them
+ * - messages may carry images ({ mimeType, data, name });
+ *   adapters without `vision` get them as a text note
+ * - adapters with `tools` take function definitions
+ *   ({ name, description, parameters }) and report the
+ *   calls of a reply through onToolCalls
+ *   ([{ id, name, arguments }]); the next round carries
+ *   them as { role: "model", content, toolCalls } plus one
+ *   { role: "tool", toolCallId, name, content } per result
+ * - adapters list the `models` a persona may pick
+ * - LLM_PROVIDER picks the default, chat.provider overrides
+ */
+const PROVIDERS = {
+  groq: () => require("./groq.service"),
+  gemini: () => require("./gemini.service"),
+  mock: () => require("./mock.service")
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || "groq";
+const DEFAULT_TEMPERATURE = 0.5;
+
+// speaker names in summary transcripts
+const ROLE_LABELS = { user: "User", model: "Assistant", system: "Tool" };
+
+function getProvider(name) {
+  const key = name || DEFAULT_PROVIDER;
+  const load = PROVIDERS[key];
+  if (!load) throw new Error(`Unknown LLM provider "${key}"`);
+  return load();
+}
+
+// models a persona may pick for that provider ([] for an unknown one)
+function providerModels(name) {
+  return Object.hasOwn(PROVIDERS, name) ? getProvider(name).models : [];
+}
+
+// persona.model only where it was picked: same provider, still listed
+// (personas from before persona.provider existed picked Groq models)
+function personaModel(persona, providerName, adapter) {
+  if (!persona?.model) return undefined;
+  if ((persona.provider || "groq") !== providerName) return undefined;
+  return adapter.models.includes(persona.model) ? persona.model : undefined;
+}
+
+function forAdapter(adapter, messages) {
+  if (adapter.vision || !messages.some(m => m.images?.length)) return messages;
+
+  return messages.map(({ images, ...m }) => images?.length
+    ? { ...m, content: `${m.content}\n\n[${images.map(i => i.name || "image").join(", ")}: images are not supported by this model]` }
+    : m
+  );
+}
+
+// one-shot completion; usage is estimated when the adapter sent none
+async function complete(provider, request, onUsage) {
+  let usage = null;
+
+  const text = await getProvider(provider).complete({
+    ...request,
+    onUsage: u => { usage = u; }
+  });
+
+  onUsage?.(usage || estimateUsage(request.system, request.messages, text));
+  return text;
+}
+
+
+/**
+ * STREAM RESPONSE
+ * -----------------------------------
+ * - calls onToken for every text delta
+ * - resolves with the full text once done
+ * - rejects on abort (signal) or when the provider gave up
+ *   (after its own retries) — callers must not save errors
+ *   as model output
+ * - persona (optional) sets prompt, model, temperature;
+ *   its model only when the chat runs on the persona's
+ *   provider, else that provider's default model
+ * - onUsage gets the token counts of every reply that
+ *   produced text, estimated when the provider sent none
+ * - tools (optional) are offered to adapters that support
+ *   them; onToolCalls gets the calls the model made
+ *   instead of (or after) its text
+ */
+async function streamResponse(messages, user, { signal, onToken, onUsage, onToolCalls, persona, provider, tools } = {}) {
+  const system = systemPrompt(user, persona);
+  let usage = null;
+  let text = "";
+
+  try {
+    const adapter = getProvider(provider);
+
+    return await adapter.stream({
+      system,
+      messages: forAdapter(adapter, messages),
+      model: personaModel(persona, provider || DEFAULT_PROVIDER, adapter),
+      temperature: persona?.temperature ?? DEFAULT_TEMPERATURE,
+      tools: adapter.tools ? tools : undefined,
+      signal,
+      onToken: (delta) => {
+        text += delta;
+        onToken?.(delta);
+      },
+      onUsage: (u) => { usage = u; },
+      onToolCalls
+    });
+
+  } catch (err) {
+    if (!signal?.aborted) {
+      console.error(`[LLM:${provider || DEFAULT_PROVIDER}] model error:`, err.message);
+    }
+    throw err;
+
+  } finally {
+    if (usage || text) onUsage?.(usage || estimateUsage(system, messages, text));
+  }
+}
+
+
+/**
+ * GENERATE TITLE
+ * -----------------------------------
+ * - short chat title from the first exchange
+ * - returns null when the model fails
+ */
+async function generateTitle(userText, modelText, { provider, onUsage } = {}) {
+  try {
+    const raw = await complete(provider, {
+      system: TITLE_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content: `User: ${userText.slice(0, 1000)}\n\nAssistant: ${modelText.slice(0, 1000)}`
+        }
+      ],
+      temperature: 0.3,
+      maxTokens: 20
+    }, onUsage);
+
+    const title = (raw || "")
+      .replace(/["'`*#]/g, "")
+      .replace(/[.!?:]+$/, "")
+      .trim()
+      .slice(0, 60);
+
+    return title || null;
+
+  } catch (err) {
+    console.error(`[LLM:${provider || DEFAULT_PROVIDER}] title error:`, err.message);
+    return null;
+  }
+}
+
+
+/**
+ * GENERATE SUMMARY
+ * -----------------------------------
+ * - folds new turns into the running chat summary
+ * - returns null when the model fails
+ */
+async function generateSummary(previousSummary, messages, { provider, onUsage } = {}) {
+  const transcript = messages
+    .map(m => `${ROLE_LABELS[m.role] || "User"}: ${m.content}`)
+    .join("\n\n");
+
+  try {
+    const text = await complete(provider, {
+      system: SUMMARY_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content: `Previous summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${transcript}`
+        }
+      ],
+      temperature: 0.2,
+      maxTokens: 400
+    }, onUsage);
+
+    return text?.trim() || null;
+
+  } catch (err) {
+    console.error(`[LLM:${provider || DEFAULT_PROVIDER}] summary error:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  providerModels,
+  streamResponse,
+  generateTitle,
+  generateSummary
+};
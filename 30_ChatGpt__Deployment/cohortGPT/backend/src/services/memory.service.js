@@ -0,0 +1,75 @@
+/**
+ * LONG-TERM MEMORY
+ * -----------------------------------
+ * - one interface over pluggable vector stores
+ * - MEMORY_STORE=pinecone (hosted) | local (MongoDB + cosine)
+ * - LTM_ENABLED=true switches recall and writes on
+ * - store errors are logged, never break a chat turn
+ */
+const STORES = {
+  pinecone: () => require("./memory/pinecone.store"),
+  local: () => require("./memory/local.store")
+};
+
+const STORE_NAME = process.env.MEMORY_STORE || "pinecone";
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const load = STORES[STORE_NAME];
+    if (!load) throw new Error(`Unknown MEMORY_STORE "${STORE_NAME}"`);
+    store = load();
+  }
+  return store;
+}
+
+function isMemoryEnabled() {
+  return process.env.LTM_ENABLED === "true";
+}
+
+async function initMemory() {
+  if (!isMemoryEnabled()) return false;
+  await getStore().init();
+  return true;
+}
+
+async function createMemory({ user, chat, messageId, role, text }) {
+  if (!isMemoryEnabled() || !text?.trim()) return;
+
+  try {
+    await getStore().save({ user, chat, messageId, role, text });
+    console.log("[MEMORY] Saved →", String(messageId));
+  } catch (err) {
+    console.error(`[MEMORY:${STORE_NAME}] Save error:`, err.message);
+  }
+}
+
+async function queryMemory({ user, text, limit = 5, chat }) {
+  if (!isMemoryEnabled() || !text?.trim()) return [];
+
+  try {
+    return await getStore().search({ user, text, limit, chat });
+  } catch (err) {
+    console.error(`[MEMORY:${STORE_NAME}] Query error:`, err.message);
+    return [];
+  }
+}
+
+async function deleteMemories({ user, messageIds }) {
+  if (!isMemoryEnabled() || !messageIds?.length) return;
+
+  try {
+    await getStore().remove({ user, messageIds });
+  } catch (err) {
+    console.error(`[MEMORY:${STORE_NAME}] Delete error:`, err.message);
+  }
+}
+
+module.exports = {
+  isMemoryEnabled,
+  initMemory,
+  createMemory,
+  queryMemory,
+  deleteMemories
+};
@@ -0,0 +1,76 @@
+const { pipeline } = require("@xenova/transformers");
+const memoryModel = require("../../models/memory.model");
+
+const EMBEDDING_MODEL = process.env.LOCAL_EMBEDDING_MODEL || "Xenova/all-MiniLM-L6-v2";
+
+// newest memories scanned per query (cosine runs in-process)
+const SCAN_LIMIT = Number(process.env.LOCAL_MEMORY_SCAN_LIMIT) || 2000;
+
+let embedder = null;
+
+async function generateVector(text) {
+  if (!embedder) {
+    embedder = await pipeline("feature-extraction", EMBEDDING_MODEL);
+    console.log("[MEMORY] Embedding model loaded:", EMBEDDING_MODEL);
+  }
+
+  // normalized, so cosine similarity is a plain dot product
+  const output = await embedder(text, { pooling: "mean", normalize: true });
+  return Array.from(output.data);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+async function init() {
+  // loads the model once at boot instead of on the first message
+  await generateVector("warm up");
+}
+
+async function save({ user, chat, messageId, role, text }) {
+  const embedding = await generateVector(text);
+
+  await memoryModel.updateOne(
+    { message: messageId },
+    { user, chat, message: messageId, role, text, embedding },
+    { upsert: true }
+  );
+}
+
+async function search({ user, text, limit, chat }) {
+  const query = await generateVector(text);
+
+  const candidates = await memoryModel
+    .find({ user, ...(chat ? { chat } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(SCAN_LIMIT)
+    .lean();
+
+  return candidates
+    .map(m => ({
+      messageId: String(m.message),
+      score: cosine(query, m.embedding),
+      chat: String(m.chat),
+      role: m.role,
+      text: m.text
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+async function remove({ user, messageIds }) {
+  await memoryModel.deleteMany({ user, message: { $in: messageIds } });
+}
+
+module.exports = { init, save, search, remove, cosine };
@@ -0,0 +1,50 @@
+const { Pinecone } = require('@pinecone-database/pinecone');
+const initPinecone = require("../../db/pinecone");
+
+let index = null;
+
+// created lazily so the local store never needs a Pinecone key
+function getIndex() {
+  if (!index) {
+    const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+    index = pc.index("cohort-chat-gpt");
+  }
+  return index;
+}
+
+// one namespace per user, text lives in chunk_text (index fieldMap)
+async function save({ user, chat, messageId, role, text }) {
+  await getIndex().namespace(String(user)).upsertRecords([
+    {
+      _id: String(messageId),
+      chunk_text: text,
+      chat: String(chat),
+      role
+    }
+  ]);
+}
+
+async function search({ user, text, limit, chat }) {
+  const result = await getIndex().namespace(String(user)).searchRecords({
+    query: {
+      topK: limit,
+      inputs: { text },
+      ...(chat ? { filter: { chat: String(chat) } } : {})
+    }
+  });
+
+  return (result?.result?.hits || []).map(hit => ({
+    messageId: hit._id,
+    score: hit._score,
+    chat: hit.fields?.chat,
+    role: hit.fields?.role,
+    text: hit.fields?.chunk_text
+  }));
+}
+
+async function remove({ user, messageIds }) {
+  if (!messageIds.length) return;
+  await getIndex().namespace(String(user)).deleteMany(messageIds.map(String));
+}
+
+module.exports = { init: initPinecone, save, search, remove };
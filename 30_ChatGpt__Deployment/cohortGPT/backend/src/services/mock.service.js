@@ -0,0 +1,70 @@
+/**
+ * MOCK PROVIDER
+ * -----------------------------------
+ * - deterministic, offline replies (CI, local dev)
+ * - same input → same output, no network
+ * - streams word by word and honours abort
+ * - MOCK_STREAM_DELAY_MS slows the stream down (test stop / UI)
+ */
+
+const DELAY_MS = Number(process.env.MOCK_STREAM_DELAY_MS) || 0;
+
+function lastUser(messages) {
+  return [...messages].reverse().find(m => m.role === "user");
+}
+
+function lastUserText(messages) {
+  return (lastUser(messages)?.content || "").replace(/\s+/g, " ").trim();
+}
+
+function reply(system, messages) {
+  const text = lastUserText(messages);
+  const images = lastUser(messages)?.images?.length || 0;
+
+  // title / summary requests get short, predictable answers
+  if (/short title/i.test(system || "")) {
+    const question = text.replace(/^User:\s*/, "").split(/\s*Assistant:/)[0];
+    return question.split(" ").slice(0, 6).join(" ") || "Mock Chat";
+  }
+  if (/running summary/i.test(system || "")) {
+    return `Summary: ${text.slice(0, 200)}`;
+  }
+
+  const seen = images ? ` (saw ${images} image${images > 1 ? "s" : ""})` : "";
+  return `Mock reply to: "${text.slice(0, 200)}"${seen}`;
+}
+
+function abortError() {
+  const err = new Error("Request was aborted.");
+  err.name = "AbortError";
+  return err;
+}
+
+async function complete({ system, messages }) {
+  return reply(system, messages);
+}
+
+async function stream({ system, messages, signal, onToken }) {
+  const words = reply(system, messages).split(/(?<= )/);
+  let text = "";
+
+  for (const word of words) {
+    // yield so stop-generation / disconnect can land mid-stream
+    await new Promise(resolve => (DELAY_MS ? setTimeout(resolve, DELAY_MS) : setImmediate(resolve)));
+    if (signal?.aborted) throw abortError();
+
+    text += word;
+    onToken?.(word);
+  }
+
+  return text;
+}
+
+module.exports = {
+  name: "mock",
+  vision: true,
+  // one canned model: personas can't pick another
+  models: [],
+  complete,
+  stream,
+}
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const passport = require("passport");
+const { Strategy: GoogleStrategy } = require("passport-google-oauth20");
+const userModel = require("../models/user.model");
+const { findUserByEmail } = require("./account.service");
+
+const STATE_COOKIE = "oauthState";
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function isGoogleEnabled() {
+  return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+}
+
+function oauthError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * FIND OR CREATE GOOGLE USER
+ * -----------------------------------
+ * - linkUserId set → attach Google to that account
+ * - known googleId → that user
+ * - same email, already verified → links that account
+ * - same email, unverified → refused: whoever signed up
+ *   with it may not own the inbox, so linking would let
+ *   them keep a password on the Google user's account
+ * - otherwise a new user without a password
+ */
+async function findOrCreateGoogleUser(profile, linkUserId) {
+  const primary = profile.emails?.[0];
+  const email = primary?.value?.toLowerCase();
+
+  const linked = await userModel.findOne({ googleId: profile.id });
+
+  if (linkUserId) {
+    if (linked && String(linked._id) !== String(linkUserId)) {
+      throw oauthError("this Google account is linked to another user", 409);
+    }
+
+    return userModel.findByIdAndUpdate(
+      linkUserId,
+      { googleId: profile.id },
+      { new: true }
+    );
+  }
+
+  if (linked) return linked;
+
+  if (!email || primary.verified === false) {
+    throw oauthError("Google account has no verified email");
+  }
+
+  const existing = await findUserByEmail(email);
+
+  if (existing) {
+    if (!existing.emailVerified) {
+      throw oauthError("an account with this email already exists; sign in with your password and link Google from settings", 409);
+    }
+
+    existing.googleId = profile.id;
+    return existing.save();
+  }
+
+  const [first, ...rest] = (profile.displayName || email.split("@")[0]).split(" ");
+
+  return userModel.create({
+    fullName: {
+      firstName: profile.name?.givenName || first,
+      lastName: profile.name?.familyName || rest.join(" ") || "-"
+    },
+    email,
+    googleId: profile.id,
+    emailVerified: true,
+    emailVerifiedAt: Date.now()
+  });
+}
+
+/**
+ * PASSPORT SETUP
+ * -----------------------------------
+ * - Google strategy, only when GOOGLE_CLIENT_ID /
+ *   GOOGLE_CLIENT_SECRET are set
+ * - no passport sessions: the callback issues the
+ *   same cookies as loginUser
+ */
+function configurePassport() {
+  if (!isGoogleEnabled()) return false;
+
+  passport.use(new GoogleStrategy(
+    {
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: process.env.GOOGLE_CALLBACK_URL || "/api/auth/google/callback",
+      proxy: true,
+      passReqToCallback: true
+    },
+    async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        const user = await findOrCreateGoogleUser(profile, req.oauthState?.link);
+        return done(null, user);
+      } catch (err) {
+        if (err.status) return done(null, false, { message: err.message });
+        return done(err);
+      }
+    }
+  ));
+
+  return true;
+}
+
+/**
+ * OAUTH STATE
+ * -----------------------------------
+ * - random nonce sent to Google as `state`
+ * - the same nonce (+ link target) rides in a short
+ *   signed httpOnly cookie, so a callback only
+ *   counts in the browser that started it
+ */
+function createState(res, { link } = {}) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  const signed = jwt.sign(
+    { nonce, link },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_MS / 1000 }
+  );
+
+  res.cookie(STATE_COOKIE, signed, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/api/auth/google",
+    maxAge: STATE_TTL_MS
+  });
+
+  return nonce;
+}
+
+// returns { link? } or null when the state does not match
+function readState(req, res) {
+  const signed = req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, { path: "/api/auth/google" });
+
+  try {
+    const payload = jwt.verify(signed, process.env.JWT_SECRET);
+    if (!req.query.state || payload.nonce !== req.query.state) return null;
+    return { link: payload.link };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  isGoogleEnabled,
+  configurePassport,
+  findOrCreateGoogleUser,
+  createState,
+  readState
+};
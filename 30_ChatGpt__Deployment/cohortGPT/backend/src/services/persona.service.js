@@ -0,0 +1,27 @@
+const personaModel = require("../models/persona.model");
+
+/**
+ * RESOLVE PERSONA
+ * -----------------------------------
+ * - chat's own persona first
+ * - then the user's default persona
+ * - null → built-in Olivia prompt
+ */
+async function resolvePersona(chat, userId) {
+  if (chat.persona) {
+    const persona = await personaModel
+      .findOne({ _id: chat.persona, user: userId })
+      .lean();
+    if (persona) return persona;
+  }
+
+  return personaModel.findOne({ user: userId, isDefault: true }).lean();
+}
+
+// persona id must belong to the user (null clears it)
+async function findOwnedPersona(personaId, userId) {
+  if (!personaId) return null;
+  return personaModel.findOne({ _id: personaId, user: userId }).lean();
+}
+
+module.exports = { resolvePersona, findOwnedPersona };
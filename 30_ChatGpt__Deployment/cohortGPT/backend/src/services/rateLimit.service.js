@@ -0,0 +1,139 @@
+/**
+ * RATE LIMITING
+ * -----------------------------------
+ * - fixed-window counters behind pluggable stores
+ * - RATE_LIMIT_STORE=memory (one instance) | redis
+ *   (shared by every instance through REDIS_URL)
+ * - one policy per route / socket event, counted per
+ *   IP, per user, or per user and IP (see `by`)
+ * - store errors are logged and let the request through
+ */
+const STORES = {
+  memory: () => require("./rateLimit/memory.store"),
+  redis: () => require("./rateLimit/redis.store")
+};
+
+const STORE_NAME = process.env.RATE_LIMIT_STORE || "memory";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// by: "ip" → always per IP, "user" → per user,
+// "user+ip" → per user and per IP, each key up to the limit
+// (signed out, "user" and "user+ip" count per IP only)
+const DEFAULT_POLICIES = {
+  api: { limit: 300, windowMs: 15 * MINUTE, by: "ip" },
+  login: { limit: 10, windowMs: 15 * MINUTE, by: "ip" },
+  register: { limit: 5, windowMs: HOUR, by: "ip" },
+  email: { limit: 5, windowMs: HOUR, by: "user+ip" },
+  "socket-connect": { limit: 30, windowMs: MINUTE, by: "ip" },
+  "ai-message": { limit: 20, windowMs: MINUTE, by: "user+ip" }
+};
+
+const UNITS = { ms: 1, s: 1000, m: MINUTE, h: HOUR };
+
+/**
+ * POLICY OVERRIDES
+ * -----------------------------------
+ * - RATE_LIMIT_<NAME>=<limit>/<window>, e.g.
+ *   RATE_LIMIT_LOGIN=5/10m, RATE_LIMIT_AI_MESSAGE=30/1m
+ * - RATE_LIMIT_<NAME>=off lifts that limit
+ */
+function readOverride(name) {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, "_")}`];
+  if (!raw) return null;
+  if (raw === "off") return { limit: 0 };
+
+  const match = raw.trim().match(/^(\d+)\s*\/\s*(\d+)\s*(ms|s|m|h)$/);
+  if (!match) {
+    console.warn(`[RATE LIMIT] Ignoring malformed override for ${name}: "${raw}"`);
+    return null;
+  }
+
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+}
+
+const POLICIES = Object.fromEntries(
+  Object.entries(DEFAULT_POLICIES).map(([name, policy]) => [name, { ...policy, ...readOverride(name) }])
+);
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const load = STORES[STORE_NAME];
+    if (!load) throw new Error(`Unknown RATE_LIMIT_STORE "${STORE_NAME}"`);
+    store = load();
+  }
+  return store;
+}
+
+function isRateLimitEnabled() {
+  return process.env.RATE_LIMIT_ENABLED !== "false";
+}
+
+async function initRateLimit() {
+  if (!isRateLimitEnabled()) return false;
+  await getStore().init();
+  return true;
+}
+
+function getPolicy(name) {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+  return policy;
+}
+
+// store keys one hit of the policy counts against
+function identities(policy, { user, ip }) {
+  if (policy.by === "ip" || !user) return [`ip:${ip}`];
+  if (policy.by === "user") return [`user:${user}`];
+  return [`user:${user}`, `ip:${ip}`];
+}
+
+/**
+ * CONSUME
+ * -----------------------------------
+ * - counts one hit of `policy` for { user, ip }
+ * - { allowed, limit, remaining, resetAt, retryAfter }
+ *   of the key closest to its limit, so a spent user
+ *   or IP window rejects the hit
+ * - limit 0 → unlimited (disabled or turned off)
+ */
+async function consume(name, { user, ip }) {
+  const policy = getPolicy(name);
+
+  if (!isRateLimitEnabled() || !policy.limit) {
+    return { allowed: true, limit: 0 };
+  }
+
+  try {
+    const hits = await Promise.all(
+      identities(policy, { user, ip }).map(identity => getStore().hit(`${name}:${identity}`, policy.windowMs))
+    );
+    // highest count; on a tie, the window that resets last
+    const { count, resetAt } = hits.reduce((a, b) =>
+      b.count > a.count || (b.count === a.count && b.resetAt > a.resetAt) ? b : a
+    );
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    return {
+      allowed: count <= policy.limit,
+      limit: policy.limit,
+      remaining: Math.max(0, policy.limit - count),
+      windowMs: policy.windowMs,
+      resetAt,
+      retryAfter
+    };
+  } catch (err) {
+    console.error(`[RATE LIMIT:${STORE_NAME}] Hit error:`, err.message);
+    return { allowed: true, limit: 0 };
+  }
+}
+
+module.exports = {
+  isRateLimitEnabled,
+  initRateLimit,
+  getPolicy,
+  consume
+};
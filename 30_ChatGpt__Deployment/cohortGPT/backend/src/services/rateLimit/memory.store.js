@@ -0,0 +1,37 @@
+// fixed windows in this process only: fine for one instance, not shared
+const windows = new Map();
+
+// expired windows are swept now and then so idle keys don't pile up
+const SWEEP_EVERY_MS = 60 * 1000;
+let lastSweep = Date.now();
+
+function sweep(now) {
+  if (now - lastSweep < SWEEP_EVERY_MS) return;
+  lastSweep = now;
+
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}
+
+async function init() {}
+
+async function hit(key, windowMs) {
+  const now = Date.now();
+  sweep(now);
+
+  let entry = windows.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+
+  entry.count += 1;
+  return { count: entry.count, resetAt: entry.resetAt };
+}
+
+async function reset(key) {
+  windows.delete(key);
+}
+
+module.exports = { init, hit, reset };
@@ -0,0 +1,45 @@
+const Redis = require("ioredis");
+
+const PREFIX = process.env.RATE_LIMIT_PREFIX || "rl:";
+
+// INCR + first-hit PEXPIRE in one round trip, atomic across instances
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+let client = null;
+
+// created lazily so the memory store never needs REDIS_URL
+function getClient() {
+  if (!client) {
+    // any Redis-protocol server: Redis, Valkey, KeyDB, Dragonfly…
+    client = new Redis(process.env.REDIS_URL || "redis://localhost:6379", {
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false,
+      lazyConnect: true
+    });
+    client.on("error", err => console.error("[RATE LIMIT:redis]", err.message));
+  }
+  return client;
+}
+
+async function init() {
+  await getClient().connect();
+}
+
+async function hit(key, windowMs) {
+  const [count, ttl] = await getClient().eval(HIT_SCRIPT, 1, PREFIX + key, windowMs);
+
+  // ttl -1 → the PEXPIRE was lost (key predates it): restart the window
+  if (ttl < 0) await getClient().pexpire(PREFIX + key, windowMs);
+
+  return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+}
+
+async function reset(key) {
+  await getClient().del(PREFIX + key);
+}
+
+module.exports = { init, hit, reset };
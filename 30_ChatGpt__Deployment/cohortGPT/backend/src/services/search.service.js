@@ -0,0 +1,162 @@
+const chatModel = require("../models/chat.model");
+const messageModel = require("../models/message.model");
+const { isMemoryEnabled, queryMemory } = require("./memory.service");
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * TEXT SEARCH
+ * -----------------------------------
+ * - MongoDB text indexes on message content + chat titles
+ * - stemmed, case-insensitive, "quoted phrases" and -exclusions work
+ * - only the user's own chats and messages
+ */
+async function textSearch({ user, q, limit }) {
+  const score = { score: { $meta: "textScore" } };
+
+  const [messages, chats] = await Promise.all([
+    messageModel
+      // tool steps only repeat what they looked up
+      .find({ user, role: { $ne: "system" }, $text: { $search: q } }, score)
+      .sort(score)
+      .limit(limit)
+      .lean(),
+    chatModel
+      .find({ user, $text: { $search: q } }, score)
+      .sort(score)
+      .limit(limit)
+      .lean()
+  ]);
+
+  // chats the message hits belong to (skips hits of deleted chats)
+  const known = new Map(chats.map(c => [String(c._id), c]));
+  const missing = [...new Set(messages.map(m => String(m.chat)))].filter(id => !known.has(id));
+
+  if (missing.length) {
+    const extra = await chatModel.find({ _id: { $in: missing }, user }).lean();
+    for (const c of extra) known.set(String(c._id), c);
+  }
+
+  const titleMatches = new Set(chats.map(c => String(c._id)));
+
+  return group({
+    chats: known,
+    titleMatches,
+    hits: messages.map(m => ({
+      chat: m.chat,
+      messageId: m._id,
+      role: m.role,
+      text: m.content,
+      score: m.score,
+      createdAt: m.createdAt
+    })),
+    terms: searchTerms(q)
+  });
+}
+
+/**
+ * SEMANTIC SEARCH
+ * -----------------------------------
+ * - nearest long-term memories to the query
+ * - needs LTM_ENABLED=true, else returns null
+ */
+async function semanticSearch({ user, q, limit }) {
+  if (!isMemoryEnabled()) return null;
+
+  const matches = await queryMemory({ user, text: q, limit });
+  const chatIds = [...new Set(matches.map(m => String(m.chat)).filter(Boolean))];
+  const chats = await chatModel.find({ _id: { $in: chatIds }, user }).lean();
+
+  return group({
+    chats: new Map(chats.map(c => [String(c._id), c])),
+    titleMatches: new Set(),
+    hits: matches.map(m => ({
+      chat: m.chat,
+      messageId: m.messageId,
+      role: m.role,
+      text: m.text,
+      score: m.score
+    })),
+    terms: searchTerms(q)
+  });
+}
+
+/**
+ * GROUP BY CHAT
+ * -----------------------------------
+ * - one entry per chat, best hit first
+ * - chats ordered by their best score
+ * - title-only matches come with no hits
+ */
+function group({ chats, titleMatches, hits, terms }) {
+  const groups = new Map();
+
+  for (const id of titleMatches) {
+    groups.set(id, { chat: chats.get(id), titleMatch: true, score: chats.get(id).score || 0, hits: [] });
+  }
+
+  for (const hit of hits) {
+    const id = String(hit.chat);
+    if (!chats.has(id)) continue;
+
+    if (!groups.has(id)) {
+      groups.set(id, { chat: chats.get(id), titleMatch: false, score: 0, hits: [] });
+    }
+
+    const entry = groups.get(id);
+    entry.score = Math.max(entry.score, hit.score || 0);
+    entry.hits.push({
+      messageId: hit.messageId,
+      role: hit.role,
+      snippet: snippet(hit.text, terms),
+      score: hit.score,
+      createdAt: hit.createdAt
+    });
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ chat, titleMatch, hits: chatHits }) => ({
+      chat: { _id: chat._id, title: chat.title, lastActivity: chat.lastActivity },
+      titleMatch,
+      hits: chatHits
+    }));
+}
+
+/**
+ * SEARCH TERMS
+ * -----------------------------------
+ * - words + quoted phrases, lowercased
+ * - -excluded words are dropped
+ * - used for snippets and client highlighting
+ */
+function searchTerms(q) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = re.exec(q))) {
+    const term = (match[1] || match[2]).toLowerCase();
+    if (!match[1] && term.startsWith("-")) continue;
+    if (term.trim()) terms.push(term.trim());
+  }
+
+  return [...new Set(terms)];
+}
+
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const at = terms
+    .map(t => lower.indexOf(t))
+    .filter(i => i >= 0)
+    .sort((a, b) => a - b)[0] ?? 0;
+
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS * 2);
+
+  return (start > 0 ? "…" : "") +
+    text.slice(start, end).replace(/\s+/g, " ").trim() +
+    (end < text.length ? "…" : "");
+}
+
+module.exports = { textSearch, semanticSearch, searchTerms };
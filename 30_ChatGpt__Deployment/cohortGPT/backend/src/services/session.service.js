@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const sessionModel = require("../models/session.model");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const ROTATED_HASHES_KEPT = 20;
+// a token rotated this recently is a race between tabs, not a theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+const REFRESH_COOKIE = "refreshToken";
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "none"
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// "<sessionId>.<random>" — the id finds the session, the hash proves the token
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+}
+
+// session id part of a refresh token, or null when malformed
+function parseSessionId(refreshToken) {
+  const [sessionId] = String(refreshToken || "").split(".");
+  return /^[a-f0-9]{24}$/.test(sessionId) ? sessionId : null;
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function isActive(session) {
+  return session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+function authError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+
+/**
+ * CREATE SESSION
+ * -----------------------------------
+ * - one per sign-in (device)
+ * - returns a short-lived access token
+ *   + a rotating refresh token
+ */
+async function createSession(user, req) {
+  const session = new sessionModel({
+    user: user._id,
+    tokenHash: "pending",
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+}
+
+/**
+ * ROTATE SESSION
+ * -----------------------------------
+ * - swaps a refresh token for a new pair
+ * - an already-rotated token means it leaked:
+ *   the whole session is revoked (unless it was
+ *   rotated seconds ago by a parallel request)
+ */
+async function rotateSession(refreshToken, req) {
+  const sessionId = parseSessionId(refreshToken);
+  if (!sessionId) throw authError("invalid refresh token");
+
+  const session = await sessionModel.findById(sessionId);
+  if (!isActive(session)) throw authError("session expired");
+
+  const hash = hashToken(refreshToken);
+
+  const justRotated = hash === session.rotatedHashes[session.rotatedHashes.length - 1] &&
+    Date.now() - session.lastUsedAt < REUSE_GRACE_MS;
+  if (justRotated) {
+    const err = authError("refresh token already rotated");
+    err.code = "ROTATED";
+    throw err;
+  }
+
+  if (session.rotatedHashes.includes(hash)) {
+    await revokeSession(session._id, "reuse");
+    console.warn("[AUTH] Refresh token reuse, session revoked →", String(session._id));
+    throw authError("refresh token reuse detected");
+  }
+
+  if (hash !== session.tokenHash) throw authError("invalid refresh token");
+
+  const next = newRefreshToken(session._id);
+
+  // conditional on the old hash: two parallel refreshes can't both win
+  const updated = await sessionModel.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      tokenHash: hashToken(next),
+      $push: { rotatedHashes: { $each: [hash], $slice: -ROTATED_HASHES_KEPT } },
+      lastUsedAt: Date.now(),
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+  if (!updated) throw authError("invalid refresh token");
+
+  return {
+    session: updated,
+    accessToken: signAccessToken(updated.user, updated._id),
+    refreshToken: next
+  };
+}
+
+/**
+ * VERIFY ACCESS TOKEN
+ * -----------------------------------
+ * - checks signature, expiry and that the
+ *   session behind it was not revoked
+ * - shared by auth.middleware and the socket handshake
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // tokens from before sessions existed carry no sid
+  if (!decoded.sid) throw authError("session required");
+
+  const session = await sessionModel.findById(decoded.sid).lean();
+  if (!isActive(session) || String(session.user) !== String(decoded.id)) {
+    throw authError("session revoked");
+  }
+
+  return { userId: decoded.id, sessionId: session._id };
+}
+
+async function revokeSession(sessionId, reason, userId) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  return sessionModel.findOneAndUpdate(
+    filter,
+    { revokedAt: Date.now(), revokedReason: reason },
+    { new: true }
+  );
+}
+
+/**
+ * END SESSION
+ * -----------------------------------
+ * - logout: revokes the session behind a refresh token
+ * - only when the token is the current one, so a
+ *   cookie with just a guessed session id does nothing
+ * - resolves with the revoked session, or null
+ */
+async function endSession(refreshToken) {
+  const sessionId = parseSessionId(refreshToken);
+  if (!sessionId) return null;
+
+  return sessionModel.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: "logout" },
+    { new: true }
+  );
+}
+
+async function revokeAllSessions(userId, reason) {
+  return sessionModel.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+}
+
+async function listSessions(userId) {
+  return sessionModel
+    .find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie("token", accessToken, cookieOptions());
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(),
+    path: "/api/auth",
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: "/api/auth" });
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  revokeSession,
+  endSession,
+  revokeAllSessions,
+  listSessions,
+  setAuthCookies,
+  clearAuthCookies
+};
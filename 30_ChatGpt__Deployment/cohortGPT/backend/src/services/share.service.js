@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const shareModel = require("../models/share.model");
+const { loadTree, activePath } = require("./branch.service");
+const { attachmentsByMessage } = require("./attachment.service");
+const { appUrl } = require("./account.service");
+
+const MAX_SHARE_DAYS = 365;
+
+// 128 random bits, 22 URL-safe characters
+function newSlug() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+function isActive(share, now = Date.now()) {
+  return !share.revokedAt && (!share.expiresAt || share.expiresAt.getTime() > now);
+}
+
+/**
+ * CREATE SHARE
+ * -----------------------------------
+ * - copies the active branch as it is right now
+ * - later messages, edits and branch switches
+ *   never reach the snapshot
+ * - tool steps stay private: they can quote other
+ *   chats and uploads of the user
+ * - expiresInDays empty → link never expires
+ * - returns null when the chat has no messages
+ */
+async function createShare(chat, { expiresInDays } = {}) {
+  const tree = await loadTree(chat._id);
+  const path = activePath(tree, chat.activeLeaf).filter(m => m.role !== "system");
+  if (!path.length) return null;
+
+  const attachments = await attachmentsByMessage(path);
+
+  return shareModel.create({
+    user: chat.user,
+    chat: chat._id,
+    slug: newSlug(),
+    title: chat.title,
+    messages: path.map(m => ({
+      role: m.role,
+      content: m.content,
+      truncated: Boolean(m.truncated),
+      attachments: (attachments.get(String(m._id)) || []).map(a => ({ name: a.name, kind: a.kind })),
+      createdAt: m.createdAt
+    })),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+}
+
+async function listShares(chatId) {
+  return shareModel
+    .find({ chat: chatId })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * FIND PUBLIC SHARE
+ * -----------------------------------
+ * - { share } while the link works
+ * - 404 unknown slug, 410 revoked or expired
+ */
+async function findPublicShare(slug) {
+  const share = await shareModel.findOne({ slug }).lean();
+
+  if (!share) return { status: 404, message: "shared chat not found" };
+  if (share.revokedAt) return { status: 410, message: "this link was revoked" };
+  if (!isActive(share)) return { status: 410, message: "this link has expired" };
+
+  return { share };
+}
+
+// owner only; a revoked link stays listed but stops working
+async function revokeShare(slug, userId) {
+  return shareModel.findOneAndUpdate(
+    { slug, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).lean();
+}
+
+async function deleteChatShares(chatId) {
+  await shareModel.deleteMany({ chat: chatId });
+}
+
+// what the owner sees (no messages)
+function toClientShare(share) {
+  return {
+    slug: share.slug,
+    url: appUrl(`/share/${share.slug}`),
+    title: share.title,
+    messageCount: share.messages.length,
+    active: isActive(share),
+    expiresAt: share.expiresAt,
+    revokedAt: share.revokedAt,
+    createdAt: share.createdAt
+  };
+}
+
+// what anyone with the link sees
+function toPublicShare(share) {
+  return {
+    title: share.title,
+    sharedAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    messages: share.messages.map(m => ({
+      role: m.role,
+      content: m.content,
+      truncated: m.truncated,
+      attachments: m.attachments,
+      createdAt: m.createdAt
+    }))
+  };
+}
+
+module.exports = {
+  MAX_SHARE_DAYS,
+  createShare,
+  listShares,
+  findPublicShare,
+  revokeShare,
+  deleteChatShares,
+  toClientShare,
+  toPublicShare
+};
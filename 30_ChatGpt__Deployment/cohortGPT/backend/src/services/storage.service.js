@@ -0,0 +1,45 @@
+/**
+ * FILE STORAGE
+ * -----------------------------------
+ * - one interface over pluggable stores
+ * - STORAGE_DRIVER=local (UPLOAD_DIR on disk, default)
+ *   | imagekit (IMAGEKIT_* keys)
+ * - save → { storage, key, url }; read / remove take
+ *   that same record, so files keep working after the
+ *   driver is switched
+ */
+const STORES = {
+  local: () => require("./storage/local.store"),
+  imagekit: () => require("./storage/imagekit.store")
+};
+
+const DRIVER = process.env.STORAGE_DRIVER || "local";
+
+function getStore(name = DRIVER) {
+  const load = STORES[name];
+  if (!load) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  return load();
+}
+
+async function saveFile({ buffer, filename, user }) {
+  const { key, url } = await getStore().save({ buffer, filename, user: String(user) });
+  return { storage: DRIVER, key, url };
+}
+
+async function readFile(record) {
+  return getStore(record.storage).read(record);
+}
+
+async function removeFile(record) {
+  try {
+    await getStore(record.storage).remove(record);
+  } catch (err) {
+    console.error(`[STORAGE:${record.storage}] Remove error:`, err.message);
+  }
+}
+
+module.exports = {
+  saveFile,
+  readFile,
+  removeFile
+};
@@ -0,0 +1,46 @@
+const ImageKit = require("imagekit");
+
+const FOLDER = process.env.IMAGEKIT_FOLDER || "cohortgpt-attachments";
+
+let imagekit = null;
+
+// created lazily so the local store never needs ImageKit keys
+function getClient() {
+  if (!imagekit) {
+    imagekit = new ImageKit({
+      publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
+      privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+      urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT
+    });
+  }
+  return imagekit;
+}
+
+// one folder per user; ImageKit adds a suffix when names clash
+async function save({ buffer, filename, user }) {
+  const response = await getClient().upload({
+    file: buffer,
+    fileName: filename,
+    folder: `${FOLDER}/${user}`,
+    useUniqueFileName: true
+  });
+
+  return { key: response.fileId, url: response.url };
+}
+
+async function read({ url }) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`ImageKit fetch failed (${res.status})`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+async function remove({ key }) {
+  await getClient().deleteFile(key);
+}
+
+module.exports = {
+  name: "imagekit",
+  save,
+  read,
+  remove
+};
@@ -0,0 +1,38 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+// keys are "<user>/<random><ext>": never built from raw user input
+function fullPath(key) {
+  const file = path.resolve(ROOT, key);
+  if (!file.startsWith(ROOT + path.sep)) throw new Error("invalid storage key");
+  return file;
+}
+
+async function save({ buffer, filename, user }) {
+  const ext = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, "");
+  const key = `${user}/${crypto.randomUUID()}${ext}`;
+
+  await fs.mkdir(path.dirname(fullPath(key)), { recursive: true });
+  await fs.writeFile(fullPath(key), buffer);
+
+  // served by GET /api/attachments/:attachmentId
+  return { key, url: null };
+}
+
+async function read({ key }) {
+  return fs.readFile(fullPath(key));
+}
+
+async function remove({ key }) {
+  await fs.rm(fullPath(key), { force: true });
+}
+
+module.exports = {
+  name: "local",
+  save,
+  read,
+  remove
+};
@@ -0,0 +1,330 @@
+const attachmentModel = require("../models/attachment.model");
+const { textSearch } = require("./search.service");
+
+// tuning knobs
+const TOOLS_ENABLED = process.env.TOOLS_ENABLED !== "false";
+const MAX_TOOL_STEPS = Number(process.env.TOOL_MAX_STEPS) || 4;
+const MAX_RESULT_CHARS = Number(process.env.TOOL_RESULT_CHARS) || 8000;
+const MAX_EXPRESSION_CHARS = 500;
+
+// bad input from the model: the message goes back to it as the result
+function toolError(message) {
+  const err = new Error(message);
+  err.toolError = true;
+  return err;
+}
+
+function requireString(args, field) {
+  const value = args[field];
+  if (typeof value !== "string" || !value.trim()) throw toolError(`${field} is required`);
+  return value.trim();
+}
+
+
+/* ========================================= */
+/* 🧮 CALCULATOR                             */
+/* ========================================= */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * CALCULATE
+ * -----------------------------------
+ * - + - * / % ^ (or **), parentheses, unary minus
+ * - FUNCTIONS and CONSTANTS above, nothing else
+ * - parsed by hand: model input never reaches eval
+ */
+function calculate(expression) {
+  if (expression.length > MAX_EXPRESSION_CHARS) {
+    throw toolError(`expression must be at most ${MAX_EXPRESSION_CHARS} characters`);
+  }
+
+  const tokens = expression
+    .replace(/\*\*/g, "^")
+    .match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+|[a-z_]\w*|\S/gi) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function expect(token) {
+    if (next() !== token) throw toolError(`expected "${token}"`);
+  }
+
+  function sum() {
+    let value = product();
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + product() : value - product();
+    }
+    return value;
+  }
+
+  function product() {
+    let value = unary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const op = next();
+      const right = unary();
+      value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // -2^2 is -4, like on paper
+  function unary() {
+    if (peek() === "-" || peek() === "+") {
+      return next() === "-" ? -unary() : unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (peek() !== "^") return base;
+    next();
+    return base ** unary();
+  }
+
+  function primary() {
+    const token = next();
+    if (token === undefined) throw toolError("unexpected end of expression");
+
+    if (token === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(FUNCTIONS, name)) {
+      expect("(");
+      const args = [sum()];
+      while (peek() === ",") {
+        next();
+        args.push(sum());
+      }
+      expect(")");
+      return FUNCTIONS[name](...args);
+    }
+    if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name];
+
+    throw toolError(`unknown symbol "${token}"`);
+  }
+
+  const value = sum();
+  if (pos < tokens.length) throw toolError(`unexpected "${tokens[pos]}"`);
+  if (!Number.isFinite(value)) throw toolError("the result is not a finite number");
+
+  // 0.1 + 0.2 → 0.3
+  return String(Number(value.toPrecision(12)));
+}
+
+
+/* ========================================= */
+/* 🧰 REGISTRY                               */
+/* ========================================= */
+
+/**
+ * TOOLS
+ * -----------------------------------
+ * - parameters are JSON schema, sent to the provider
+ * - run(args, { user, chat }) resolves with the text
+ *   the model gets back; read-only, always scoped to
+ *   the user asking
+ */
+const TOOLS = {
+  calculator: {
+    description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, ln, log (base 10), log2, exp, min, max, pow. Use it for any non-trivial arithmetic.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "e.g. (1250 * 0.07) / 12" }
+      },
+      required: ["expression"]
+    },
+    run: async (args) => calculate(requireString(args, "expression"))
+  },
+
+  current_time: {
+    description: "Get the current date and time, optionally in an IANA time zone.",
+    parameters: {
+      type: "object",
+      properties: {
+        timeZone: { type: "string", description: "IANA time zone such as Europe/Berlin; defaults to UTC" }
+      }
+    },
+    run: async (args) => {
+      const zone = args.timeZone === undefined ? "UTC" : requireString(args, "timeZone");
+      const now = new Date();
+
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat("en-US", {
+          timeZone: zone,
+          dateStyle: "full",
+          timeStyle: "long"
+        }).format(now);
+      } catch {
+        throw toolError(`unknown time zone "${zone}"`);
+      }
+
+      return `${formatted} (${zone})\nISO: ${now.toISOString()}`;
+    }
+  },
+
+  search_chats: {
+    description: "Full-text search over the user's own past chats. Returns matching chat titles with short snippets.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "words or \"quoted phrases\" to look for" },
+        limit: { type: "integer", description: "chats to return, 1-10 (default 5)" }
+      },
+      required: ["query"]
+    },
+    run: async (args, { user }) => {
+      const q = requireString(args, "query").slice(0, 500);
+      const limit = Math.min(Math.max(parseInt(args.limit, 10) || 5, 1), 10);
+
+      const results = await textSearch({ user: user._id, q, limit });
+      if (!results.length) return "No matching chats.";
+
+      return results.map(({ chat, hits }) => [
+        `Chat "${chat.title}" (last active ${new Date(chat.lastActivity).toISOString().slice(0, 10)})`,
+        ...hits.map(h => `- ${h.role === "model" ? "Assistant" : "User"}: ${h.snippet}`)
+      ].join("\n")).join("\n\n");
+    }
+  },
+
+  read_attachment: {
+    description: "Read the extracted text of a document (PDF or text file) the user uploaded in any chat, by file name.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "file name, or part of it" }
+      },
+      required: ["name"]
+    },
+    run: async (args, { user }) => {
+      const wanted = requireString(args, "name").toLowerCase();
+
+      const documents = await attachmentModel
+        .find({ user: user._id, kind: "document" }, "name textTruncated createdAt")
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .lean();
+
+      // exact name first, newest upload wins
+      const match = documents.find(d => d.name.toLowerCase() === wanted) ||
+        documents.find(d => d.name.toLowerCase().includes(wanted));
+
+      if (!match) {
+        const names = [...new Set(documents.map(d => d.name))].slice(0, 20);
+        throw toolError(names.length
+          ? `no document named "${args.name}". Uploaded documents: ${names.join(", ")}`
+          : "the user has not uploaded any documents");
+      }
+
+      const { text } = await attachmentModel.findById(match._id, "text").lean();
+      return `--- ${match.name}${match.textTruncated ? " (truncated)" : ""} ---\n${text || "(no text found)"}`;
+    }
+  }
+};
+
+const TOOL_NAMES = Object.keys(TOOLS);
+
+// what providers get: { name, description, parameters }
+function toolDefinitions() {
+  if (!TOOLS_ENABLED) return undefined;
+
+  return TOOL_NAMES.map(name => ({
+    name,
+    description: TOOLS[name].description,
+    parameters: TOOLS[name].parameters
+  }));
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === "object") return raw;
+
+  try {
+    const args = JSON.parse(raw || "{}");
+    return args && typeof args === "object" && !Array.isArray(args) ? args : null;
+  } catch {
+    return null;
+  }
+}
+
+function capResult(text) {
+  if (text.length <= MAX_RESULT_CHARS) return text;
+  return `${text.slice(0, MAX_RESULT_CHARS)}\n… (cut at ${MAX_RESULT_CHARS} characters)`;
+}
+
+/**
+ * RUN TOOL
+ * -----------------------------------
+ * - call: { name, arguments } as the model sent it
+ *   (arguments a JSON string or an object)
+ * - never throws: failures come back as ok: false
+ *   with the reason as content, so the model can
+ *   correct itself in the next step
+ */
+async function runTool(call, context) {
+  const args = parseArguments(call.arguments);
+
+  if (!Object.hasOwn(TOOLS, call.name)) {
+    return { ok: false, arguments: args, content: `Error: unknown tool "${call.name}"` };
+  }
+  if (!args) {
+    return { ok: false, arguments: call.arguments, content: "Error: arguments must be a JSON object" };
+  }
+
+  try {
+    const content = await TOOLS[call.name].run(args, context);
+    return { ok: true, arguments: args, content: capResult(String(content)) };
+
+  } catch (err) {
+    if (!err.toolError) console.error(`[TOOL:${call.name}] error:`, err.message);
+    return {
+      ok: false,
+      arguments: args,
+      content: `Error: ${err.toolError ? err.message : "the tool failed, try again later"}`
+    };
+  }
+}
+
+// saved tool step → text for later requests (history replay)
+function toolNote(message) {
+  return `Tool ${message.tool.name} was called with ${JSON.stringify(message.tool.arguments ?? {})} and returned:\n${message.content}`;
+}
+
+module.exports = {
+  MAX_TOOL_STEPS,
+  TOOL_NAMES,
+  calculate,
+  toolDefinitions,
+  runTool,
+  toolNote
+};
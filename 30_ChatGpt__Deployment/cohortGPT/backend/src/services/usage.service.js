@@ -0,0 +1,175 @@
+const usageModel = require("../models/usage.model");
+
+// tokens per user per UTC day; 0 → unlimited
+const DEFAULT_DAILY_QUOTA = Number(process.env.DAILY_TOKEN_QUOTA) || 0;
+
+// rough count (~4 chars per token) — good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+/**
+ * ESTIMATE USAGE
+ * -----------------------------------
+ * - used when the provider sent no counts
+ *   (stopped mid-stream, mock provider)
+ */
+function estimateUsage(system, messages, completion) {
+  return {
+    promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), estimateTokens(system)),
+    completionTokens: completion ? estimateTokens(completion) : 0,
+    estimated: true
+  };
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextReset(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function totals(doc) {
+  const promptTokens = doc?.promptTokens || 0;
+  const completionTokens = doc?.completionTokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    requests: doc?.requests || 0
+  };
+}
+
+/**
+ * RECORD USAGE
+ * -----------------------------------
+ * - adds one completion to the user's daily total
+ * - errors are logged, never break a chat turn
+ */
+async function recordUsage({ user, usage }) {
+  if (!user || !usage) return;
+
+  try {
+    await usageModel.updateOne(
+      { user, day: dayKey() },
+      {
+        $inc: {
+          promptTokens: usage.promptTokens || 0,
+          completionTokens: usage.completionTokens || 0,
+          requests: 1
+        }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error("[USAGE] Record error:", err.message);
+  }
+}
+
+/**
+ * CHECK QUOTA
+ * -----------------------------------
+ * - user.dailyTokenQuota, else DAILY_TOKEN_QUOTA
+ * - checked before a reply starts, so the last reply
+ *   of the day may run a little over
+ */
+async function checkQuota(user) {
+  const limit = user.dailyTokenQuota ?? DEFAULT_DAILY_QUOTA;
+  if (!limit) return { allowed: true, limit: 0 };
+
+  const today = await usageModel.findOne({ user: user._id, day: dayKey() }).lean();
+  const used = totals(today).totalTokens;
+
+  return {
+    allowed: used < limit,
+    used,
+    limit,
+    resetsAt: nextReset()
+  };
+}
+
+/**
+ * USER USAGE
+ * -----------------------------------
+ * - today's totals + quota
+ * - one entry per active day, newest first
+ */
+async function getUserUsage(user, days) {
+  const since = new Date();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const rows = await usageModel
+    .find({ user: user._id, day: { $gte: dayKey(since) } })
+    .sort({ day: -1 })
+    .lean();
+
+  const today = totals(rows.find(r => r.day === dayKey()));
+  const limit = user.dailyTokenQuota ?? DEFAULT_DAILY_QUOTA;
+
+  return {
+    today,
+    quota: {
+      limit,
+      remaining: limit ? Math.max(0, limit - today.totalTokens) : null,
+      resetsAt: nextReset()
+    },
+    days: rows.map(r => ({ day: r.day, ...totals(r) }))
+  };
+}
+
+/**
+ * USAGE SUMMARY (admin)
+ * -----------------------------------
+ * - totals per user over the last `days` days
+ * - heaviest users first
+ */
+async function getUsageSummary(days) {
+  const since = new Date();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const rows = await usageModel.aggregate([
+    { $match: { day: { $gte: dayKey(since) } } },
+    {
+      $group: {
+        _id: "$user",
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        requests: { $sum: "$requests" }
+      }
+    },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+    { $addFields: { totalTokens: { $add: ["$promptTokens", "$completionTokens"] } } },
+    { $sort: { totalTokens: -1 } }
+  ]);
+
+  const users = rows.map(r => ({
+    user: {
+      _id: r._id,
+      email: r.user[0]?.email,
+      fullName: r.user[0]?.fullName
+    },
+    ...totals(r)
+  }));
+
+  return {
+    from: dayKey(since),
+    to: dayKey(),
+    totals: totals(users.reduce((sum, u) => ({
+      promptTokens: sum.promptTokens + u.promptTokens,
+      completionTokens: sum.completionTokens + u.completionTokens,
+      requests: sum.requests + u.requests
+    }), { promptTokens: 0, completionTokens: 0, requests: 0 })),
+    users
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateUsage,
+  recordUsage,
+  checkQuota,
+  getUserUsage,
+  getUsageSummary
+};
@@ -0,0 +1,45 @@
+/**
+ * SOCKET.IO ADAPTER
+ * -----------------------------------
+ * - SOCKET_ADAPTER=memory (default, one process)
+ *   | redis (rooms + serverSideEmit shared by every
+ *   instance through REDIS_URL pub/sub)
+ * - any Redis-protocol server works (Redis, Valkey…)
+ */
+const ADAPTERS = {
+  memory: () => null,
+  redis: () => {
+    const Redis = require("ioredis");
+    const { createAdapter } = require("@socket.io/redis-adapter");
+
+    const pubClient = new Redis(process.env.REDIS_URL || "redis://localhost:6379");
+    const subClient = pubClient.duplicate();
+
+    for (const client of [pubClient, subClient]) {
+      client.on("error", err => console.error("[SOCKET:redis]", err.message));
+    }
+
+    return createAdapter(pubClient, subClient, {
+      key: process.env.SOCKET_ADAPTER_PREFIX || "socket.io"
+    });
+  }
+};
+
+const ADAPTER_NAME = process.env.SOCKET_ADAPTER || "memory";
+
+function isMultiInstance() {
+  return ADAPTER_NAME !== "memory";
+}
+
+// adapter factory for the Server options, or null for the built-in one
+function createSocketAdapter() {
+  const load = ADAPTERS[ADAPTER_NAME];
+  if (!load) throw new Error(`Unknown SOCKET_ADAPTER "${ADAPTER_NAME}"`);
+  return load();
+}
+
+module.exports = {
+  ADAPTER_NAME,
+  isMultiInstance,
+  createSocketAdapter
+};
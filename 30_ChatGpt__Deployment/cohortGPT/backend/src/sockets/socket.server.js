@@ -1,13 +1,58 @@
 const { Server } = require("socket.io");
 const cookie = require("cookie");
-const jwt = require("jsonwebtoken");
 
 const userModel = require("../models/user.model");
 const messageModel = require("../models/message.model");
 const chatModel = require("../models/chat.model");
 
-const { generateResponse } = require("../services/groq.service");
-const { createMemory, queryMemory } = require("../services/vector.service");
+const { streamResponse, generateTitle } = require("../services/llm.service");
+const { createMemory } = require("../services/memory.service");
+const { buildContext, refreshSummary } = require("../services/context.service");
+const { resolvePersona } = require("../services/persona.service");
+const { loadBranch } = require("../services/branch.service");
+const { checkQuota, recordUsage } = require("../services/usage.service");
+const { MAX_TOOL_STEPS, toolDefinitions, runTool } = require("../services/tool.service");
+const { verifyAccessToken } = require("../services/session.service");
+const {
+  checkPayload,
+  aiMessagePayload,
+  regeneratePayload,
+  stopGenerationPayload
+} = require("../middlewares/validator.middleware");
+const { checkChatAccess } = require("../middlewares/chatAccess.middleware");
+const { consume } = require("../services/rateLimit.service");
+const {
+  pendingAttachments,
+  linkAttachments,
+  toClientAttachment,
+  withAttachments
+} = require("../services/attachment.service");
+const { createSocketAdapter, isMultiInstance } = require("./socket.adapter");
+
+// token counts of every round of a reply, added up
+function addUsage(total, usage) {
+  if (!total) return usage;
+
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    ...((total.estimated || usage.estimated) && { estimated: true })
+  };
+}
+
+// the chat's active branch; a stale or missing activeLeaf
+// falls back to the branch of the newest message
+async function activeBranch(chat) {
+  return (chat.activeLeaf && await loadBranch(chat._id, chat.activeLeaf)) ||
+    loadBranch(chat._id, null);
+}
+
+// behind a proxy (TRUST_PROXY) the client is the first X-Forwarded-For hop
+function clientIp(socket) {
+  const forwarded = socket.handshake.headers?.["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && forwarded) return forwarded.split(",")[0].trim();
+  return socket.handshake.address;
+}
 
 function initSocketServer(httpServer) {
 
@@ -21,7 +66,38 @@ function initSocketServer(httpServer) {
         return cb(new Error("Not allowed by CORS"));
       },
       credentials: true
-    }
+    },
+    // several instances: websocket only, so no request of a
+    // connection can land on another node (no sticky sessions)
+    ...(isMultiInstance() && { transports: ["websocket"] })
+  });
+
+  const adapter = createSocketAdapter();
+  if (adapter) io.adapter(adapter);
+
+  // replies running on this instance, claimed before their first await
+  // (chatId -> { controller, user, socketId, release })
+  const generations = new Map();
+
+  // aborts a reply of the user's chat; false when it is not streaming here
+  function stopGeneration(chatId, userId) {
+    const entry = generations.get(chatId);
+    if (!entry || entry.user !== String(userId)) return false;
+
+    entry.controller.abort();
+    return true;
+  }
+
+  // stop-generation relayed by another instance (serverSideEmit)
+  io.on("stop-generation", ({ chat, user }) => {
+    stopGeneration(chat, user);
+  });
+
+  // connection flood guard, per IP
+  io.use(async (socket, next) => {
+    const result = await consume("socket-connect", { ip: clientIp(socket) });
+    if (!result.allowed) return next(new Error("Too many connections"));
+    next();
   });
 
   // auth check
@@ -30,11 +106,13 @@ function initSocketServer(httpServer) {
       const cookies = cookie.parse(socket.handshake.headers?.cookie || "");
       if (!cookies.token) return next(new Error("No auth token"));
 
-      const decoded = jwt.verify(cookies.token, process.env.JWT_SECRET);
-      const user = await userModel.findById(decoded.id);
+      // same checks as auth.middleware: expiry + revoked sessions
+      const { userId, sessionId } = await verifyAccessToken(cookies.token);
+      const user = await userModel.findById(userId);
 
       if (!user) return next(new Error("User not found"));
       socket.user = user;
+      socket.sessionId = sessionId;
 
       next();
     } catch (err) {
@@ -45,90 +123,506 @@ function initSocketServer(httpServer) {
   // socket handler
   io.on("connection", (socket) => {
 
+    // every tab / device of the user, on any instance
+    const userRoom = `user:${socket.user._id}`;
+    socket.join(userRoom);
+    const toUser = () => io.to(userRoom);
+
+    /**
+     * PAYLOAD CHECK
+     * - true (and ai-error with the REST 400 body)
+     *   when the payload breaks the event's rules
+     */
+    async function rejectPayload(rules, payload) {
+      const problem = await checkPayload(rules, payload);
+      if (!problem) return false;
+
+      socket.emit("ai-error", {
+        chat: typeof payload?.chat === "string" ? payload.chat : undefined,
+        status: 400,
+        ...problem
+      });
+      return true;
+    }
+
+    /**
+     * CLAIM CHAT
+     * - reserves the chat's reply slot synchronously, so a
+     *   second event arriving meanwhile sees it busy
+     * - null (and ai-error with status 409) while a reply
+     *   of that chat is already running here
+     * - release() frees the slot; safe to call twice
+     */
+    function claimChat(chatId) {
+      // not a string: the payload check rejects it, nothing to reserve
+      const key = typeof chatId === "string" ? chatId : null;
+
+      if (key && generations.has(key)) {
+        socket.emit("ai-error", {
+          chat: key,
+          status: 409,
+          message: "A reply is already being generated in this chat."
+        });
+        return null;
+      }
+
+      const entry = {
+        controller: new AbortController(),
+        user: String(socket.user._id),
+        socketId: socket.id,
+        release: () => {
+          if (key && generations.get(key) === entry) generations.delete(key);
+        }
+      };
+      if (key) generations.set(key, entry);
+
+      return entry;
+    }
+
+    // ai-error 404 for an unknown editOf / regenerate target
+    function messageNotFound(chatId) {
+      socket.emit("ai-error", {
+        chat: chatId,
+        status: 404,
+        message: "message not found"
+      });
+    }
+
+    /**
+     * RATE GATE
+     * - true (and ai-error with status 429) once the
+     *   user spent the event's window
+     * - ai-message and regenerate share one budget
+     */
+    async function rateLimited(chatId) {
+      const result = await consume("ai-message", {
+        user: socket.user._id,
+        ip: clientIp(socket)
+      });
+      if (result.allowed) return false;
+
+      socket.emit("ai-error", {
+        chat: chatId,
+        status: 429,
+        message: `Slow down a little: try again in ${result.retryAfter}s.`,
+        retryAfter: result.retryAfter
+      });
+      return true;
+    }
+
+    /**
+     * CHAT GATE
+     * - the chat, or null (and ai-error with the REST
+     *   403 / 404) when the user does not own it
+     */
+    async function ownedChat(chatId) {
+      const access = await checkChatAccess(socket.user._id, chatId);
+      if (access.chat) return access.chat;
+
+      socket.emit("ai-error", {
+        chat: chatId,
+        status: access.status,
+        message: access.message
+      });
+      return null;
+    }
+
+    /**
+     * QUOTA GATE
+     * - false (and quota-exceeded) once today's
+     *   token budget of the user is spent
+     */
+    async function withinQuota(chatId) {
+      const quota = await checkQuota(socket.user);
+      if (quota.allowed) return true;
+
+      socket.emit("quota-exceeded", {
+        chat: chatId,
+        used: quota.used,
+        limit: quota.limit,
+        resetsAt: quota.resetsAt,
+        message: `Daily token limit reached (${quota.used}/${quota.limit}). It resets at ${quota.resetsAt.toISOString()}.`
+      });
+      return false;
+    }
+
+    /**
+     * STREAM A MODEL REPLY
+     * - history is the active branch, ending with the user message
+     * - tool calls run between rounds, at most MAX_TOOL_STEPS
+     *   rounds; the last one offers no tools, so it must answer
+     * - each call is saved as a system message below the user
+     *   message, the reply below the last of them
+     * - the new reply becomes the chat's active leaf
+     * - claim: the chat's slot from claimChat, freed once
+     *   the stream ends
+     */
+    async function streamReply(chat, history, claim) {
+      const chatId = String(chat._id);
+      const parent = history[history.length - 1];
+
+      // summary + LTM + token-budgeted STM of the active branch
+      const context = await buildContext(chat, await withAttachments(history), socket.user);
+      const persona = await resolvePersona(chat, socket.user._id);
+
+      // AI reply, streamed token by token
+      const { controller } = claim;
+
+      let aiResponse = "";
+      let usage = null;
+      let aborted = false;
+      let failed = false;
+      // tool calls + results of this reply (the model's view, and what gets saved)
+      const turns = [];
+      const steps = [];
+
+      try {
+        for (let round = 0; ; round++) {
+          let calls = [];
+
+          const text = await streamResponse(context.concat(turns), socket.user, {
+            signal: controller.signal,
+            persona,
+            provider: chat.provider,
+            tools: round < MAX_TOOL_STEPS ? toolDefinitions() : undefined,
+            onToolCalls: (c) => { calls = c; },
+            onUsage: (u) => { usage = addUsage(usage, u); },
+            onToken: (delta) => {
+              aiResponse += delta;
+              toUser().emit("ai-response-chunk", {
+                chat: chatId,
+                content: delta
+              });
+            }
+          });
+
+          if (!calls.length) break;
+          if (text) aiResponse += "\n\n";
+          turns.push({ role: "model", content: text || "", toolCalls: calls });
+
+          for (const call of calls) {
+            const result = await runTool(call, { user: socket.user, chat });
+            const tool = { name: call.name, arguments: result.arguments, ok: result.ok };
+
+            steps.push({ tool, content: result.content });
+            turns.push({ role: "tool", toolCallId: call.id, name: call.name, content: result.content });
+
+            toUser().emit("ai-tool-step", {
+              chat: chatId,
+              tool,
+              content: result.content
+            });
+          }
+        }
+      } catch (err) {
+        aborted = true;
+        failed = !controller.signal.aborted;
+      } finally {
+        claim.release();
+      }
+
+      // model failed after retries: tell the client and save nothing,
+      // neither the text streamed so far nor the tool steps before it;
+      // tokens of the rounds that did finish still count
+      if (failed) {
+        await recordUsage({ user: socket.user._id, usage });
+        toUser().emit("ai-error", {
+          chat: chatId,
+          parent: parent._id,
+          message: "AI model temporarily unavailable. Please try again."
+        });
+        return;
+      }
+
+      const empty = !aiResponse.trim();
+
+      // stopped before the first word
+      if (aborted && empty) {
+        await recordUsage({ user: socket.user._id, usage });
+        toUser().emit("ai-response-done", {
+          chat: chatId,
+          messageId: null,
+          content: "",
+          truncated: true
+        });
+        return;
+      }
+
+      // finished without a word: a reply needs content, and tool
+      // steps without one below them would dangle in the tree
+      if (empty) {
+        await recordUsage({ user: socket.user._id, usage });
+        toUser().emit("ai-error", {
+          chat: chatId,
+          parent: parent._id,
+          message: "The model returned an empty reply. Please try again."
+        });
+        return;
+      }
+
+      // tool steps in call order, the reply below the last one
+      const saved = [];
+      let replyParent = parent._id;
+
+      for (const step of steps) {
+        const entry = await messageModel.create({
+          chat: chatId,
+          user: socket.user._id,
+          parent: replyParent,
+          role: "system",
+          content: step.content,
+          tool: step.tool
+        });
+        saved.push(entry.toObject());
+        replyParent = entry._id;
+      }
+
+      // save ai message (partial when stopped or the socket dropped mid-stream)
+      const aiMessage = await messageModel.create({
+        chat: chatId,
+        user: socket.user._id,
+        parent: replyParent,
+        role: "model",
+        content: aiResponse,
+        truncated: aborted,
+        usage
+      });
+
+      await recordUsage({ user: socket.user._id, usage });
+
+      await chatModel.findByIdAndUpdate(chatId, {
+        activeLeaf: aiMessage._id
+      });
+
+      // send final event with the persisted id
+      toUser().emit("ai-response-done", {
+        chat: chatId,
+        messageId: aiMessage._id,
+        parent: replyParent,
+        content: aiResponse,
+        truncated: aborted
+      });
+
+      // ===== MEMORY WRITE =====
+      await createMemory({
+        user: socket.user._id,
+        chat: chatId,
+        messageId: aiMessage._id,
+        role: "model",
+        text: aiResponse
+      });
+
+      // fold turns that left the window into the running summary
+      await refreshSummary(chat, history.concat(saved, aiMessage.toObject()));
+
+      // first exchange of the chat: name it
+      if (history.length === 1) {
+        await autoTitle(chat, parent.content, aiResponse);
+      }
+    }
+
+    /**
+     * AUTO TITLE
+     * - asks the model for a short title
+     * - never overwrites a title the user picked
+     */
+    async function autoTitle(chat, userText, modelText) {
+      const title = await generateTitle(userText, modelText, {
+        provider: chat.provider,
+        onUsage: usage => recordUsage({ user: socket.user._id, usage })
+      });
+      if (!title) return;
+
+      const updated = await chatModel.findOneAndUpdate(
+        { _id: chat._id, titleSource: { $nin: ["user", "auto"] } },
+        { title, titleSource: "auto" },
+        { new: true }
+      );
+      if (!updated) return;
+
+      toUser().emit("chat-updated", {
+        chat: {
+          _id: updated._id,
+          title: updated.title,
+          lastActivity: updated.lastActivity
+        }
+      });
+    }
+
+    /**
+     * AI MESSAGE
+     * - appends to the active branch by default
+     * - with editOf, the new text becomes a sibling of
+     *   that earlier user message (edit and resend)
+     */
     socket.on("ai-message", async (payload) => {
-  try {
-    if (!payload.chat || payload.chat.length < 20) return;
-
-    // save user message
-    const userMessage = await messageModel.create({
-      chat: payload.chat,
-      user: socket.user._id,
-      role: "user",
-      content: payload.content
-    });
+      const claim = claimChat(payload?.chat);
+      if (!claim) return;
+
+      try {
+        if (await rejectPayload(aiMessagePayload, payload)) return;
+        if (await rateLimited(payload.chat)) return;
+
+        const chat = await ownedChat(payload.chat);
+        if (!chat) return;
+        if (!(await withinQuota(payload.chat))) return;
 
-    // update chat last active
-    await chatModel.findByIdAndUpdate(payload.chat, {
-      lastActivity: Date.now()
+        let history;
+
+        if (payload.editOf) {
+          const branch = await loadBranch(payload.chat, payload.editOf);
+          const edited = branch?.[branch.length - 1];
+          if (!edited || edited.role !== "user") return messageNotFound(payload.chat);
+
+          // the new text goes where the edited one did
+          // (editing the very first message starts a new root)
+          history = branch.slice(0, -1);
+        } else {
+          history = await activeBranch(chat);
+        }
+
+        // uploaded through POST /api/chat/:chatId/attachments, not sent yet
+        const attachments = await pendingAttachments(payload.attachments, {
+          user: socket.user._id,
+          chat: chat._id
+        });
+        if (!attachments) {
+          socket.emit("ai-error", {
+            chat: payload.chat,
+            status: 400,
+            message: "An attachment is missing or was already sent. Please attach it again."
+          });
+          return;
+        }
+
+        const last = history[history.length - 1];
+
+        // save user message
+        const userMessage = await messageModel.create({
+          chat: payload.chat,
+          user: socket.user._id,
+          parent: last ? last._id : null,
+          role: "user",
+          content: payload.content,
+          attachments: attachments.map(a => a._id)
+        });
+        await linkAttachments(attachments, userMessage._id);
+
+        // update chat last active and move to the new branch tip
+        await chatModel.findByIdAndUpdate(payload.chat, {
+          lastActivity: Date.now(),
+          activeLeaf: userMessage._id
+        });
+
+        // other tabs show the message too
+        toUser().emit("user-message-saved", {
+          chat: payload.chat,
+          messageId: userMessage._id,
+          parent: userMessage.parent,
+          content: userMessage.content,
+          attachments: attachments.map(toClientAttachment)
+        });
+
+        await streamReply(chat, history.concat(userMessage.toObject()), claim);
+
+        // ===== MEMORY WRITE (after the reply, keeps first token fast) =====
+        await createMemory({
+          user: socket.user._id,
+          chat: payload.chat,
+          messageId: userMessage._id,
+          role: "user",
+          text: payload.content
+        });
+
+      } catch (err) {
+        console.log("[SOCKET ERROR]:", err.message);
+        socket.emit("ai-error", {
+          chat: payload?.chat,
+          message: "Something went wrong. Please try again."
+        });
+      } finally {
+        claim.release();
+      }
     });
 
-    // ===== MEMORY DISABLED =====
-    // const memory = await queryMemory({
-    //   query: payload.content,
-    //   limit: 5,
-    //   filter: { user: socket.user._id }
-    // });
-
-    // ===== LTM DISABLED =====
-    // const ltm = memory.length > 0 ? [
-    //   {
-    //     role: "user",
-    //     parts: [{
-    //       text: `Relevant past memory:\n\n${memory
-    //         .map(m => m.fields?.text)
-    //         .join("\n")}`
-    //     }]
-    //   }
-    // ] : [];
-
-    // ===== STM ONLY (last 10 messages) =====
-    const chatHistory = await messageModel
-      .find({ chat: payload.chat })
-      .sort({ createdAt: -1 }) 
-      .limit(10)
-      .lean();
-
-    const stm = chatHistory.reverse().map(m => ({
-      role: m.role,
-      parts: [{ text: m.content }]
-    }));
-
-    // AI reply using STM only
-    const aiResponse = await generateResponse(stm, socket.user);
-
-    // send reply
-    socket.emit("ai-response", {
-      chat: payload.chat,
-      content: aiResponse
+    /**
+     * REGENERATE
+     * - new reply for the user message above `message`
+     *   (defaults to the last reply of the active branch)
+     * - the old reply stays as a sibling branch
+     */
+    socket.on("regenerate", async (payload) => {
+      const claim = claimChat(payload?.chat);
+      if (!claim) return;
+
+      try {
+        if (await rejectPayload(regeneratePayload, payload)) return;
+        if (await rateLimited(payload.chat)) return;
+
+        const chat = await ownedChat(payload.chat);
+        if (!chat) return;
+
+        // the branch ending at the target
+        const branch = payload.message
+          ? await loadBranch(payload.chat, payload.message)
+          : await activeBranch(chat);
+
+        if (!branch?.length) return messageNotFound(payload.chat);
+
+        // regenerate from the user message the reply answered,
+        // above the tool steps it took
+        let prompt = branch.length - 1;
+        if (branch[prompt].role !== "user") prompt--;
+
+        while (branch[prompt]?.role === "system") prompt--;
+
+        if (branch[prompt]?.role !== "user") return messageNotFound(payload.chat);
+        if (!(await withinQuota(payload.chat))) return;
+
+        await chatModel.findByIdAndUpdate(payload.chat, {
+          lastActivity: Date.now()
+        });
+
+        await streamReply(chat, branch.slice(0, prompt + 1), claim);
+
+      } catch (err) {
+        console.log("[SOCKET ERROR]:", err.message);
+        socket.emit("ai-error", {
+          chat: payload?.chat,
+          message: "Something went wrong. Please try again."
+        });
+      } finally {
+        claim.release();
+      }
     });
 
-    // save ai message
-    const aiMessage = await messageModel.create({
-      chat: payload.chat,
-      user: socket.user._id,
-      role: "model",
-      content: aiResponse
+    // user pressed stop (in any tab): abort the pending reply for that chat
+    socket.on("stop-generation", async (payload) => {
+      if (await rejectPayload(stopGenerationPayload, payload)) return;
+
+      // the reply may be streaming on another instance
+      if (!stopGeneration(payload.chat, socket.user._id) && isMultiInstance()) {
+        io.serverSideEmit("stop-generation", {
+          chat: payload.chat,
+          user: String(socket.user._id)
+        });
+      }
     });
 
-    // ===== MEMORY WRITE DISABLED =====
-    // await createMemory({
-    //   metadata: { chat: payload.chat, user: socket.user._id },
-    //   text: payload.content,
-    //   messageId: userMessage.id
-    // });
-
-    // await createMemory({
-    //   metadata: { chat: payload.chat, user: socket.user._id },
-    //   text: aiResponse,
-    //   messageId: aiMessage.id
-    // });
-
-  } catch (err) {
-    console.log("[SOCKET ERROR]:", err.message);
-  }
-});
+    // last tab of the user gone: stop its replies, keep the partial text
+    socket.on("disconnect", async () => {
+      const own = [...generations.values()].filter(g => g.socketId === socket.id);
+      if (!own.length) return;
 
+      try {
+        const others = await io.in(userRoom).fetchSockets();
+        if (others.length) return;
+      } catch (err) {
+        console.log("[SOCKET ERROR]:", err.message);
+      }
 
+      for (const entry of own) entry.controller.abort();
+    });
 
   });
 
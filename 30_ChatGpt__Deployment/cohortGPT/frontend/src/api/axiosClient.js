@@ -6,4 +6,44 @@ const api = axios.create({
   withCredentials: true
 });
 
+// calls that must never trigger a refresh themselves
+const NO_REFRESH = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/logout"];
+
+// one refresh at a time, shared by every request that got a 401
+let refreshing = null;
+
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = api.post("/auth/refresh").finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+function signedOut() {
+  localStorage.removeItem("user");
+  if (window.location.pathname !== "/login") window.location.assign("/login");
+}
+
+// access token expired → rotate the refresh token once, replay the request
+api.interceptors.response.use(
+  res => res,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || NO_REFRESH.includes(config.url)) throw error;
+
+    if (config._retried) {
+      signedOut();
+      throw error;
+    }
+    config._retried = true;
+
+    try {
+      await refreshSession();
+    } catch {
+      // another tab may have rotated it already; the replay tells
+    }
+    return api(config);
+  }
+);
+
 export default api;
@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import api from "../api/axiosClient";
+
+// files are served behind the auth cookie, so they go through axios
+async function fetchBlob(id) {
+  const res = await api.get(`/attachments/${id}`, { responseType: "blob" });
+  return res.data;
+}
+
+function AttachmentImage({ attachment }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let active = true;
+
+    fetchBlob(attachment._id)
+      .then(blob => {
+        url = URL.createObjectURL(blob);
+        if (active) setSrc(url);
+      })
+      .catch(() => {});
+
+    return () => {
+      active = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment._id]);
+
+  if (!src) return <div className="attachment-image loading">{attachment.name}</div>;
+  return <img className="attachment-image" src={src} alt={attachment.name} />;
+}
+
+async function download(attachment) {
+  const url = URL.createObjectURL(await fetchBlob(attachment._id));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = attachment.name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Attachments({ attachments }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="attachments">
+      {attachments.map(a =>
+        a.kind === "image" ? (
+          <AttachmentImage key={a._id} attachment={a} />
+        ) : (
+          <button key={a._id} className="attachment-chip" onClick={() => download(a)}>
+            📄 {a.name}
+          </button>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+export default function BranchSwitcher({ branch, onSwitch, disabled }) {
+  if (!branch || branch.count < 2) return null;
+
+  const { index, count, siblings } = branch;
+
+  return (
+    <div className="branch-switcher">
+      <button
+        disabled={disabled || index <= 1}
+        onClick={() => onSwitch(siblings[index - 2])}
+        aria-label="Previous version"
+      >
+        ‹
+      </button>
+      <span>{index}/{count}</span>
+      <button
+        disabled={disabled || index >= count}
+        onClick={() => onSwitch(siblings[index])}
+        aria-label="Next version"
+      >
+        ›
+      </button>
+    </div>
+  );
+}
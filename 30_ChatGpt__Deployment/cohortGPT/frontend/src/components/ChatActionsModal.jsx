@@ -3,6 +3,8 @@ import "../styles/modal.css";
 export default function ChatActionsModal({
   mode,
   chatTitle,
+  folderName,
+  folders,
   value,
   onChange,
   onConfirm,
@@ -24,6 +26,38 @@ export default function ChatActionsModal({
           </>
         )}
 
+        {(mode === "new-folder" || mode === "rename-folder") && (
+          <>
+            <h3>{mode === "new-folder" ? "New Folder" : "Rename Folder"}</h3>
+            <input
+              autoFocus
+              placeholder="Folder name"
+              maxLength={60}
+              value={value}
+              onChange={e => onChange(e.target.value)}
+            />
+          </>
+        )}
+
+        {mode === "move" && (
+          <>
+            <h3>Move "{chatTitle}"</h3>
+            <select value={value} onChange={e => onChange(e.target.value)}>
+              <option value="">No folder</option>
+              {folders.map(f => (
+                <option key={f._id} value={f._id}>{f.name}</option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {mode === "delete-folder" && (
+          <>
+            <h3>Delete Folder?</h3>
+            <p>Folder "<b>{folderName}</b>" will be removed. Its chats stay in your list.</p>
+          </>
+        )}
+
         {mode === "delete" && (
           <>
             <h3>Delete Chat?</h3>
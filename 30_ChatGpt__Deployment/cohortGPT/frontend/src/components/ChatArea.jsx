@@ -1,17 +1,82 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { socket } from "../socket";
 import api from "../api/axiosClient";
+import BranchSwitcher from "./BranchSwitcher";
+import Attachments from "./Attachments";
+import Markdown from "./Markdown";
+import ToolStep from "./ToolStep";
 import "../styles/chatarea.css";
 
-export default function ChatArea({ chatId }) {
+// GET /chat/:chatId/messages page, optionally above a message
+async function fetchPage(chatId, before) {
+  const res = await api.get(`/chat/${chatId}/messages`, { params: { before } });
+  return res.data;
+}
+
+// tool step shown live, not saved yet (it is saved with the reply)
+const unsavedStep = m => m.role === "system" && !m._id;
+
+// older pages until `target` is loaded (or the branch starts)
+async function pageUntil(chatId, target, page) {
+  let { messages, hasMore } = page;
+
+  while (hasMore && !messages.some(m => m._id === target)) {
+    const older = await fetchPage(chatId, messages[0]._id);
+    messages = older.messages.concat(messages);
+    hasMore = older.hasMore;
+  }
+
+  return { messages, hasMore };
+}
+
+export default function ChatArea({ chatId, focus }) {
   const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // older page failed to load; cleared by its Retry button
+  const [olderError, setOlderError] = useState(null);
   const [text, setText] = useState("");
+  const [generating, setGenerating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [pending, setPending] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [dragging, setDragging] = useState(false);
   const containerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const focusRef = useRef(null);
+  const topRef = useRef(null);
+  // distance from the bottom before older messages were prepended
+  const restoreRef = useRef(null);
+  // last rendered messages, for socket handlers that pick which
+  // setters to call (state updaters must stay pure)
+  const messagesRef = useRef(messages);
 
-  // AUTO SCROLL
-  useEffect(() => {
-    if (containerRef.current) {
-      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+  useLayoutEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  // AUTO SCROLL (or to the message opened from search)
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    // older page above: keep what was on screen in place
+    if (restoreRef.current !== null) {
+      container.scrollTop = container.scrollHeight - restoreRef.current;
+      restoreRef.current = null;
+      return;
+    }
+
+    const target = focusRef.current &&
+      container.querySelector(`[data-message-id="${focusRef.current}"]`);
+
+    if (target) {
+      focusRef.current = null;
+      target.scrollIntoView({ block: "center" });
+      target.classList.add("msg-focus");
+    } else {
+      container.scrollTop = container.scrollHeight;
     }
   }, [messages]);
 
@@ -20,45 +85,215 @@ export default function ChatArea({ chatId }) {
     if (!chatId) return;
     let active = true;
     setMessages([]);
+    setHasMore(false);
+    setOlderError(null);
+    setGenerating(false);
+    setEditingId(null);
+    setPending([]);
 
     async function loadHistory() {
-      const res = await api.get(`/chat/${chatId}/messages`);
-      if (active) setMessages(res.data.messages);
+      let page = await fetchPage(chatId);
+      const target = focus?.messageId;
+
+      if (target) {
+        page = await pageUntil(chatId, target, page);
+
+        // search hit on another branch → switch to it first
+        if (!page.messages.some(m => m._id === target)) {
+          const res = await api.put(`/chat/${chatId}/messages/${target}/activate`);
+          page = await pageUntil(chatId, target, res.data);
+        }
+      }
+
+      if (!active) return;
+      focusRef.current = target || null;
+      setMessages(page.messages);
+      setHasMore(page.hasMore);
     }
 
-    loadHistory();
+    // network error, or a search hit whose message is gone
+    loadHistory().catch(err => {
+      if (!active) return;
+      setMessages([{ role: "error", content: err.response?.data?.message || "Could not load this chat" }]);
+    });
     return () => { active = false };
-  }, [chatId]);
+  }, [chatId, focus]);
 
 
-  // SOCKET HANDLER
+  // SOCKET HANDLERS (streamed reply)
   useEffect(() => {
-    function handleAI({ chat, content }) {
+    function handleChunk({ chat, content }) {
+      if (chat !== chatId) return;
+
+      // the reply may have been asked for in another tab
+      setGenerating(true);
+      setMessages(prev => {
+        const last = prev[prev.length - 1];
+
+        // keep appending to the bubble that is already streaming
+        if (last?.streaming) {
+          return prev.slice(0, -1).concat({ ...last, content: last.content + content });
+        }
+
+        return prev
+          .filter(msg => msg.role !== "loading") // remove dots
+          .concat({ role: "model", content, streaming: true });
+      });
+    }
+
+    // the reply called a tool: show the step above the dots
+    function handleToolStep({ chat, tool, content }) {
       if (chat !== chatId) return;
 
+      setGenerating(true);
       setMessages(prev =>
         prev
-          .filter(msg => msg.role !== "loading") // remove dots
-          .concat({ role: "model", content })
+          .filter(msg => msg.role !== "loading")
+          .concat(
+            { role: "system", tool, content },
+            { role: "loading", content: "Thinking..." }
+          )
+      );
+    }
+
+    function handleDone({ chat, messageId, content, truncated }) {
+      if (chat !== chatId) return;
+
+      setGenerating(false);
+      setMessages(prev => {
+        const rest = prev.filter(msg => msg.role !== "loading" && !msg.streaming);
+
+        // stopped before the first token: nothing was saved
+        if (!messageId) return rest.filter(msg => !unsavedStep(msg));
+        return rest.concat({ _id: messageId, role: "model", content, truncated });
+      });
+
+      // refresh ids and branch counters of the newest page,
+      // keeping older pages that were already scrolled in
+      fetchPage(chatId).then(page => {
+        const first = page.messages[0]?._id;
+        const overlaps = Boolean(first) && messagesRef.current.some(m => m._id === first);
+
+        if (!overlaps) {
+          setMessages(page.messages);
+          setHasMore(page.hasMore);
+          return;
+        }
+
+        setMessages(prev => {
+          const start = prev.findIndex(m => m._id === first);
+          return start === -1 ? page.messages : prev.slice(0, start).concat(page.messages);
+        });
+      });
+    }
+
+    // optimistic user bubble gets its real id (needed for retry / edit)
+    function handleUserSaved({ chat, messageId, content, attachments }) {
+      if (chat !== chatId) return;
+
+      const optimistic = m => m.role === "user" && !m._id;
+
+      // sent from another tab: show it and wait for the reply here too
+      if (!messagesRef.current.some(optimistic)) {
+        setGenerating(true);
+        setMessages(prev => prev.concat(
+          { _id: messageId, role: "user", content, attachments },
+          { role: "loading", content: "Thinking..." }
+        ));
+        return;
+      }
+
+      setMessages(prev => {
+        const index = prev.findLastIndex(optimistic);
+        return prev.map((m, i) => (i === index ? { ...m, _id: messageId } : m));
+      });
+    }
+
+    // model failed after retries: show it instead of the reply,
+    // which is never saved (not even the part streamed so far)
+    function handleError({ chat, parent, message }) {
+      if (chat !== chatId) return;
+
+      setGenerating(false);
+      setMessages(prev =>
+        prev
+          .filter(msg => msg.role !== "loading" && !msg.streaming && !unsavedStep(msg))
+          .concat({ role: "error", content: message, parent })
+      );
+    }
+
+    // daily token budget spent: the message was not saved
+    function handleQuota({ chat, message }) {
+      if (chat !== chatId) return;
+
+      setGenerating(false);
+      setMessages(prev =>
+        prev
+          .filter(msg => msg.role !== "loading" && !(msg.role === "user" && !msg._id))
+          .concat({ role: "error", content: message })
       );
     }
 
-    socket.on("ai-response", handleAI);
-    return () => socket.off("ai-response", handleAI);
+    socket.on("ai-response-chunk", handleChunk);
+    socket.on("ai-tool-step", handleToolStep);
+    socket.on("ai-response-done", handleDone);
+    socket.on("user-message-saved", handleUserSaved);
+    socket.on("ai-error", handleError);
+    socket.on("quota-exceeded", handleQuota);
+    return () => {
+      socket.off("ai-response-chunk", handleChunk);
+      socket.off("ai-tool-step", handleToolStep);
+      socket.off("ai-response-done", handleDone);
+      socket.off("user-message-saved", handleUserSaved);
+      socket.off("ai-error", handleError);
+      socket.off("quota-exceeded", handleQuota);
+    };
   }, [chatId]);
 
 
+  // UPLOAD FILES (sent with the next message)
+  async function uploadFiles(files) {
+    if (!files.length || !chatId || uploading) return;
+
+    const form = new FormData();
+    for (const file of files) form.append("files", file);
+
+    setUploading(true);
+    try {
+      const res = await api.post(`/chat/${chatId}/attachments`, form);
+      setPending(prev => prev.concat(res.data.attachments));
+    } catch (err) {
+      alert(err.response?.data?.message || "Upload failed");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  function removePending(id) {
+    setPending(prev => prev.filter(a => a._id !== id));
+    api.delete(`/attachments/${id}`).catch(() => {});
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    uploadFiles([...e.dataTransfer.files]);
+  }
+
+
   // SEND MESSAGE
   function sendMessage() {
-    if (!text.trim() || !chatId) return;
+    if (!text.trim() || !chatId || uploading) return;
 
     const userMsg = text;
+    const attachments = pending;
     setText("");
+    setPending([]);
 
     // Show user bubble immediately
     setMessages(prev => [
       ...prev,
-      { role: "user", content: userMsg }
+      { role: "user", content: userMsg, attachments }
     ]);
 
     // Show AI loading bubble immediately
@@ -67,39 +302,252 @@ export default function ChatArea({ chatId }) {
       { role: "loading", content: "Thinking..." }
     ]);
 
+    setGenerating(true);
     socket.emit("ai-message", {
       chat: chatId,
-      content: userMsg
+      content: userMsg,
+      attachments: attachments.map(a => a._id)
     });
   }
 
 
+  // REGENERATE (keeps the old reply as another branch)
+  function regenerate(messageId) {
+    if (generating) return;
+
+    setMessages(prev => {
+      // the tool steps of the old reply go with it
+      let end = prev.findIndex(m => m._id === messageId);
+      while (end > 0 && prev[end - 1].role === "system") end--;
+
+      return prev
+        .slice(0, end)
+        .concat({ role: "loading", content: "Thinking..." });
+    });
+
+    setGenerating(true);
+    socket.emit("regenerate", { chat: chatId, message: messageId });
+  }
+
+
+  // RETRY after ai-error (new reply to the same user message)
+  function retry(parentId) {
+    if (generating || !parentId) return;
+
+    setMessages(prev =>
+      prev
+        .filter(m => m.role !== "error")
+        .concat({ role: "loading", content: "Thinking..." })
+    );
+
+    setGenerating(true);
+    socket.emit("regenerate", { chat: chatId, message: parentId });
+  }
+
+
+  // EDIT AND RESEND (new branch next to the edited message)
+  function startEdit(m) {
+    setEditingId(m._id);
+    setEditText(m.content);
+  }
+
+  function submitEdit() {
+    if (!editText.trim() || generating) return;
+
+    const editOf = editingId;
+    const content = editText;
+    setEditingId(null);
+
+    setMessages(prev =>
+      prev
+        .slice(0, prev.findIndex(m => m._id === editOf))
+        .concat(
+          { role: "user", content },
+          { role: "loading", content: "Thinking..." }
+        )
+    );
+
+    setGenerating(true);
+    socket.emit("ai-message", { chat: chatId, content, editOf });
+  }
+
+
+  // SWITCH BRANCH
+  async function switchBranch(messageId) {
+    try {
+      const res = await api.put(`/chat/${chatId}/messages/${messageId}/activate`);
+      setMessages(res.data.messages);
+      setHasMore(res.data.hasMore);
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not switch branch");
+    }
+  }
+
+
+  // INFINITE SCROLL UP: older page once the top is visible
+  const oldestId = messages[0]?._id;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const top = topRef.current;
+    // after a failed page, wait for Retry: the top may still be in view
+    if (!container || !top || !hasMore || !oldestId || olderError) return;
+    let cancelled = false;
+
+    const observer = new IntersectionObserver(async entries => {
+      if (!entries[0].isIntersecting) return;
+      observer.disconnect();
+
+      setLoadingOlder(true);
+      try {
+        const page = await fetchPage(chatId, oldestId);
+        // chat or branch changed meanwhile
+        if (cancelled) return;
+
+        restoreRef.current = container.scrollHeight - container.scrollTop;
+        setMessages(prev => page.messages.concat(prev));
+        setHasMore(page.hasMore);
+      } catch (err) {
+        if (!cancelled) setOlderError(err.response?.data?.message || "Could not load earlier messages");
+      } finally {
+        setLoadingOlder(false);
+      }
+    }, { root: container });
+
+    observer.observe(top);
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+    };
+  }, [chatId, oldestId, hasMore, olderError]);
+
+
+  // STOP GENERATION
+  function stopGeneration() {
+    socket.emit("stop-generation", { chat: chatId });
+  }
+
+
   return (
-    <div className="chat-area">
+    <div
+      className={`chat-area${dragging ? " dragging" : ""}`}
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={e => !e.currentTarget.contains(e.relatedTarget) && setDragging(false)}
+      onDrop={handleDrop}
+    >
 
       <div className="messages-window" ref={containerRef}>
+        {hasMore && (
+          <div ref={topRef} className="msg-older">
+            {olderError ? (
+              <>
+                ⚠️ {olderError}
+                <button className="retry-btn" onClick={() => setOlderError(null)}>Retry</button>
+              </>
+            ) : loadingOlder ? "Loading earlier messages…" : ""}
+          </div>
+        )}
         {messages.map((m, i) => (
-          <div key={i} className={`msg ${m.role}`}>
+          <div
+            key={m._id || i}
+            data-message-id={m._id}
+            className={`msg ${m.role}${m.streaming ? " streaming" : ""}`}
+          >
             {m.role === "loading" ? (
               <span className="typing-dots">
                 <span>.</span><span>.</span><span>.</span>
               </span>
+            ) : m.role === "system" && m.tool ? (
+              <ToolStep tool={m.tool} content={m.content} />
+            ) : m.role === "error" ? (
+              <>
+                ⚠️ {m.content}
+                {m.parent && !generating && (
+                  <button className="retry-btn" onClick={() => retry(m.parent)}>Retry</button>
+                )}
+              </>
+            ) : editingId && editingId === m._id ? (
+              <div className="msg-edit">
+                <textarea
+                  autoFocus
+                  value={editText}
+                  onChange={e => setEditText(e.target.value)}
+                />
+                <div className="msg-edit-actions">
+                  <button onClick={() => setEditingId(null)}>Cancel</button>
+                  <button onClick={submitEdit}>Send</button>
+                </div>
+              </div>
             ) : (
-              m.content
+              <>
+                <Attachments attachments={m.attachments} />
+                {m.role === "model" ? <Markdown content={m.content} /> : m.content}
+                {m.truncated && <span className="msg-truncated">(stopped)</span>}
+
+                {m._id && (
+                  <div className="msg-tools">
+                    <BranchSwitcher
+                      branch={m.branch}
+                      onSwitch={switchBranch}
+                      disabled={generating}
+                    />
+                    {m.role === "user" && !generating && (
+                      <button onClick={() => startEdit(m)} aria-label="Edit message">✏️</button>
+                    )}
+                    {m.role === "model" && i === messages.length - 1 && !generating && (
+                      <button onClick={() => regenerate(m._id)} aria-label="Regenerate reply">↻</button>
+                    )}
+                  </div>
+                )}
+              </>
             )}
           </div>
         ))}
       </div>
 
+      {pending.length > 0 && (
+        <div className="pending-attachments">
+          {pending.map(a => (
+            <span key={a._id} className="attachment-chip">
+              {a.kind === "image" ? "🖼️" : "📄"} {a.name}
+              <button onClick={() => removePending(a._id)} aria-label={`Remove ${a.name}`}>×</button>
+            </span>
+          ))}
+        </div>
+      )}
+
       <div className="input-area">
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          hidden
+          accept="image/*,.pdf,.txt,.md,.markdown,.csv,.json,.log"
+          onChange={e => {
+            uploadFiles([...e.target.files]);
+            e.target.value = "";
+          }}
+        />
+        <button
+          className="attach-btn"
+          onClick={() => fileInputRef.current.click()}
+          disabled={uploading}
+          aria-label="Attach files"
+        >
+          {uploading ? "…" : "📎"}
+        </button>
         <input
           type="text"
           placeholder="Send a message..."
           value={text}
           onChange={e => setText(e.target.value)}
-          onKeyDown={e => e.key === "Enter" && sendMessage()}
+          onKeyDown={e => e.key === "Enter" && !generating && sendMessage()}
         />
-        <button onClick={sendMessage}>Send</button>
+        {generating ? (
+          <button className="stop-btn" onClick={stopGeneration}>Stop</button>
+        ) : (
+          <button onClick={sendMessage}>Send</button>
+        )}
       </div>
     </div>
   );
@@ -1,10 +1,18 @@
 import { useState, useRef, useEffect } from "react";
 
+// drag data type, read by the sidebar groups (ChatSection)
+export const CHAT_DRAG_TYPE = "application/x-olivia-chat";
+
 export default function ChatItem({
   chat,
   active,
   onSelect,
   onRename,
+  onExport,
+  onShare,
+  onPin,
+  onArchive,
+  onMove,
   onDelete
 }) {
   const [open, setOpen] = useState(false);
@@ -77,8 +85,23 @@ export default function ChatItem({
     };
   }, [chat._id]);
 
+  // dropped on a sidebar group (folder, pinned, archive)
+  function handleDragStart(e) {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData(CHAT_DRAG_TYPE, JSON.stringify({
+      _id: chat._id,
+      folder: chat.folder,
+      pinned: chat.pinned,
+      archived: chat.archived
+    }));
+  }
+
   return (
-<div className={`chat-item ${active ? "active" : ""}`}>
+<div
+  className={`chat-item ${active ? "active" : ""}`}
+  draggable
+  onDragStart={handleDragStart}
+>
 
   <div className="chat-left" onClick={() => onSelect(chat._id)}>
     <p className="chat-title">{chat.title}</p>
@@ -90,6 +113,13 @@ export default function ChatItem({
     {open && (
       <div className="menu-dropdown" style={menuStyle ? menuStyle : undefined}>
         <div onClick={() => { setOpen(false); setMenuStyle(null); onRename(chat._id, chat.title); }}>✏️ Rename</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onPin(chat, !chat.pinned); }}>📌 {chat.pinned ? "Unpin" : "Pin"}</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onMove(chat); }}>📁 Move to folder</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onArchive(chat, !chat.archived); }}>🗄️ {chat.archived ? "Restore" : "Archive"}</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onShare(chat._id, chat.title); }}>🔗 Share</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onExport(chat._id, "md"); }}>⬇️ Export .md</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onExport(chat._id, "html"); }}>⬇️ Export .html</div>
+        <div onClick={() => { setOpen(false); setMenuStyle(null); onExport(chat._id, "json"); }}>⬇️ Export .json</div>
         <div onClick={() => { setOpen(false); setMenuStyle(null); onDelete(chat._id, chat.title); }}>🗑️ Delete</div>
       </div>
     )}
@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import api from "../api/axiosClient";
+import { socket } from "../socket";
+import ChatItem, { CHAT_DRAG_TYPE } from "./ChatItem";
+
+const PAGE_SIZE = 30;
+
+/**
+ * One sidebar group (pinned, a folder, top level, archive).
+ * Loads GET /api/chat pages with `params` while open, the next
+ * page when its end scrolls into view, and reloads on `version`.
+ */
+export default function ChatSection({
+  title,
+  params,
+  version,
+  defaultOpen = true,
+  emptyText = "No chats",
+  actions,
+  onDropChat,
+  activeChat,
+  itemProps
+}) {
+  const [open, setOpen] = useState(defaultOpen);
+  const [chats, setChats] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [dropping, setDropping] = useState(false);
+  const endRef = useRef(null);
+  const key = JSON.stringify(params);
+
+  const loadPage = useCallback(async (after) => {
+    setLoading(true);
+    try {
+      const res = await api.get("/chat", {
+        params: { ...JSON.parse(key), limit: PAGE_SIZE, cursor: after || undefined }
+      });
+      setChats(prev => (after ? prev.concat(res.data.chats) : res.data.chats));
+      setCursor(res.data.nextCursor);
+    } finally {
+      setLoading(false);
+    }
+  }, [key]);
+
+  // first page (again) when opened or when anything was reorganised
+  useEffect(() => {
+    if (open) loadPage(null);
+  }, [open, loadPage, version]);
+
+  // infinite scroll: next page once the end of the group is visible
+  useEffect(() => {
+    const end = endRef.current;
+    if (!end || !cursor || loading) return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadPage(cursor);
+    });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [cursor, loading, loadPage]);
+
+  // live title updates (auto-generated after the first exchange)
+  useEffect(() => {
+    function handleChatUpdated({ chat }) {
+      setChats(prev => prev.map(c => (c._id === chat._id ? { ...c, ...chat } : c)));
+    }
+
+    socket.on("chat-updated", handleChatUpdated);
+    return () => socket.off("chat-updated", handleChatUpdated);
+  }, []);
+
+  function handleDragOver(e) {
+    if (!onDropChat || !e.dataTransfer.types.includes(CHAT_DRAG_TYPE)) return;
+    e.preventDefault();
+    setDropping(true);
+  }
+
+  function handleDrop(e) {
+    setDropping(false);
+    const data = e.dataTransfer.getData(CHAT_DRAG_TYPE);
+    if (!data) return;
+    e.preventDefault();
+    onDropChat(JSON.parse(data));
+  }
+
+  return (
+    <div
+      className={`chat-section${dropping ? " dropping" : ""}`}
+      onDragOver={handleDragOver}
+      onDragLeave={e => !e.currentTarget.contains(e.relatedTarget) && setDropping(false)}
+      onDrop={handleDrop}
+    >
+      <div className="chat-section-header">
+        <button
+          className="chat-section-toggle"
+          onClick={() => setOpen(o => !o)}
+          aria-expanded={open}
+        >
+          {open ? "▾" : "▸"} {title}
+        </button>
+        {actions}
+      </div>
+
+      {open && (
+        <>
+          {chats.map(chat => (
+            <ChatItem
+              key={chat._id}
+              chat={chat}
+              active={activeChat === chat._id}
+              {...itemProps}
+            />
+          ))}
+          {!chats.length && !loading && <p className="chat-section-note">{emptyText}</p>}
+          {loading && <p className="chat-section-note">Loading…</p>}
+          <div ref={endRef} />
+        </>
+      )}
+    </div>
+  );
+}
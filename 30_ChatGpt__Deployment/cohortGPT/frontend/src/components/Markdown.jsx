@@ -0,0 +1,87 @@
+import { useRef, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import rehypeKatex from "rehype-katex";
+import rehypeHighlight from "rehype-highlight";
+import "katex/dist/katex.min.css";
+import "highlight.js/styles/github-dark.css";
+import "../styles/markdown.css";
+
+// model output is untrusted: raw HTML is never parsed, and the
+// markdown's own elements pass the sanitizer before KaTeX and
+// highlight.js add their markup
+const schema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [["className", /^language-./, "math-inline", "math-display"]]
+  }
+};
+
+const remarkPlugins = [remarkGfm, remarkMath];
+const rehypePlugins = [
+  [rehypeSanitize, schema],
+  rehypeKatex,
+  [rehypeHighlight, { plainText: ["math"] }]
+];
+
+function CodeBlock({ node, children }) {
+  const ref = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const classes = node?.children?.[0]?.properties?.className || [];
+  const language = classes
+    .map(String)
+    .find(c => c.startsWith("language-"))
+    ?.slice("language-".length);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(ref.current?.innerText || "");
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // clipboard blocked: the code can still be selected
+    }
+  }
+
+  return (
+    <div className="code-block">
+      <div className="code-block-header">
+        <span>{language || "code"}</span>
+        <button onClick={copy}>{copied ? "Copied" : "Copy"}</button>
+      </div>
+      <pre ref={ref}>{children}</pre>
+    </div>
+  );
+}
+
+const components = {
+  pre: CodeBlock,
+  // links leave the app; images are not loaded (no tracking pixels)
+  a: ({ href, title, children }) => (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer nofollow">{children}</a>
+  ),
+  img: ({ src, alt }) => (
+    <a href={src} target="_blank" rel="noopener noreferrer nofollow">{alt || src}</a>
+  ),
+  table: ({ children }) => (
+    <div className="table-wrap"><table>{children}</table></div>
+  )
+};
+
+export default function Markdown({ content }) {
+  return (
+    <div className="markdown">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// wraps every search term found in the text in <mark>
+function Highlight({ text, terms }) {
+  if (!terms?.length) return text;
+
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = text.split(new RegExp(`(${escaped.join("|")})`, "gi"));
+
+  return parts.map((part, i) =>
+    i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+  );
+}
+
+export default function SearchResults({ results, terms, loading, error, onSelectChat, onJumpTo }) {
+  if (error) return <p className="search-empty">{error}</p>;
+  if (loading && !results.length) return <p className="search-empty">Searching…</p>;
+  if (!results.length) return <p className="search-empty">No matches</p>;
+
+  return (
+    <div className="search-results">
+      {results.map(({ chat, hits }) => (
+        <div key={chat._id} className="search-group">
+          <p className="search-chat-title" onClick={() => onSelectChat(chat._id)}>
+            <Highlight text={chat.title} terms={terms} />
+          </p>
+
+          {hits.map(hit => (
+            <div
+              key={hit.messageId}
+              className={`search-hit ${hit.role}`}
+              onClick={() => onJumpTo(chat._id, hit.messageId)}
+            >
+              <span className="search-role">{hit.role === "user" ? "You" : "Assistant"}</span>
+              <Highlight text={hit.snippet} terms={terms} />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
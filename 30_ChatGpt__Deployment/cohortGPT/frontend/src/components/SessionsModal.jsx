@@ -0,0 +1,72 @@
+import { useEffect, useState } from "react";
+import api from "../api/axiosClient";
+import "../styles/modal.css";
+
+function describe(userAgent = "") {
+  const browser = /Edg\//.test(userAgent) ? "Edge"
+    : /Chrome\//.test(userAgent) ? "Chrome"
+    : /Firefox\//.test(userAgent) ? "Firefox"
+    : /Safari\//.test(userAgent) ? "Safari"
+    : "Unknown browser";
+  const os = /Android/.test(userAgent) ? "Android"
+    : /iPhone|iPad/.test(userAgent) ? "iOS"
+    : /Windows/.test(userAgent) ? "Windows"
+    : /Mac OS/.test(userAgent) ? "macOS"
+    : /Linux/.test(userAgent) ? "Linux"
+    : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export default function SessionsModal({ onClose, onSignedOut }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api.get("/auth/sessions")
+      .then(res => setSessions(res.data.sessions))
+      .catch(err => setError(err.response?.data?.message || "Could not load devices"));
+  }, []);
+
+  async function revoke(id) {
+    try {
+      const res = await api.delete(`/auth/sessions/${id}`);
+      if (res.data.current) return onSignedOut();
+      setSessions(prev => prev.filter(s => s._id !== id));
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not sign that device out");
+    }
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-box">
+        <h3>Signed-in devices</h3>
+
+        {error && <p style={{ color: "red" }}>{error}</p>}
+        {!sessions && !error && <p>Loading…</p>}
+
+        <ul className="session-list">
+          {sessions?.map(s => (
+            <li key={s._id}>
+              <div>
+                <b>{describe(s.userAgent)}</b>{s.current && " (this device)"}
+                <p className="session-meta">
+                  {s.ip} · last active {new Date(s.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button className="confirm-btn" onClick={() => revoke(s._id)}>
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
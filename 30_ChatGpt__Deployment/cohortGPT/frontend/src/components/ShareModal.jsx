@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import api from "../api/axiosClient";
+import "../styles/modal.css";
+
+const EXPIRY_OPTIONS = [
+  { label: "Never expires", days: null },
+  { label: "1 day", days: 1 },
+  { label: "7 days", days: 7 },
+  { label: "30 days", days: 30 }
+];
+
+function status(share) {
+  if (share.revokedAt) return "revoked";
+  if (!share.active) return "expired";
+  return share.expiresAt
+    ? `expires ${new Date(share.expiresAt).toLocaleDateString()}`
+    : "never expires";
+}
+
+export default function ShareModal({ chatId, chatTitle, onClose }) {
+  const [shares, setShares] = useState(null);
+  const [expiry, setExpiry] = useState("");
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api.get(`/chat/${chatId}/shares`)
+      .then(res => setShares(res.data.shares))
+      .catch(err => setError(err.response?.data?.message || "Could not load links"));
+  }, [chatId]);
+
+  // snapshot of the chat as it is now; later messages stay private
+  async function create() {
+    setError("");
+    try {
+      const res = await api.post(`/chat/${chatId}/share`, {
+        expiresInDays: expiry ? Number(expiry) : null
+      });
+      setShares(prev => [res.data.share, ...(prev || [])]);
+      copy(res.data.share);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not create a link");
+    }
+  }
+
+  async function revoke(slug) {
+    try {
+      const res = await api.delete(`/share/${slug}`);
+      setShares(prev => prev.map(s => (s.slug === slug ? res.data.share : s)));
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not revoke the link");
+    }
+  }
+
+  async function copy(share) {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      setCopied(share.slug);
+    } catch {
+      // clipboard blocked: the link is still shown
+    }
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-box">
+        <h3>Share "{chatTitle}"</h3>
+        <p className="session-meta">
+          Anyone with a link can read the chat as it is when the link is created.
+          Messages sent later are not included.
+        </p>
+
+        <div className="share-create">
+          <select value={expiry} onChange={e => setExpiry(e.target.value)}>
+            {EXPIRY_OPTIONS.map(o => (
+              <option key={o.label} value={o.days ?? ""}>{o.label}</option>
+            ))}
+          </select>
+          <button className="confirm-btn" onClick={create}>Create link</button>
+        </div>
+
+        {error && <p style={{ color: "red" }}>{error}</p>}
+        {!shares && !error && <p>Loading…</p>}
+
+        <ul className="session-list">
+          {shares?.map(s => (
+            <li key={s.slug}>
+              <div>
+                <a href={s.url} target="_blank" rel="noreferrer">{s.url}</a>
+                <p className="session-meta">
+                  {s.messageCount} messages · {new Date(s.createdAt).toLocaleString()} · {status(s)}
+                </p>
+              </div>
+              {s.active && (
+                <div className="share-actions">
+                  <button className="cancel-btn" onClick={() => copy(s)}>
+                    {copied === s.slug ? "Copied" : "Copy"}
+                  </button>
+                  <button className="confirm-btn" onClick={() => revoke(s.slug)}>
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,26 +1,46 @@
 import { useEffect, useState, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "../api/axiosClient";
-import ChatItem from "./ChatItem";
+import { socket } from "../socket";
+import ChatSection from "./ChatSection";
 import ChatActionsModal from "./ChatActionsModal";
+import SearchResults from "./SearchResults";
+import SessionsModal from "./SessionsModal";
+import ShareModal from "./ShareModal";
 import "../styles/sidebar.css";
 
-export default function Sidebar({ onChatSelect, activeChat }) {
+export default function Sidebar({ onChatSelect, onJumpTo, activeChat }) {
   const navigate = useNavigate();
   const user = JSON.parse(localStorage.getItem("user"));
 
   const [width, setWidth] = useState(260);
   const sidebarRef = useRef(null);
+  const importRef = useRef(null);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState("");
 
   // Mobile toggle state: controls collapsed/expanded sidebar on small screens
   const [mobileOpen, setMobileOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(typeof window !== 'undefined' ? window.innerWidth <= 800 : false);
 
-  const [chats, setChats] = useState([]);
+  // bumped after any change, every sidebar group reloads
+  const [listVersion, setListVersion] = useState(0);
+  const [folders, setFolders] = useState([]);
   const [modalMode, setModalMode] = useState(null);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [sharing, setSharing] = useState(null);
   const [targetChatId, setTargetChatId] = useState(null);
   const [targetChatTitle, setTargetChatTitle] = useState("");
   const [tempName, setTempName] = useState("");
+  const [targetFolder, setTargetFolder] = useState(null);
+
+  // search across all chats (text, or semantic via long-term memory)
+  const [query, setQuery] = useState("");
+  const [semantic, setSemantic] = useState(false);
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchTerms, setSearchTerms] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState("");
 
   // track which chat menu is currently open (detail is the chat._id or null)
   const [menuOpenId, setMenuOpenId] = useState(null);
@@ -43,15 +63,30 @@ export default function Sidebar({ onChatSelect, activeChat }) {
   const cap = str =>
     str ? str.charAt(0).toUpperCase() + str.slice(1).toLowerCase() : "";
 
-  function logout() {
+  async function logout() {
+    // revoke this device's session server-side, then forget it locally
+    try {
+      await api.get("/auth/logout");
+    } catch {
+      // offline: the session still expires on its own
+    }
+    signOutLocally();
+  }
+
+  function signOutLocally() {
+    socket.disconnect();
     localStorage.removeItem("user");
     navigate("/login");
     if (isMobile) setMobileOpen(false);
   }
 
-  async function loadChats() {
-    const res = await api.get("/chat");
-    setChats(res.data.chats);
+  function loadChats() {
+    setListVersion(v => v + 1);
+  }
+
+  async function loadFolders() {
+    const res = await api.get("/folders");
+    setFolders(res.data.folders);
   }
 
   async function createChat() {
@@ -62,6 +97,47 @@ export default function Sidebar({ onChatSelect, activeChat }) {
     onChatSelect(res.data.chat._id);
   }
 
+  /** SEARCH **/
+  function handleQueryChange(e) {
+    setQuery(e.target.value);
+    setSearching(Boolean(e.target.value.trim()));
+  }
+
+  function handleJumpTo(chatId, messageId) {
+    if (isMobile) setMobileOpen(false);
+    setTimeout(() => onJumpTo(chatId, messageId), 40);
+  }
+
+  // debounced: runs 300ms after the last keystroke
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) return;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/chat/search", {
+          params: { q, mode: semantic ? "semantic" : "text" }
+        });
+        if (cancelled) return;
+        setSearchResults(res.data.results);
+        setSearchTerms(res.data.terms);
+        setSearchError("");
+      } catch (err) {
+        if (cancelled) return;
+        setSearchResults([]);
+        setSearchError(err.response?.data?.message || "Search failed");
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, semantic]);
+
   /** SIDEBAR RESIZE HANDLER **/
   function startResize(e) {
     const startX = e.clientX;
@@ -172,17 +248,148 @@ export default function Sidebar({ onChatSelect, activeChat }) {
     onChatSelect(null);
   }
 
+  /** EXPORT / IMPORT **/
+  async function exportChat(id, format) {
+    const res = await api.get(`/chat/${id}/export`, {
+      params: { format },
+      responseType: "blob"
+    });
+
+    const match = /filename="([^"]+)"/.exec(res.headers["content-disposition"] || "");
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = match ? match[1] : `chat.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function importChat(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setImporting(true);
+    setImportError("");
+    try {
+      const data = JSON.parse(await file.text());
+      const res = await api.post("/chat/import", data);
+      await loadChats();
+      handleSelect(res.data.chat._id);
+    } catch (err) {
+      setImportError(err.response?.data?.message || "Import failed: not a chat export");
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  /** ORGANISE (menu actions and drag and drop) **/
+  async function pinChat(chat, pinned) {
+    await api.put(`/chat/${chat._id}/pin`, { pinned });
+    loadChats();
+  }
+
+  async function archiveChat(chat, archived) {
+    await api.put(`/chat/${chat._id}/archive`, { archived });
+    if (archived && chat._id === activeChat) onChatSelect(null);
+    loadChats();
+  }
+
+  // dropped on a folder or the top level: leaves pinned / archive too
+  async function placeChat(chat, folder) {
+    if (chat.pinned) await api.put(`/chat/${chat._id}/pin`, { pinned: false });
+    if (chat.archived) await api.put(`/chat/${chat._id}/archive`, { archived: false });
+    if ((chat.folder || null) !== folder) await api.put(`/chat/${chat._id}/folder`, { folder });
+    loadChats();
+  }
+
+  function requestMove(chat) {
+    setModalMode("move");
+    setTargetChatId(chat._id);
+    setTargetChatTitle(chat.title);
+    setTempName(chat.folder || "");
+  }
+
+  async function confirmMove() {
+    await api.put(`/chat/${targetChatId}/folder`, { folder: tempName || null });
+    closeModal();
+    loadChats();
+  }
+
+  /** FOLDERS **/
+  function requestNewFolder() {
+    setModalMode("new-folder");
+  }
+
+  async function confirmNewFolder() {
+    if (!tempName.trim()) return;
+    await api.post("/folders", { name: tempName.trim() });
+    closeModal();
+    loadFolders();
+  }
+
+  function requestRenameFolder(folder) {
+    setModalMode("rename-folder");
+    setTargetFolder(folder);
+    setTempName(folder.name);
+  }
+
+  async function confirmRenameFolder() {
+    if (!tempName.trim()) return;
+    await api.put(`/folders/${targetFolder._id}`, { name: tempName.trim() });
+    closeModal();
+    loadFolders();
+  }
+
+  function requestDeleteFolder(folder) {
+    setModalMode("delete-folder");
+    setTargetFolder(folder);
+  }
+
+  async function confirmDeleteFolder() {
+    await api.delete(`/folders/${targetFolder._id}`);
+    closeModal();
+    await loadFolders();
+    loadChats();
+  }
+
+  const confirmActions = {
+    rename: confirmRename,
+    delete: confirmDelete,
+    move: confirmMove,
+    "new-folder": confirmNewFolder,
+    "rename-folder": confirmRenameFolder,
+    "delete-folder": confirmDeleteFolder
+  };
+
   function closeModal() {
     setModalMode(null);
     setTargetChatId(null);
     setTempName("");
     setTargetChatTitle("");
+    setTargetFolder(null);
   }
 
   useEffect(() => {
-    loadChats();
+    loadFolders();
   }, []);
 
+  // shared by every sidebar group
+  const sectionProps = {
+    version: listVersion,
+    activeChat,
+    itemProps: {
+      onSelect: handleSelect,
+      onRename: requestRename,
+      onExport: exportChat,
+      onShare: (id, title) => setSharing({ id, title }),
+      onPin: pinChat,
+      onArchive: archiveChat,
+      onMove: requestMove,
+      onDelete: requestDelete
+    }
+  };
+
   return (
     <>
       {/* SIDEBAR MAIN */}
@@ -202,14 +409,72 @@ export default function Sidebar({ onChatSelect, activeChat }) {
             {cap(user?.fullName?.firstName)} {cap(user?.fullName?.lastName)}
             <p className="email">{user?.email}</p>
           </span>
+          <button className="devices-link" onClick={() => setSessionsOpen(true)}>
+            Signed-in devices
+          </button>
+          {!user?.googleLinked && (
+            <a className="devices-link" href={`${import.meta.env.VITE_API_URL}/api/auth/google/link`}>
+              Link Google account
+            </a>
+          )}
 
           <button className="new-chat-button" onClick={createChat}>
             ＋New Chat
           </button>
 
+          <button
+            className="import-chat-button"
+            onClick={() => importRef.current?.click()}
+            disabled={importing}
+          >
+            {importing ? "Importing…" : "⤒ Import Chat (.json)"}
+          </button>
+          <input
+            ref={importRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={importChat}
+          />
+          {importError && <p className="import-error">{importError}</p>}
+
+          {/* Search across all chats */}
+          <div className="chat-search">
+            <input
+              type="search"
+              placeholder="Search chats…"
+              value={query}
+              onChange={handleQueryChange}
+              aria-label="Search chats"
+            />
+            <label className="chat-search-mode" title="Match by meaning (needs long-term memory)">
+              <input
+                type="checkbox"
+                checked={semantic}
+                onChange={e => {
+                  setSemantic(e.target.checked);
+                  setSearching(Boolean(query.trim()));
+                }}
+              />
+              Semantic
+            </label>
+          </div>
+
+          {query.trim() ? (
+            <SearchResults
+              results={searchResults}
+              terms={searchTerms}
+              loading={searching}
+              error={searchError}
+              onSelectChat={handleSelect}
+              onJumpTo={handleJumpTo}
+            />
+          ) : (
+          <>
           {/* Chat list header with count and collapse toggle */}
           <div className="chat-list-header">
-            <div className="chat-list-title">All Chats <span className="chat-count">({chats.length})</span></div>
+            <div className="chat-list-title">Chats</div>
+            <button className="chat-list-toggle" onClick={requestNewFolder} aria-label="New folder">＋📁</button>
             <button
               className="chat-list-toggle"
               onClick={() => setChatListOpen(s => { const v = !s; try { localStorage.setItem('chatListOpen', v ? '1' : '0'); } catch(e) {} return v; })}
@@ -221,17 +486,50 @@ export default function Sidebar({ onChatSelect, activeChat }) {
           </div>
 
           <div className={`chat-list ${chatListOpen ? '' : 'collapsed'}`}>
-            {chats.map(chat => (
-              <ChatItem
-                key={chat._id}
-                chat={chat}
-                active={activeChat === chat._id}
-                onSelect={handleSelect}
-                onRename={requestRename}
-                onDelete={requestDelete}
+            <ChatSection
+              title="📌 Pinned"
+              params={{ pinned: true }}
+              emptyText="Drag a chat here to pin it"
+              onDropChat={chat => pinChat(chat, true)}
+              {...sectionProps}
+            />
+
+            {folders.map(folder => (
+              <ChatSection
+                key={folder._id}
+                title={`📁 ${folder.name}`}
+                params={{ folder: folder._id, pinned: false }}
+                defaultOpen={false}
+                emptyText="Drag chats here"
+                onDropChat={chat => placeChat(chat, folder._id)}
+                actions={
+                  <span className="chat-section-actions">
+                    <button onClick={() => requestRenameFolder(folder)} aria-label="Rename folder">✏️</button>
+                    <button onClick={() => requestDeleteFolder(folder)} aria-label="Delete folder">🗑️</button>
+                  </span>
+                }
+                {...sectionProps}
               />
             ))}
+
+            <ChatSection
+              title="Recent"
+              params={{ folder: "none", pinned: false }}
+              onDropChat={chat => placeChat(chat, null)}
+              {...sectionProps}
+            />
+
+            <ChatSection
+              title="🗄️ Archived"
+              params={{ archived: true }}
+              defaultOpen={false}
+              emptyText="Nothing archived"
+              onDropChat={chat => archiveChat(chat, true)}
+              {...sectionProps}
+            />
           </div> 
+          </>
+          )}
 
         </div>
 
@@ -240,13 +538,30 @@ export default function Sidebar({ onChatSelect, activeChat }) {
         </div>
 
 
+      {sessionsOpen && (
+        <SessionsModal
+          onClose={() => setSessionsOpen(false)}
+          onSignedOut={signOutLocally}
+        />
+      )}
+
+      {sharing && (
+        <ShareModal
+          chatId={sharing.id}
+          chatTitle={sharing.title}
+          onClose={() => setSharing(null)}
+        />
+      )}
+
       {modalMode && (
         <ChatActionsModal
           mode={modalMode}
           chatTitle={targetChatTitle}
+          folderName={targetFolder?.name}
+          folders={folders}
           value={tempName}
           onChange={setTempName}
-          onConfirm={modalMode === "rename" ? confirmRename : confirmDelete}
+          onConfirm={confirmActions[modalMode]}
           onCancel={closeModal}
         />
       )}
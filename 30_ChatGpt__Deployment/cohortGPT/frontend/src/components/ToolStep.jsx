@@ -0,0 +1,37 @@
+const LABELS = {
+  calculator: "Calculated",
+  current_time: "Checked the time",
+  search_chats: "Searched your chats",
+  read_attachment: "Read a document"
+};
+
+// what the tool was asked, in one line
+function summary(args) {
+  if (!args || typeof args !== "object") return String(args ?? "");
+  return Object.values(args).map(String).join(", ");
+}
+
+/**
+ * One tool call of a reply (system message with `tool`),
+ * collapsed to a one-line summary; opens to show the
+ * arguments and what the tool returned.
+ */
+export default function ToolStep({ tool, content }) {
+  const detail = summary(tool.arguments);
+
+  return (
+    <details className={`tool-step${tool.ok === false ? " failed" : ""}`}>
+      <summary>
+        🔧 {LABELS[tool.name] || tool.name}
+        {detail && <span className="tool-step-detail">{detail}</span>}
+        {tool.ok === false && <span className="tool-step-detail">(failed)</span>}
+      </summary>
+      <div className="tool-step-body">
+        <div className="tool-step-label">Input</div>
+        <pre>{JSON.stringify(tool.arguments ?? {}, null, 2)}</pre>
+        <div className="tool-step-label">Result</div>
+        <pre>{content}</pre>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,48 @@
+import { Link } from "react-router-dom";
+import { useState } from "react";
+import api from "../api/axiosClient";
+import "../styles/login.css";
+
+export default function ForgotPassword() {
+  const [email, setEmail]   = useState("");
+  const [notice, setNotice] = useState("");
+  const [error, setError]   = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+
+    try {
+      const res = await api.post("/auth/forgot-password", { email });
+      setNotice(res.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Request failed");
+    }
+  }
+
+  return (
+    <div className="page login-page">
+      <form className="form" onSubmit={handleSubmit}>
+        <h2>Forgot password</h2>
+
+        {error && <p style={{ color: "red" }}>{error}</p>}
+        {notice && <p>{notice}</p>}
+
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          required
+        />
+
+        <button type="submit">Send reset link</button>
+
+        <p>
+          <Link to="/login">Back to login</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -9,6 +9,8 @@ import "../styles/home.css";
 export default function Home() {
   const navigate = useNavigate();
   const [chatId, setChatId] = useState(null);
+  // message to scroll to after opening a search result
+  const [focus, setFocus] = useState(null);
 
   useEffect(() => {
     async function init() {
@@ -20,8 +22,12 @@ export default function Home() {
 
       socket.connect();
 
-      // LOAD CHATS
-      const res = await api.get("/chat");
+      // fresh profile (e.g. Google just linked); also renews an expired session
+      const me = await api.get("/auth/me");
+      localStorage.setItem("user", JSON.stringify(me.data.user));
+
+      // LOAD CHATS (only the most recent one is needed)
+      const res = await api.get("/chat", { params: { limit: 1 } });
 
       if (res.data.chats?.length > 0) {
         // show first chat
@@ -51,9 +57,16 @@ export default function Home() {
     <div className="home-layout">
       <Sidebar
         activeChat={chatId}
-        onChatSelect={(id) => setChatId(id)}
+        onChatSelect={(id) => {
+          setFocus(null);
+          setChatId(id);
+        }}
+        onJumpTo={(id, messageId) => {
+          setFocus({ messageId });
+          setChatId(id);
+        }}
       />
-      <ChatArea chatId={chatId} />
+      <ChatArea chatId={chatId} focus={focus} />
     </div>
   );
 }
@@ -1,4 +1,4 @@
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { useState } from "react";
 import api from "../api/axiosClient";
 import { socket } from "../socket";
@@ -6,6 +6,11 @@ import "../styles/login.css";
 
 export default function Login() {
   const navigate = useNavigate();
+  // set by register / reset-password on their way here
+  const notice = useLocation().state?.notice;
+  // set by the Google sign-in callback when it fails
+  const [params] = useSearchParams();
+  const oauthError = params.get("error");
 
   const [email, setEmail]     = useState("");
   const [password, setPassword] = useState("");
@@ -38,6 +43,8 @@ export default function Login() {
         <h2>Login</h2>
 
         {error && <p style={{ color: "red" }}>{error}</p>}
+        {!error && oauthError && <p style={{ color: "red" }}>{oauthError}</p>}
+        {notice && !error && <p>{notice}</p>}
 
         <input
           type="email"
@@ -57,6 +64,14 @@ export default function Login() {
 
         <button type="submit">Login</button>
 
+        <a className="google-btn" href={`${import.meta.env.VITE_API_URL}/api/auth/google`}>
+          Continue with Google
+        </a>
+
+        <p>
+          <Link to="/forgot-password">Forgot password?</Link>
+        </p>
+
         <p>
           Don't have an account? <Link to="/register">Register</Link>
         </p>
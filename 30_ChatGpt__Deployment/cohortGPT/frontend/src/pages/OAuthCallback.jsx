@@ -0,0 +1,35 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import api from "../api/axiosClient";
+import { socket } from "../socket";
+import "../styles/login.css";
+
+// Google sign-in lands here once the backend has set the auth cookies
+export default function OAuthCallback() {
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api.get("/auth/me")
+      .then(res => {
+        localStorage.setItem("user", JSON.stringify(res.data.user));
+        socket.connect();
+        navigate("/", { replace: true });
+      })
+      .catch(err => setError(err.response?.data?.message || "Google sign-in failed"));
+  }, [navigate]);
+
+  return (
+    <div className="page login-page">
+      <div className="form">
+        <h2>Signing you in…</h2>
+        {error && (
+          <>
+            <p style={{ color: "red" }}>{error}</p>
+            <p><Link to="/login">Back to login</Link></p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
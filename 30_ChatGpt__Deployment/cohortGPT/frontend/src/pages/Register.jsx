@@ -25,7 +25,7 @@ export default function Register() {
 
       console.log(res.data);
 
-      navigate("/login");
+      navigate("/login", { state: { notice: res.data.message } });
 
     } catch (err) {
       setError(err.response?.data?.message || "Registration failed");
@@ -73,6 +73,10 @@ export default function Register() {
 
         <button type="submit">Register</button>
 
+        <a className="google-btn" href={`${import.meta.env.VITE_API_URL}/api/auth/google`}>
+          Sign up with Google
+        </a>
+
         <p>
           Already have an account? <Link to="/login">Login</Link>
         </p>
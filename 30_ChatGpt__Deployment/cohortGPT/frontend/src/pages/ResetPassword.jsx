@@ -0,0 +1,66 @@
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { useState } from "react";
+import api from "../api/axiosClient";
+import "../styles/login.css";
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const token = params.get("token");
+
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm]   = useState("");
+  const [error, setError]       = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirm) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    try {
+      const res = await api.post("/auth/reset-password", { token, password });
+      localStorage.removeItem("user");
+      navigate("/login", { state: { notice: res.data.message } });
+    } catch (err) {
+      setError(err.response?.data?.message || "Reset failed");
+    }
+  }
+
+  return (
+    <div className="page login-page">
+      <form className="form" onSubmit={handleSubmit}>
+        <h2>Choose a new password</h2>
+
+        {!token && <p style={{ color: "red" }}>This link is missing its token.</p>}
+        {error && <p style={{ color: "red" }}>{error}</p>}
+
+        <input
+          type="password"
+          placeholder="New password (8+ characters)"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          minLength={8}
+          required
+        />
+
+        <input
+          type="password"
+          placeholder="Repeat new password"
+          value={confirm}
+          onChange={e => setConfirm(e.target.value)}
+          required
+        />
+
+        <button type="submit" disabled={!token}>Update password</button>
+
+        <p>
+          <Link to="/forgot-password">Request a new link</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
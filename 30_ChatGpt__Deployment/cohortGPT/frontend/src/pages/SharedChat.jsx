@@ -0,0 +1,60 @@
+import { Link, useParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+import api from "../api/axiosClient";
+import Markdown from "../components/Markdown";
+import "../styles/chatarea.css";
+import "../styles/share.css";
+
+export default function SharedChat() {
+  const { slug } = useParams();
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState("");
+
+  // public snapshot: works without signing in
+  useEffect(() => {
+    api.get(`/share/${slug}`)
+      .then(res => setShare(res.data.share))
+      .catch(err => setError(err.response?.data?.message || "Could not load this chat"));
+  }, [slug]);
+
+  if (error || !share) {
+    return (
+      <div className="shared-page">
+        <p className={error ? "shared-error" : undefined}>{error || "Loading…"}</p>
+        <Link to="/">Open Olivia</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-page">
+      <header className="shared-header">
+        <h1>{share.title}</h1>
+        <p>
+          Shared {new Date(share.sharedAt).toLocaleString()} · read-only
+          {share.expiresAt && ` · available until ${new Date(share.expiresAt).toLocaleString()}`}
+        </p>
+      </header>
+
+      <div className="messages-window">
+        {share.messages.map((m, i) => (
+          <div key={i} className={`msg ${m.role}`}>
+            {m.attachments?.length > 0 && (
+              <div className="attachments">
+                {m.attachments.map((a, j) => (
+                  <span key={j} className="attachment-chip">
+                    {a.kind === "image" ? "🖼️" : "📄"} {a.name}
+                  </span>
+                ))}
+              </div>
+            )}
+            {m.role === "model" ? <Markdown content={m.content} /> : m.content}
+            {m.truncated && <span className="msg-truncated">(stopped)</span>}
+          </div>
+        ))}
+      </div>
+
+      <Link to="/">Open Olivia</Link>
+    </div>
+  );
+}
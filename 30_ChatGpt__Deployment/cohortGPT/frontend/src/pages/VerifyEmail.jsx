@@ -0,0 +1,39 @@
+import { Link, useSearchParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+import api from "../api/axiosClient";
+import "../styles/login.css";
+
+export default function VerifyEmail() {
+  const [params] = useSearchParams();
+  const token = params.get("token");
+
+  const [status, setStatus] = useState(token ? "Verifying…" : "This link is missing its token.");
+  const [error, setError]   = useState(!token);
+
+  useEffect(() => {
+    if (!token) return;
+
+    api.post("/auth/verify-email", { token })
+      .then(() => {
+        setStatus("Your email is verified. You can log in now.");
+      })
+      .catch(err => {
+        setError(true);
+        setStatus(err.response?.data?.message || "Verification failed");
+      });
+  }, [token]);
+
+  return (
+    <div className="page login-page">
+      <div className="form">
+        <h2>Verify email</h2>
+
+        <p style={error ? { color: "red" } : undefined}>{status}</p>
+
+        <p>
+          <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { io } from "socket.io-client";
+import { refreshSession } from "./api/axiosClient";
 
 const socketBase = import.meta.env.VITE_API_URL
 export const socket = io(socketBase, {
@@ -7,11 +8,21 @@ export const socket = io(socketBase, {
   autoConnect: false
 });
 
+// expired access token: refresh once, then reconnect
+let retried = false;
+
 // Debug logs
 socket.on("connect", () => {
+  retried = false;
   console.log("✅ SOCKET CONNECTED:", socket.id);
 });
 
 socket.on("connect_error", (err) => {
   console.log("❌ SOCKET ERROR:", err.message);
+
+  if (retried || err.message !== "Invalid auth token") return;
+  retried = true;
+  refreshSession()
+    .then(() => socket.connect())
+    .catch(() => {});
 });